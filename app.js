@@ -0,0 +1,80 @@
+const express = require('express');
+const cors = require('cors');
+const { rateLimit, loginLockout } = require('./middleware/rateLimit');
+const { sendSuccess, errorHandler, notFoundHandler } = require('./middleware/response');
+
+// The Express app without a database connection or a listening port —
+// server.js starts it; tests drive it directly.
+const app = express();
+
+// Behind a proxy / load balancer, set TRUST_PROXY (e.g. 1) so req.ip
+// is the client address the rate limits key on
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
+// =======================
+// Middleware
+// =======================
+// Keep the raw bytes too — payment webhooks are signed over them
+app.use(express.json({
+  verify: (req, res, buf) => { req.rawBody = buf; },
+}));
+app.use(express.urlencoded({ limit: '10mb', extended: true }));
+
+app.use(cors({
+  origin: '*',
+  methods: ['GET','POST','PUT','DELETE'],
+  allowedHeaders: ['Content-Type','Authorization']
+}));
+
+
+// =======================
+// Rate Limits (per route group)
+// =======================
+const MINUTE = 60 * 1000;
+
+app.use('/api/auth/login', loginLockout({ freeAttempts: 5, baseLockMs: MINUTE, maxLockMs: 60 * MINUTE }));
+app.use('/api/auth/login', rateLimit({ name: 'login-ip', windowMs: 15 * MINUTE, max: 20 }));
+app.use('/api/auth/forgot-password', rateLimit({ name: 'forgot-ip', windowMs: 60 * MINUTE, max: 10 }));
+app.use('/api/auth', rateLimit({ name: 'auth-ip', windowMs: 15 * MINUTE, max: 100 }));
+
+app.use('/api/bookings', rateLimit({ name: 'bookings-ip', windowMs: 15 * MINUTE, max: 60, methods: ['POST', 'PUT'] }));
+app.use('/api/bookings', rateLimit({ name: 'bookings-account', windowMs: 15 * MINUTE, max: 20, key: 'account', methods: ['POST', 'PUT'] }));
+app.use('/api/waitlist', rateLimit({ name: 'waitlist-account', windowMs: 15 * MINUTE, max: 20, key: 'account', methods: ['POST'] }));
+
+app.use('/api', rateLimit({ name: 'api-ip', windowMs: 15 * MINUTE, max: 1000 }));
+
+// Routes
+for (const [path, router] of require('./routes')) {
+    app.use(path, router);
+}
+
+// API reference — OpenAPI document + Swagger UI
+app.use('/api/docs', require('./routes/docs.routes'));
+
+// Health Check Route
+app.get('/api/health', (req, res) => {
+    sendSuccess(res, {
+        message: 'Server is running',
+        data: { timestamp: new Date() },
+        legacy: { timestamp: new Date() },
+    });
+});
+
+// Root Route
+app.get('/', (req, res) => {
+    sendSuccess(res, {
+        message: 'Event Finder API',
+        data: { version: '1.0.0', docs: '/api/docs', health: '/api/health' },
+    });
+});
+
+// Error Handling
+// =======================
+// Everything thrown or passed to next(err) ends up here — see
+// middleware/response.js for the error body and codes
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
+
+module.exports = app;
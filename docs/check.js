@@ -0,0 +1,52 @@
+const routes = require('../routes');
+const { getSpec } = require('./openapi');
+
+// Compares the routes mounted from routes/index.js with the operations
+// in the OpenAPI spec. `npm test` runs it (test/docs.test.js); run it
+// on its own with `npm run docs:check`, which exits 1 on a mismatch.
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}').replace(/(.)\/$/, '$1');
+
+// { registered, missing, stale } — `missing` routes have no operation
+// in the spec, `stale` operations document a route that no longer exists
+const checkDocs = () => {
+  const registered = new Set();
+  for (const [mount, router] of routes) {
+    for (const layer of router.stack) {
+      if (!layer.route) continue;
+      for (const method of Object.keys(layer.route.methods)) {
+        registered.add(`${method.toUpperCase()} ${toOpenApiPath(mount + layer.route.path)}`);
+      }
+    }
+  }
+
+  const documented = new Set();
+  for (const [path, operations] of Object.entries(getSpec().paths)) {
+    if (!path.startsWith('/api/') || path === '/api/health') continue;
+    for (const method of METHODS) {
+      if (operations[method]) documented.add(`${method.toUpperCase()} ${path}`);
+    }
+  }
+
+  return {
+    registered,
+    missing: [...registered].filter((route) => !documented.has(route)),
+    stale: [...documented].filter((route) => !registered.has(route)),
+  };
+};
+
+if (require.main === module) {
+  const { registered, missing, stale } = checkDocs();
+
+  if (missing.length) console.error(`❌ Not in the OpenAPI spec (docs/openapi.js):\n  ${missing.join('\n  ')}`);
+  if (stale.length) console.error(`❌ In the spec but not registered:\n  ${stale.join('\n  ')}`);
+
+  if (missing.length || stale.length) process.exit(1);
+  console.log(`✅ All ${registered.size} routes are documented`);
+}
+
+module.exports = {
+  checkDocs,
+};
@@ -0,0 +1,468 @@
+const { OBJECT_ID, fromValidators, fromMongoose } = require('./schemas');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const Booking = require('../models/Booking');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Review = require('../models/Review');
+const OrganizerApplication = require('../models/OrganizerApplication');
+const Wishlist = require('../models/Wishlist');
+const Notification = require('../models/Notification');
+const Broadcast = require('../models/Broadcast');
+const authValidators = require('../validators/auth.validators');
+const eventValidators = require('../validators/event.validators');
+const bookingValidators = require('../validators/booking.validators');
+const wishlistValidators = require('../validators/wishlist.validators');
+const waitlistValidators = require('../validators/waitlist.validators');
+const paymentValidators = require('../validators/payment.validators');
+const reviewValidators = require('../validators/review.validators');
+const applicationValidators = require('../validators/organizerApplication.validators');
+const adminValidators = require('../validators/admin.validators');
+const userValidators = require('../validators/user.validators');
+const notificationValidators = require('../validators/notification.validators');
+const broadcastValidators = require('../validators/broadcast.validators');
+const analyticsValidators = require('../validators/analytics.validators');
+
+// ── OpenAPI 3 document ────────────────────────────────────────
+// Served at /api/docs. Every route in routes/ needs an entry in ROUTES
+// below — `npm test` (and `npm run docs:check`) fails when one is
+// missing. Parameters and bodies come from the route's validator schema
+// and response data from the models (see docs/schemas.js), so most
+// changes to a route only need its entry touched when the response
+// shape changes.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = (schema) => ({ type: 'array', items: schema });
+const object = (properties) => ({ type: 'object', properties });
+
+const str = { type: 'string' };
+const int = { type: 'integer' };
+const num = { type: 'number' };
+const bool = { type: 'boolean' };
+const dateTime = { type: 'string', format: 'date-time' };
+
+// ── Response data shapes that aren't a plain model ───────────
+const AuthTokens = object({
+  role: { type: 'string', enum: ['user', 'organizer', 'admin'] },
+  token: { ...str, description: 'Access token — send as `Authorization: Bearer <token>`' },
+  refreshToken: { ...str, description: 'Single-use; trade it at POST /api/auth/refresh' },
+  refreshTokenExpiresAt: dateTime,
+});
+
+const AuthUser = {
+  allOf: [
+    object({
+      id: OBJECT_ID,
+      name: str,
+      email: { ...str, format: 'email' },
+      isVerified: bool,
+      phone: { ...str, nullable: true },
+      profileImage: { ...str, nullable: true },
+    }),
+    ref('AuthTokens'),
+  ],
+};
+
+const SessionInfo = object({
+  id: OBJECT_ID,
+  userAgent: str,
+  ip: str,
+  createdAt: dateTime,
+  lastUsedAt: dateTime,
+  expiresAt: dateTime,
+  current: { ...bool, description: 'The session this request was made with' },
+});
+
+const Ticket = object({
+  bookingId: OBJECT_ID,
+  bookingRef: str,
+  event: ref('Event'),
+  numberOfSeats: int,
+  tickets: arrayOf(object({ ticketType: OBJECT_ID, name: str, quantity: int, unitPrice: num })),
+  checkedInAt: { ...dateTime, nullable: true },
+  payload: { ...str, description: 'Signed pass encoded in the QR code' },
+  qrCode: { ...str, description: 'QR code as a PNG data URL' },
+});
+
+const CheckIn = object({
+  bookingRef: str,
+  attendee: ref('User'),
+  event: object({ _id: OBJECT_ID, title: str }),
+  numberOfSeats: int,
+  tickets: arrayOf(object({ ticketType: OBJECT_ID, name: str, quantity: int, unitPrice: num })),
+  checkedInAt: dateTime,
+});
+
+const CheckInCounts = object({
+  event: object({ _id: OBJECT_ID, title: str, totalSeats: int }),
+  bookings: int,
+  seats: int,
+  checkedInBookings: int,
+  checkedInSeats: int,
+  remainingSeats: int,
+  recent: arrayOf(ref('Booking')),
+});
+
+const PaymentIntent = object({
+  provider: str,
+  paymentId: str,
+  clientSecret: { ...str, nullable: true },
+  redirectUrl: { ...str, nullable: true },
+  amount: num,
+  currency: str,
+  expiresAt: dateTime,
+});
+
+const DashboardStats = object({ totalUsers: int, totalEvents: int, totalBookings: int, totalRevenue: num });
+
+const NearbyEvent = {
+  allOf: [
+    ref('Event'),
+    object({
+      distance: { ...num, description: 'Kilometres from lat/lng' },
+      localTimes: object({ startsAt: str, endsAt: str }),
+    }),
+  ],
+};
+
+const WaitlistPosition = {
+  allOf: [ref('WaitlistEntry'), object({ position: { ...int, nullable: true } })],
+};
+
+const Pagination = object({ total: int, page: int, pages: int });
+
+const EventChange = object({
+  field: { type: 'string', enum: ['startsAt', 'location', 'price'] },
+  label: str,
+  from: str,
+  to: str,
+  occurrence: { ...OBJECT_ID, nullable: true, description: 'Session the change applies to, for series' },
+});
+const paginated = { pagination: ref('Pagination') };
+
+const WaitlistSummary = object({ waiting: int, offered: int, seatsRequested: int });
+
+const rate = (description) => ({ ...num, nullable: true, description: `${description}, in percent (null when there is nothing to divide by)` });
+const EventMetrics = object({
+  bookings: { ...int, description: 'Confirmed bookings' },
+  ticketsSold: { ...int, description: 'Seats in confirmed bookings' },
+  totalSeats: int,
+  sellThroughRate: rate('ticketsSold / totalSeats'),
+  grossRevenue: { ...num, description: 'Confirmed or paid bookings' },
+  refunded: num,
+  netRevenue: num,
+  cancelledBookings: { ...int, description: 'Cancelled by the user, organizer or an admin — expired holds are not counted' },
+  cancellationRate: rate('cancelledBookings / (bookings + cancelledBookings)'),
+  checkedInBookings: int,
+  checkedInSeats: int,
+  checkInRate: rate('checkedInSeats / ticketsSold'),
+  wishlistSaves: int,
+  wishlistConversions: { ...int, description: 'Saves whose user holds a confirmed booking' },
+  wishlistConversionRate: rate('wishlistConversions / wishlistSaves'),
+});
+const AnalyticsRange = object({
+  from: { ...dateTime, nullable: true },
+  to: { ...dateTime, nullable: true, description: 'Exclusive' },
+  groupBy: { type: 'string', enum: ['day', 'week', 'month'] },
+  timezone: str,
+});
+const AnalyticsPeriod = object({
+  period: { ...str, example: '2026-10-19', description: 'YYYY-MM-DD, YYYY-Www (ISO week) or YYYY-MM' },
+  bookings: int,
+  tickets: int,
+  revenue: { ...num, description: 'Net of refunds' },
+});
+const EventSummary = object({ _id: OBJECT_ID, title: str, category: str, status: str, startsAt: dateTime });
+const OrganizerAnalytics = object({
+  range: ref('AnalyticsRange'),
+  totals: { allOf: [object({ events: int }), ref('EventMetrics')] },
+  timeline: arrayOf(ref('AnalyticsPeriod')),
+  events: arrayOf({ allOf: [object({ event: EventSummary }), ref('EventMetrics')] }),
+  topCategories: arrayOf(object({ category: str, tickets: int, revenue: num, events: int })),
+});
+const EventAnalytics = object({
+  event: EventSummary,
+  range: ref('AnalyticsRange'),
+  totals: ref('EventMetrics'),
+  timeline: arrayOf(ref('AnalyticsPeriod')),
+});
+
+// ── Routes ────────────────────────────────────────────────────
+// auth: undefined (public) | 'user' | 'verified' | 'organizer' | 'admin'
+// data: schema of `data` in the success envelope; meta: `meta` keys
+
+const AUTH_NOTES = {
+  user: 'Requires a signed-in user.',
+  verified: 'Requires a signed-in user with a verified email (when REQUIRE_EMAIL_VERIFICATION is on).',
+  organizer: 'Requires an organizer or admin.',
+  admin: 'Requires an admin.',
+};
+
+const ROUTES = [
+  // Auth
+  ['post', '/api/auth/register', { tag: 'Auth', summary: 'Register a user (always with the `user` role)', validate: authValidators.register, status: 201, data: AuthUser }],
+  ['post', '/api/auth/login', { tag: 'Auth', summary: 'Log in and start a session', validate: authValidators.login, data: AuthUser, description: 'Repeated failures lock the account for a growing period (429 ACCOUNT_LOCKED).' }],
+  ['get', '/api/auth/verify-email', { tag: 'Auth', summary: 'Verify an email address (link from the email)', validate: authValidators.verifyEmailLink, data: object({ id: OBJECT_ID, email: str, isVerified: bool }) }],
+  ['post', '/api/auth/verify-email', { tag: 'Auth', summary: 'Verify an email address', validate: authValidators.verifyEmail, data: object({ id: OBJECT_ID, email: str, isVerified: bool }) }],
+  ['post', '/api/auth/resend-verification', { tag: 'Auth', summary: 'Send the verification email again', auth: 'user' }],
+  ['post', '/api/auth/forgot-password', { tag: 'Auth', summary: 'Email a password reset link', validate: authValidators.forgotPassword, description: 'Answers the same, in the same time, whether or not the email is registered — the email is sent by a background job.' }],
+  ['post', '/api/auth/reset-password', { tag: 'Auth', summary: 'Set a new password with a reset token', validate: authValidators.resetPassword, description: 'Signs out every device.' }],
+  ['put', '/api/auth/change-password', { tag: 'Auth', summary: 'Change password', auth: 'user', validate: authValidators.changePassword, description: 'Signs out every other device.' }],
+  ['get', '/api/auth/me', { tag: 'Auth', summary: 'Current user', auth: 'user', data: ref('User') }],
+  ['put', '/api/auth/profile', { tag: 'Auth', summary: 'Update own profile', auth: 'user', validate: authValidators.updateProfile, data: ref('User') }],
+  ['post', '/api/auth/refresh', { tag: 'Auth', summary: 'Trade a refresh token for a new token pair', validate: authValidators.refresh, data: ref('AuthTokens'), description: 'Refresh tokens are single-use; replaying an old one revokes the session.' }],
+  ['post', '/api/auth/logout', { tag: 'Auth', summary: 'End the current session', auth: 'user' }],
+  ['post', '/api/auth/logout-all', { tag: 'Auth', summary: 'End every session of the current user', auth: 'user', data: object({ revoked: int }) }],
+  ['get', '/api/auth/sessions', { tag: 'Auth', summary: 'Active sessions (devices)', auth: 'user', data: arrayOf(ref('SessionInfo')) }],
+  ['delete', '/api/auth/sessions/:id', { tag: 'Auth', summary: 'Sign out one device', auth: 'user', validate: authValidators.sessionId }],
+
+  // Events
+  ['get', '/api/events', { tag: 'Events', summary: 'Approved events', validate: eventValidators.list, data: arrayOf(ref('Event')), meta: paginated }],
+  ['get', '/api/events/nearby', { tag: 'Events', summary: 'Approved events near a point, nearest first', validate: eventValidators.nearby, data: arrayOf(NearbyEvent), meta: paginated }],
+  ['get', '/api/events/featured', { tag: 'Events', summary: 'Featured events', validate: eventValidators.featured, data: arrayOf(ref('Event')) }],
+  ['get', '/api/events/search/query', { tag: 'Events', summary: 'Full-text search with filters', validate: eventValidators.search, data: arrayOf(ref('Event')), meta: paginated, description: 'Needs `q` or at least one filter.' }],
+  ['get', '/api/events/admin/all', { tag: 'Events', summary: 'All events in any status', auth: 'admin', validate: eventValidators.adminList, data: arrayOf(ref('Event')) }],
+  ['get', '/api/events/organizer/my-events', { tag: 'Events', summary: "Current organizer's events", auth: 'user', data: arrayOf(ref('Event')) }],
+  ['get', '/api/events/:id', { tag: 'Events', summary: 'One event', validate: eventValidators.eventId, data: ref('Event') }],
+  ['post', '/api/events', { tag: 'Events', summary: 'Create an event (submitted for approval)', auth: 'organizer', verified: true, validate: eventValidators.create, multipart: true, status: 201, data: ref('Event'), description: 'Timing is `startsAt` + `endsAt`/`durationMinutes`, or `date` + `time`. Pricing is `price` + `totalSeats`, or `ticketTypes`. `recurrence`/`sessions` make it a series — 400 RECURRENCE_TOO_LONG when a rule would produce more than 366 sessions.' }],
+  ['patch', '/api/events/:id/approve', { tag: 'Events', summary: 'Approve an event', auth: 'admin', validate: eventValidators.eventId, data: ref('Event') }],
+  ['patch', '/api/events/:id/reject', { tag: 'Events', summary: 'Reject an event', auth: 'admin', validate: eventValidators.reject, data: ref('Event') }],
+  ['put', '/api/events/:id', { tag: 'Events', summary: 'Update own event (resubmitted for approval)', auth: 'organizer', validate: eventValidators.update, multipart: true, data: ref('Event'), meta: { changes: arrayOf(ref('EventChange')) }, description: 'Date/time, location and price changes are listed in `meta.changes` and sent to the affected ticket holders. On a series, a new date/time needs a `recurrence` (or new `sessions`) — 400 SERIES_DATES_FROM_SCHEDULE otherwise. Capacity only changes when `ticketTypes`, `sessions`/`recurrence` or `totalSeats` is sent; 409 INVENTORY_CHANGED when tickets sold during the edit make it impossible. 410 EVENT_CANCELLED once the event was cancelled.' }],
+  ['put', '/api/events/:id/cancel', { tag: 'Events', summary: 'Cancel an event (organizer of the event or admin)', auth: 'organizer', validate: eventValidators.cancel, data: ref('Event'), meta: { bookings: int }, description: 'Every booking is cancelled with a full refund and attendees and the waitlist are notified, in the background.' }],
+  ['delete', '/api/events/:id', { tag: 'Events', summary: 'Delete an event without active bookings', auth: 'organizer', validate: eventValidators.eventId, description: '409 EVENT_HAS_BOOKINGS while confirmed or pending bookings exist — cancel the event instead.' }],
+
+  // Bookings
+  ['get', '/api/bookings', { tag: 'Bookings', summary: "Current user's bookings", auth: 'user', data: arrayOf(ref('Booking')) }],
+  ['get', '/api/bookings/:id', { tag: 'Bookings', summary: 'One booking (owner or event organizer)', auth: 'user', validate: bookingValidators.bookingId, data: ref('Booking') }],
+  ['get', '/api/bookings/:id/ticket', { tag: 'Bookings', summary: 'Signed ticket QR for a confirmed booking', auth: 'user', validate: bookingValidators.ticket, data: ref('Ticket'), png: true }],
+  ['post', '/api/bookings', { tag: 'Bookings', summary: 'Book seats', auth: 'verified', validate: bookingValidators.create, status: 201, data: ref('Booking'), description: '`checkout: true` (or REQUIRE_PAYMENT) holds the seats as a pending booking until it is paid. 400 SOLD_OUT carries the seats left in `data`.' }],
+  ['put', '/api/bookings/:id/confirm', { tag: 'Bookings', summary: 'Confirm a pending booking', auth: 'user', validate: bookingValidators.confirm, data: ref('Booking') }],
+  ['put', '/api/bookings/:id/cancel', { tag: 'Bookings', summary: 'Cancel a booking (refund per the cancellation policy)', auth: 'user', validate: bookingValidators.bookingId, data: ref('Booking') }],
+  ['put', '/api/bookings/:id/reminders', { tag: 'Bookings', summary: 'Turn event reminders on or off for a booking', auth: 'user', validate: bookingValidators.reminders, data: ref('Booking') }],
+  ['post', '/api/bookings/check-in', { tag: 'Bookings', summary: 'Check in an attendee by ticket QR payload', auth: 'organizer', validate: bookingValidators.checkIn, data: ref('CheckIn') }],
+  ['get', '/api/bookings/organizer/events/:eventId/check-ins', { tag: 'Bookings', summary: 'Live check-in counts for an event', auth: 'organizer', validate: bookingValidators.eventId, data: ref('CheckInCounts') }],
+  ['get', '/api/bookings/organizer/event-bookings', { tag: 'Bookings', summary: "Bookings for the current organizer's events", auth: 'user', data: arrayOf(ref('Booking')) }],
+
+  // Wishlist
+  ['get', '/api/wishlist', { tag: 'Wishlist', summary: 'Wishlist with event details', auth: 'user', data: arrayOf(ref('WishlistItem')), meta: { count: int } }],
+  ['post', '/api/wishlist', { tag: 'Wishlist', summary: 'Add an event (returns the existing item if already added)', auth: 'user', validate: wishlistValidators.add, status: 201, data: ref('WishlistItem') }],
+  ['delete', '/api/wishlist/:id', { tag: 'Wishlist', summary: 'Remove by wishlist item id or event id', auth: 'user', validate: wishlistValidators.remove }],
+
+  // Waitlist
+  ['post', '/api/waitlist', { tag: 'Waitlist', summary: 'Join the waitlist of a sold-out event', auth: 'verified', validate: waitlistValidators.join, status: 201, data: ref('WaitlistPosition') }],
+  ['get', '/api/waitlist', { tag: 'Waitlist', summary: "Current user's waitlist entries", auth: 'user', data: arrayOf(ref('WaitlistPosition')) }],
+  ['get', '/api/waitlist/event/:eventId', { tag: 'Waitlist', summary: "An event's waitlist", auth: 'organizer', validate: waitlistValidators.eventId, data: arrayOf(ref('WaitlistPosition')), meta: { summary: ref('WaitlistSummary') } }],
+  ['get', '/api/waitlist/:id', { tag: 'Waitlist', summary: 'One waitlist entry with its position', auth: 'user', validate: waitlistValidators.entryId, data: ref('WaitlistPosition') }],
+  ['post', '/api/waitlist/:id/claim', { tag: 'Waitlist', summary: 'Claim a free seat offer', auth: 'user', validate: waitlistValidators.entryId, data: ref('Booking') }],
+  ['delete', '/api/waitlist/:id', { tag: 'Waitlist', summary: 'Leave the waitlist (declines an open offer)', auth: 'user', validate: waitlistValidators.entryId }],
+
+  // Payments
+  ['post', '/api/payments/intent', { tag: 'Payments', summary: 'Start paying for a pending booking', auth: 'user', validate: paymentValidators.intent, status: 201, data: ref('PaymentIntent'), description: 'Returns 200 with the intent already open for the booking instead of creating a second one.' }],
+  ['post', '/api/payments/webhook/:provider', { tag: 'Payments', summary: 'Payment gateway webhook (signed by the provider)', data: object({ outcome: str }), raw: true, description: 'Ignored (`payment_mismatch`) unless the payment is the one the booking waits for. The `fake` provider is only available outside production.' }],
+
+  // Reviews
+  ['get', '/api/reviews/event/:eventId', { tag: 'Reviews', summary: "An event's visible reviews", validate: reviewValidators.list, data: arrayOf(ref('Review')), meta: paginated }],
+  ['post', '/api/reviews', { tag: 'Reviews', summary: 'Review an attended event', auth: 'user', validate: reviewValidators.create, status: 201, data: ref('Review') }],
+  ['put', '/api/reviews/:id', { tag: 'Reviews', summary: 'Edit own review', auth: 'user', validate: reviewValidators.update, data: ref('Review') }],
+  ['delete', '/api/reviews/:id', { tag: 'Reviews', summary: 'Delete a review (author or admin)', auth: 'user', validate: reviewValidators.reviewId }],
+  ['put', '/api/reviews/:id/reply', { tag: 'Reviews', summary: 'Reply as the event organizer (empty text removes it)', auth: 'organizer', validate: reviewValidators.reply, data: ref('Review') }],
+  ['put', '/api/reviews/:id/hide', { tag: 'Reviews', summary: 'Hide or restore a review', auth: 'admin', validate: reviewValidators.hide, data: ref('Review') }],
+
+  // Organizer applications
+  ['post', '/api/organizer-applications', { tag: 'Organizer applications', summary: 'Apply to become an organizer', auth: 'user', validate: applicationValidators.apply, status: 201, data: ref('OrganizerApplication') }],
+  ['get', '/api/organizer-applications/me', { tag: 'Organizer applications', summary: 'Own applications, newest first', auth: 'user', data: arrayOf(ref('OrganizerApplication')) }],
+
+  // Admin
+  ['get', '/api/admin/dashboard/stats', { tag: 'Admin', summary: 'Dashboard totals', auth: 'admin', data: ref('DashboardStats') }],
+  ['get', '/api/admin/users/list', { tag: 'Admin', summary: 'All users', auth: 'admin', data: arrayOf(ref('User')) }],
+  ['get', '/api/admin/events/list', { tag: 'Admin', summary: 'All events', auth: 'admin', data: arrayOf(ref('Event')) }],
+  ['put', '/api/admin/users/:id/deactivate', { tag: 'Admin', summary: 'Deactivate a user and end their sessions', auth: 'admin', validate: adminValidators.userId, data: ref('User') }],
+  ['put', '/api/admin/events/:id/feature', { tag: 'Admin', summary: 'Feature an event', auth: 'admin', validate: adminValidators.eventId, data: ref('Event') }],
+  ['put', '/api/admin/bookings/:id/refund', { tag: 'Admin', summary: 'Issue a manual refund (optionally cancelling the booking)', auth: 'admin', validate: adminValidators.refund, data: ref('Booking'), description: 'An amount above what is left to refund is rejected (400 REFUND_TOO_LARGE) before anything is cancelled.' }],
+  ['get', '/api/admin/organizer-applications', { tag: 'Admin', summary: 'Organizer applications by status', auth: 'admin', validate: adminValidators.applications, data: arrayOf(ref('OrganizerApplication')) }],
+  ['put', '/api/admin/organizer-applications/:id/approve', { tag: 'Admin', summary: 'Approve an application (user becomes an organizer)', auth: 'admin', validate: adminValidators.approveApplication, data: ref('OrganizerApplication') }],
+  ['get', '/api/admin/broadcasts', { tag: 'Admin', summary: 'Organizer broadcast history', auth: 'admin', validate: adminValidators.broadcasts, data: arrayOf(ref('Broadcast')), meta: paginated }],
+  ['put', '/api/admin/organizer-applications/:id/reject', { tag: 'Admin', summary: 'Reject an application', auth: 'admin', validate: adminValidators.rejectApplication, data: ref('OrganizerApplication') }],
+
+  // Users
+  ['get', '/api/users/:id', { tag: 'Users', summary: 'Public profile of a user', validate: userValidators.userId, data: ref('User') }],
+
+  // Broadcasts
+  ['post', '/api/broadcasts', { tag: 'Broadcasts', summary: 'Message the attendees of an event', auth: 'organizer', validate: broadcastValidators.create, status: 202, data: ref('Broadcast'), description: 'Delivered as a notification and an email by a background job. One message per event every 10 minutes, 5 per event and 20 per organizer a day — 429 BROADCAST_LIMIT otherwise.' }],
+  ['get', '/api/broadcasts/event/:eventId', { tag: 'Broadcasts', summary: "An event's broadcast history (organizer of the event or admin)", auth: 'user', validate: broadcastValidators.history, data: arrayOf(ref('Broadcast')), meta: paginated }],
+
+  // Notifications
+  ['get', '/api/notifications', { tag: 'Notifications', summary: 'Own notifications, newest first', auth: 'user', validate: notificationValidators.list, data: arrayOf(ref('Notification')), meta: { ...paginated, unread: int } }],
+  ['get', '/api/notifications/unread-count', { tag: 'Notifications', summary: 'Number of unread notifications', auth: 'user', data: object({ unread: int }) }],
+  ['put', '/api/notifications/read-all', { tag: 'Notifications', summary: 'Mark every notification as read', auth: 'user', data: object({ updated: int }) }],
+  ['put', '/api/notifications/push-token', { tag: 'Notifications', summary: 'Register this device for push notifications', auth: 'user', validate: notificationValidators.pushToken }],
+  ['delete', '/api/notifications/push-token', { tag: 'Notifications', summary: 'Stop push notifications to this device', auth: 'user' }],
+  ['put', '/api/notifications/:id/read', { tag: 'Notifications', summary: 'Mark a notification as read', auth: 'user', validate: notificationValidators.notificationId, data: ref('Notification') }],
+
+  // Service
+  ['get', '/api/analytics/organizer', { tag: 'Analytics', summary: "Sales and attendance across the organizer's events", auth: 'organizer', validate: analyticsValidators.organizer, data: ref('OrganizerAnalytics'), description: 'Counts bookings and wishlist saves made between `from` and `to` (plain dates cover whole days in `timezone`). The timeline is grouped by `groupBy`. Admins may pass `organizerId`.' }],
+  ['get', '/api/analytics/events/:eventId', { tag: 'Analytics', summary: 'Sales and attendance for one event (organizer of the event or admin)', auth: 'user', validate: analyticsValidators.event, data: ref('EventAnalytics') }],
+  ['get', '/api/health', { tag: 'Service', summary: 'Health check', data: object({ timestamp: dateTime }) }],
+];
+
+// ── Building the document ─────────────────────────────────────
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const envelope = (data, meta) => {
+  const properties = {
+    success: { type: 'boolean', enum: [true] },
+    status: int,
+    message: str,
+    data: data || { nullable: true },
+  };
+  if (meta) properties.meta = object(meta);
+  return { type: 'object', required: ['success', 'status', 'message', 'data'], properties };
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } },
+});
+
+const operation = (method, path, route) => {
+  const { parameters, body } = fromValidators(route.validate);
+
+  // Path params a route reads without validating them
+  for (const [, name] of path.matchAll(/:(\w+)/g)) {
+    if (!parameters.some((p) => p.in === 'path' && p.name === name)) {
+      parameters.push({ name, in: 'path', required: true, schema: str });
+    }
+  }
+
+  const status = route.status || 200;
+  const success = {
+    description: 'Success',
+    content: { 'application/json': { schema: envelope(route.data, route.meta) } },
+  };
+  if (route.png) success.content['image/png'] = { schema: { type: 'string', format: 'binary' } };
+
+  const responses = { [status]: success };
+  if (route.validate || route.raw) responses[400] = { $ref: '#/components/responses/BadRequest' };
+  if (route.auth) {
+    responses[401] = { $ref: '#/components/responses/Unauthorized' };
+    responses[403] = { $ref: '#/components/responses/Forbidden' };
+  }
+  if (path.includes(':') || (body && Object.values(body.properties).some((p) => p.pattern))) {
+    responses[404] = { $ref: '#/components/responses/NotFound' };
+  }
+  if (body) responses[422] = { $ref: '#/components/responses/ValidationFailed' };
+  responses[429] = { $ref: '#/components/responses/TooManyRequests' };
+
+  const notes = [AUTH_NOTES[route.auth], route.verified && AUTH_NOTES.verified, route.description].filter(Boolean);
+  const op = {
+    tags: [route.tag],
+    summary: route.summary,
+    operationId: `${method}${path.replace(/^\/api/, '').replace(/[/:-](\w)/g, (m, c) => c.toUpperCase())}`,
+    parameters,
+    responses,
+  };
+  if (notes.length) op.description = notes.join(' ');
+  if (route.auth) op.security = [{ bearerAuth: [] }];
+
+  if (route.raw) {
+    op.requestBody = {
+      description: 'Provider-specific event, verified against its signature header',
+      content: { 'application/json': { schema: { type: 'object' } } },
+    };
+  } else if (body) {
+    op.requestBody = { required: Boolean(body.required), content: { 'application/json': { schema: body } } };
+    if (route.multipart) {
+      op.requestBody.content['multipart/form-data'] = {
+        schema: {
+          ...body,
+          properties: { ...body.properties, image: { type: 'string', format: 'binary', description: 'jpg, png or webp, up to 5 MB' } },
+        },
+      };
+    }
+  }
+  return op;
+};
+
+const buildSpec = () => {
+  const paths = {};
+  for (const [method, path, route] of ROUTES) {
+    const key = toOpenApiPath(path);
+    paths[key] = paths[key] || {};
+    paths[key][method] = operation(method, path, route);
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Event Finder API',
+      version: '1.0.0',
+      description: 'Every response uses the `{ success, status, message, data, meta? }` envelope; errors are `{ success: false, status, code, message, errors?, data? }` — switch on `code`. See the README for the list of codes.',
+    },
+    servers: [{ url: '/' }],
+    tags: [...new Set(ROUTES.map(([, , route]) => route.tag))].map((name) => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      },
+      schemas: {
+        User: fromMongoose(User.schema),
+        Event: fromMongoose(Event.schema),
+        Booking: fromMongoose(Booking.schema, { omit: ['qrCode'] }),
+        WaitlistEntry: fromMongoose(WaitlistEntry.schema),
+        Review: fromMongoose(Review.schema),
+        OrganizerApplication: fromMongoose(OrganizerApplication.schema),
+        WishlistItem: fromMongoose(Wishlist.schema),
+        Notification: fromMongoose(Notification.schema),
+        Broadcast: fromMongoose(Broadcast.schema),
+        AuthTokens,
+        SessionInfo,
+        Ticket,
+        CheckIn,
+        CheckInCounts,
+        PaymentIntent,
+        DashboardStats,
+        WaitlistPosition,
+        WaitlistSummary,
+        Pagination,
+        EventChange,
+        EventMetrics,
+        AnalyticsRange,
+        AnalyticsPeriod,
+        OrganizerAnalytics,
+        EventAnalytics,
+        FieldError: object({ field: str, location: str, message: str }),
+        Error: {
+          type: 'object',
+          required: ['success', 'status', 'code', 'message'],
+          properties: {
+            success: { type: 'boolean', enum: [false] },
+            status: int,
+            code: { ...str, example: 'EVENT_NOT_FOUND' },
+            message: str,
+            errors: arrayOf(ref('FieldError')),
+            data: { type: 'object', description: 'Extra details for some codes, e.g. seats left for SOLD_OUT' },
+          },
+        },
+      },
+      responses: {
+        BadRequest: errorResponse('Bad request — e.g. INVALID_ID or a rule the route checks itself'),
+        Unauthorized: errorResponse('Missing token or ended session (TOKEN_MISSING, SESSION_ENDED)'),
+        Forbidden: errorResponse('Not allowed (TOKEN_INVALID, ADMIN_REQUIRED, ORGANIZER_REQUIRED, EMAIL_NOT_VERIFIED, ...)'),
+        NotFound: errorResponse('Not found'),
+        ValidationFailed: errorResponse('VALIDATION_FAILED — `errors` lists each invalid field'),
+        TooManyRequests: errorResponse('RATE_LIMITED or ACCOUNT_LOCKED — see the Retry-After header'),
+      },
+    },
+  };
+};
+
+let spec;
+const getSpec = () => {
+  spec = spec || buildSpec();
+  return spec;
+};
+
+module.exports = {
+  ROUTES,
+  getSpec,
+};
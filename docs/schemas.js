@@ -0,0 +1,138 @@
+// ── OpenAPI schema builders ───────────────────────────────────
+// The spec reuses the sources of truth the API already has instead of
+// a second hand-written copy: request parameters and bodies come from
+// the express-validator schemas in validators/, response objects from
+// the Mongoose models.
+
+const LOCATIONS = { params: 'path', query: 'query', body: 'body' };
+
+const OBJECT_ID = { type: 'string', pattern: '^[0-9a-fA-F]{24}$', example: '65f1c2a9e4b0a1b2c3d4e5f6' };
+
+// One validator field → JSON schema
+const fieldSchema = (field) => {
+  if (field.isMongoId) return { ...OBJECT_ID };
+
+  if (field.isInt || field.isFloat) {
+    const { min, max } = (field.isInt || field.isFloat).options || {};
+    const schema = { type: field.isInt ? 'integer' : 'number' };
+    if (min !== undefined) schema.minimum = min;
+    if (max !== undefined) schema.maximum = max;
+    return schema;
+  }
+
+  if (field.isBoolean) return { type: 'boolean' };
+  if (field.isISO8601) return { type: 'string', format: 'date-time' };
+  if (field.isEmail) return { type: 'string', format: 'email' };
+  if (field.isIn) return { type: 'string', enum: [...field.isIn.options[0]] };
+
+  if (field.isString) {
+    const schema = { type: 'string' };
+    const { min, max } = (field.isLength && field.isLength.options) || {};
+    if (min !== undefined) schema.minLength = min;
+    if (max !== undefined) schema.maxLength = max;
+    return schema;
+  }
+
+  // passthrough — JSON value (or a JSON string in multipart forms)
+  return { description: 'JSON value; multipart forms may send it as a JSON string' };
+};
+
+const isRequired = (field) => Boolean(field.exists) && !field.optional;
+
+// { parameters, body } for an express-validator schema. Wildcard keys
+// (`tickets.*.quantity`) become the item schema of their array.
+const fromValidators = (validators = {}) => {
+  const parameters = [];
+  const body = { type: 'object', properties: {}, required: [] };
+
+  for (const [name, field] of Object.entries(validators)) {
+    const location = LOCATIONS[(field.in || ['body'])[0]];
+
+    if (location === 'body') {
+      const [parent, , child] = name.split('.');
+      if (child) {
+        const array = body.properties[parent] || { type: 'array' };
+        array.type = 'array';
+        delete array.description;
+        array.items = array.items || { type: 'object', properties: {}, required: [] };
+        array.items.properties[child] = fieldSchema(field);
+        if (isRequired(field)) array.items.required.push(child);
+        body.properties[parent] = array;
+        continue;
+      }
+      body.properties[name] = { ...fieldSchema(field), ...body.properties[name] };
+      if (isRequired(field)) body.required.push(name);
+      continue;
+    }
+
+    parameters.push({
+      name,
+      in: location,
+      required: location === 'path' || isRequired(field),
+      schema: fieldSchema(field),
+    });
+  }
+
+  if (!body.required.length) delete body.required;
+  return {
+    parameters,
+    body: Object.keys(body.properties).length ? body : null,
+  };
+};
+
+// Mongoose schema → JSON schema. `select: false` paths never leave the
+// API and are skipped; dotted paths become nested objects.
+const TYPES = {
+  String: { type: 'string' },
+  Number: { type: 'number' },
+  Boolean: { type: 'boolean' },
+  Date: { type: 'string', format: 'date-time' },
+  ObjectId: OBJECT_ID,
+  Mixed: {},
+};
+
+const pathSchema = (schemaType) => {
+  if (schemaType.schema) {
+    const nested = fromMongoose(schemaType.schema);
+    return schemaType.instance === 'Array' ? { type: 'array', items: nested } : nested;
+  }
+  if (schemaType.instance === 'Array') {
+    const caster = schemaType.caster || schemaType.$embeddedSchemaType;
+    return { type: 'array', items: caster ? pathSchema(caster) : {} };
+  }
+
+  const schema = { ...(TYPES[schemaType.instance] || {}) };
+  const { enum: values, min, max } = schemaType.options || {};
+  if (Array.isArray(values)) schema.enum = values.filter((v) => v !== null);
+  if (typeof min === 'number') schema.minimum = min;
+  if (typeof max === 'number') schema.maximum = max;
+  if (schemaType.options && schemaType.options.default === null) schema.nullable = true;
+  if (schemaType.options && schemaType.options.ref) {
+    schema.description = `${schemaType.options.ref} id — the ${schemaType.options.ref} object where the route populates it`;
+  }
+  return schema;
+};
+
+const fromMongoose = (schema, { omit = [] } = {}) => {
+  const result = { type: 'object', properties: {} };
+
+  schema.eachPath((name, schemaType) => {
+    if (name === '__v' || omit.includes(name) || (schemaType.options && schemaType.options.select === false)) return;
+
+    const parts = name.split('.');
+    let target = result;
+    for (const part of parts.slice(0, -1)) {
+      target.properties[part] = target.properties[part] || { type: 'object', properties: {} };
+      target = target.properties[part];
+    }
+    target.properties[parts[parts.length - 1]] = pathSchema(schemaType);
+  });
+
+  return result;
+};
+
+module.exports = {
+  OBJECT_ID,
+  fromValidators,
+  fromMongoose,
+};
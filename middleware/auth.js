@@ -1,43 +1,67 @@
 const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { isVerificationRequired } = require('../services/verification');
+const { UnauthorizedError, ForbiddenError } = require('../services/errors');
+
+// Access tokens are short-lived JWTs tied to a Session (`sid`). The
+// session and its user are checked on every request, so logout,
+// revocation and deactivation take effect immediately; `role` comes
+// from the user record rather than the token.
+const authMiddleware = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+
+  if (!token) {
+    return next(new UnauthorizedError('No token provided', 'TOKEN_MISSING'));
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return next(new ForbiddenError('Invalid or expired token', 'TOKEN_INVALID'));
+  }
 
-const authMiddleware = (req, res, next) => {
   try {
-    const token = req.headers.authorization?.split(' ')[1];
+    const session = decoded.sid && await Session.findById(decoded.sid).populate('user', 'role isActive isVerified');
+    if (!session || !session.isActive || !session.user) {
+      return next(new UnauthorizedError('Session has ended, please log in again', 'SESSION_ENDED'));
+    }
 
-    if (!token) {
-      return res.status(401).json({
-        message: 'No token provided',
-        status: 401,
-      });
+    if (!session.user.isActive) {
+      return next(new ForbiddenError('Account is deactivated', 'ACCOUNT_DEACTIVATED'));
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
+    req.user = {
+      id: session.user._id.toString(),
+      role: session.user.role,
+      isVerified: session.user.isVerified,
+      sid: decoded.sid,
+    };
     next();
   } catch (error) {
-    res.status(403).json({
-      message: 'Invalid or expired token',
-      status: 403,
-    });
+    next(error);
   }
 };
 
 const adminMiddleware = (req, res, next) => {
   if (req.user?.role !== 'admin') {
-    return res.status(403).json({
-      message: 'Admin access required',
-      status: 403,
-    });
+    return next(new ForbiddenError('Admin access required', 'ADMIN_REQUIRED'));
   }
   next();
 };
 
 const organizerMiddleware = (req, res, next) => {
   if (req.user?.role !== 'organizer' && req.user?.role !== 'admin') {
-    return res.status(403).json({
-      message: 'Organizer access required',
-      status: 403,
-    });
+    return next(new ForbiddenError('Organizer access required', 'ORGANIZER_REQUIRED'));
+  }
+  next();
+};
+
+// With REQUIRE_EMAIL_VERIFICATION=true, unverified accounts can't
+// book or create events
+const verifiedMiddleware = (req, res, next) => {
+  if (isVerificationRequired() && !req.user?.isVerified) {
+    return next(new ForbiddenError('Please verify your email address first', 'EMAIL_NOT_VERIFIED'));
   }
   next();
 };
@@ -46,4 +70,5 @@ module.exports = {
   authMiddleware,
   adminMiddleware,
   organizerMiddleware,
+  verifiedMiddleware,
 };
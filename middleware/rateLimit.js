@@ -0,0 +1,183 @@
+const jwt = require('jsonwebtoken');
+const { TooManyRequestsError } = require('../services/errors');
+const { sendError } = require('./response');
+
+// ── Rate limiting ─────────────────────────────────────────────
+// Fixed-window counters kept in a store. A store is anything with
+//
+//   increment(key, windowMs) → { count, resetAt }   starts a window on
+//                                                   the first hit
+//   get(key)                 → { count, resetAt } | null
+//   reset(key)
+//
+// (all may return promises), so a Redis-backed store can replace the
+// in-memory one when several instances run behind a load balancer —
+// pass it as `store`, or call setDefaultStore() once at startup.
+// Limits themselves are configured per route group in app.js.
+
+class MemoryStore {
+  constructor({ cleanupMs = 60 * 1000 } = {}) {
+    this.hits = new Map();
+    this.timer = setInterval(() => this.cleanup(), cleanupMs);
+    this.timer.unref();
+  }
+
+  increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+    entry.count += 1;
+    return { ...entry };
+  }
+
+  get(key) {
+    const entry = this.hits.get(key);
+    return entry && entry.resetAt > Date.now() ? { ...entry } : null;
+  }
+
+  reset(key) {
+    this.hits.delete(key);
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) this.hits.delete(key);
+    }
+  }
+}
+
+let defaultStore = null;
+const getDefaultStore = () => defaultStore || (defaultStore = new MemoryStore());
+const setDefaultStore = (store) => { defaultStore = store; };
+
+const isDisabled = () => process.env.RATE_LIMIT_DISABLED === 'true';
+
+// Account id for per-account buckets. Limiters run before the
+// routers' authMiddleware, so the bearer token is only decoded here
+// to pick a bucket — it is still fully checked later.
+const accountKey = (req) => {
+  if (req.user?.id) return req.user.id;
+  const token = req.headers.authorization?.split(' ')[1];
+  if (token) {
+    try {
+      return jwt.verify(token, process.env.JWT_SECRET).id;
+    } catch (e) {
+      // invalid token — authMiddleware will reject it
+    }
+  }
+  if (req.body?.email) return `email:${String(req.body.email).toLowerCase().trim()}`;
+  return null;
+};
+
+const KEYS = {
+  ip: (req) => req.ip,
+  account: accountKey,
+};
+
+const secondsUntil = (time) => Math.max(Math.ceil((time - Date.now()) / 1000), 0);
+
+const tooMany = (res, resetAt, message, code) => {
+  res.set('Retry-After', String(secondsUntil(resetAt)));
+  return sendError(res, new TooManyRequestsError(message, code));
+};
+
+// rateLimit({ name, windowMs, max, key: 'ip' | 'account' | (req) => key,
+//             methods, store, message })
+// Requests without a key (e.g. anonymous on an account bucket) pass.
+// Sets RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset, and
+// Retry-After on 429.
+const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  key = 'ip',
+  methods = null,
+  store = null,
+  message = 'Too many requests, please try again later',
+}) => {
+  const keyOf = typeof key === 'function' ? key : KEYS[key];
+  if (!keyOf) throw new Error(`Unknown rate limit key "${key}"`);
+
+  return async (req, res, next) => {
+    if (isDisabled() || (methods && !methods.includes(req.method))) return next();
+
+    try {
+      const id = keyOf(req);
+      if (!id) return next();
+
+      const { count, resetAt } = await (store || getDefaultStore()).increment(`${name}:${id}`, windowMs);
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(Math.max(max - count, 0)));
+      res.set('RateLimit-Reset', String(secondsUntil(resetAt)));
+
+      if (count > max) return tooMany(res, resetAt, message, 'RATE_LIMITED');
+      next();
+    } catch (error) {
+      // A broken store shouldn't take the API down with it
+      console.error('Rate limit store error:', error.message);
+      next();
+    }
+  };
+};
+
+// Progressive lockout for POST /login, keyed by email *and* client IP —
+// keyed by email alone, anyone could lock a user out by failing logins
+// against their address. Guessing from many addresses is capped by the
+// per-IP login limit instead. Every 401 from the route counts as a
+// failure; after `freeAttempts` failures inside `windowMs` that email
+// is locked for that IP for `baseLockMs`, doubling with each further
+// failure up to `maxLockMs`. A successful login clears it.
+const loginLockout = ({
+  freeAttempts = 5,
+  windowMs = 60 * 60 * 1000,
+  baseLockMs = 60 * 1000,
+  maxLockMs = 60 * 60 * 1000,
+  store = null,
+} = {}) => async (req, res, next) => {
+  const email = req.body?.email && String(req.body.email).toLowerCase().trim();
+  if (isDisabled() || req.method !== 'POST' || !email) return next();
+
+  const db = store || getDefaultStore();
+  const failKey = `login-fail:${email}:${req.ip}`;
+  const lockKey = `login-lock:${email}:${req.ip}`;
+
+  try {
+    const lock = await db.get(lockKey);
+    if (lock) {
+      return tooMany(res, lock.resetAt, 'Too many failed login attempts — account temporarily locked', 'ACCOUNT_LOCKED');
+    }
+  } catch (error) {
+    console.error('Rate limit store error:', error.message);
+    return next();
+  }
+
+  res.on('finish', async () => {
+    try {
+      if (res.statusCode === 401) {
+        const { count } = await db.increment(failKey, windowMs);
+        if (count >= freeAttempts) {
+          const lockMs = Math.min(baseLockMs * 2 ** (count - freeAttempts), maxLockMs);
+          await db.increment(lockKey, lockMs);
+          console.warn(`🔒 Login locked for ${email} from ${req.ip} (${count} failures, ${lockMs / 1000}s)`);
+        }
+      } else if (res.statusCode < 400) {
+        await db.reset(failKey);
+      }
+    } catch (error) {
+      console.error('Rate limit store error:', error.message);
+    }
+  });
+
+  next();
+};
+
+module.exports = {
+  MemoryStore,
+  setDefaultStore,
+  rateLimit,
+  loginLockout,
+};
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const { AppError, NotFoundError, ValidationError, httpError } = require('../services/errors');
+
+// ── Response envelope ─────────────────────────────────────────
+// Every route answers with
+//
+//   { success: true,  status, message, data, meta? }
+//   { success: false, status, code, message, errors?, data? }
+//
+// While older app builds are still around, RESPONSE_COMPAT (on unless
+// set to "false") also sends the fields they read: the `legacy` keys a
+// route passes (e.g. `event`, `events`, `pagination`) and `error` with
+// the raw message on 500s.
+
+const ENVELOPE_KEYS = ['success', 'status', 'message', 'data', 'meta', 'code', 'errors'];
+
+const isCompat = () => process.env.RESPONSE_COMPAT !== 'false';
+
+const withLegacy = (body, legacy) => {
+  if (!legacy || !isCompat()) return body;
+  const extra = Object.fromEntries(Object.entries(legacy).filter(([key]) => !ENVELOPE_KEYS.includes(key)));
+  return { ...body, ...extra };
+};
+
+const sendSuccess = (res, { status = 200, message = 'OK', data = null, meta, legacy } = {}) => {
+  const body = { success: true, status, message, data };
+  if (meta) body.meta = meta;
+  return res.status(status).json(withLegacy(body, legacy));
+};
+
+// Map anything thrown into an AppError: our own errors pass through,
+// Mongoose and body-parser/multer errors get a sensible status and
+// code, and the rest become a 500.
+const toAppError = (error) => {
+  if (error instanceof AppError) return error;
+
+  if (error instanceof mongoose.Error.CastError) {
+    return new ValidationError(`Invalid ${error.path}`, [
+      { field: error.path, location: 'params', message: 'Must be a valid id' },
+    ], { status: 400, code: 'INVALID_ID' });
+  }
+  if (error instanceof mongoose.Error.ValidationError) {
+    return new ValidationError('Validation failed', Object.values(error.errors).map((e) => ({
+      field: e.path, location: 'body', message: e.message,
+    })));
+  }
+  if (error.code === 11000) return httpError(409, 'Duplicate record');
+  if (Number.isInteger(error.status) && error.status >= 400 && error.status < 500) {
+    return httpError(error.status, error.message);
+  }
+  return null;
+};
+
+const sendError = (res, error) => {
+  const appError = toAppError(error);
+
+  if (!appError) {
+    console.error('Error:', error);
+    const body = { success: false, status: 500, code: 'INTERNAL_ERROR', message: 'Server Error' };
+    return res.status(500).json(withLegacy(body, { error: error.message }));
+  }
+  if (appError.status >= 500) console.error('Error:', error);
+
+  const body = {
+    success: false,
+    status: appError.status,
+    code: appError.code,
+    message: appError.message,
+  };
+  if (appError.details) body.errors = appError.details;
+  if (appError.data) body.data = appError.data;
+  return res.status(appError.status).json(body);
+};
+
+// Express 4 doesn't catch rejected promises — route handlers are
+// wrapped so thrown errors reach errorHandler
+const asyncHandler = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+const errorHandler = (err, req, res, next) => sendError(res, err);
+
+const notFoundHandler = (req, res) =>
+  sendError(res, new NotFoundError(`Route ${req.method} ${req.originalUrl} not found`, 'ROUTE_NOT_FOUND'));
+
+module.exports = {
+  sendSuccess,
+  sendError,
+  asyncHandler,
+  errorHandler,
+  notFoundHandler,
+};
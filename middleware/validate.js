@@ -0,0 +1,39 @@
+const { checkSchema, validationResult, matchedData } = require('express-validator');
+const { ValidationError } = require('../services/errors');
+
+// Shared message for ObjectId checks — those failures are malformed
+// ids, answered with 400 rather than 422
+const INVALID_ID = 'Must be a valid id';
+
+// validate(schema) — runs an express-validator schema (see validators/)
+// and fails with a ValidationError listing `[{ field, location, message }]`:
+//   400 INVALID_ID         when an id is malformed
+//   422 VALIDATION_FAILED  for any other invalid field
+// On success req.body keeps only the fields the schema declares,
+// already sanitized.
+const validate = (schema, { stripUnknown = true } = {}) => [
+  checkSchema(schema),
+  (req, res, next) => {
+    const errors = validationResult(req).array({ onlyFirstError: true });
+
+    if (errors.length > 0) {
+      const fields = errors.map((e) => ({ field: e.path, location: e.location, message: e.msg }));
+      const badId = errors.find((e) => e.msg === INVALID_ID);
+
+      if (badId) {
+        return next(new ValidationError(`Invalid ${badId.path}`, fields, { status: 400, code: 'INVALID_ID' }));
+      }
+      return next(new ValidationError('Validation failed', fields));
+    }
+
+    if (stripUnknown && req.body && typeof req.body === 'object') {
+      req.body = matchedData(req, { locations: ['body'] });
+    }
+    next();
+  },
+];
+
+module.exports = {
+  INVALID_ID,
+  validate,
+};
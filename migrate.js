@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Runs every file in ./migrations (in name order) that hasn't been
+// applied yet. Each migration exports { description, up() } and is
+// recorded in the `migrations` collection once it succeeds.
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+const runMigrations = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const applied = mongoose.connection.collection('migrations');
+    const done = new Set((await applied.find().toArray()).map((m) => m.name));
+
+    const files = fs.readdirSync(MIGRATIONS_DIR).filter((f) => f.endsWith('.js')).sort();
+    let count = 0;
+
+    for (const file of files) {
+      const name = path.basename(file, '.js');
+      if (done.has(name)) continue;
+
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      console.log(`▶️  ${name} — ${migration.description}`);
+      const result = await migration.up();
+      await applied.insertOne({ name, appliedAt: new Date(), result: result || null });
+      console.log(`✅ ${name}`, result || '');
+      count++;
+    }
+
+    console.log(count ? `✅ Applied ${count} migration(s)` : '✅ Nothing to migrate');
+    await mongoose.connection.close();
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    process.exit(1);
+  }
+};
+
+runMigrations();
@@ -0,0 +1,23 @@
+const Event = require('../models/Event');
+
+module.exports = {
+  description: 'Build GeoJSON geoLocation from latitude/longitude and create the 2dsphere index',
+
+  up: async () => {
+    const events = await Event.find({ geoLocation: { $exists: false } }).select('latitude longitude');
+
+    const ops = events
+      .filter((e) => Event.hasCoordinates(e.latitude, e.longitude))
+      .map((e) => ({
+        updateOne: {
+          filter: { _id: e._id },
+          update: { $set: { geoLocation: { type: 'Point', coordinates: [e.longitude, e.latitude] } } },
+        },
+      }));
+
+    if (ops.length > 0) await Event.bulkWrite(ops);
+    await Event.createIndexes();
+
+    return { scanned: events.length, updated: ops.length };
+  },
+};
@@ -0,0 +1,10 @@
+const Event = require('../models/Event');
+
+module.exports = {
+  description: 'Create the weighted full-text index used by event search',
+
+  up: async () => {
+    await Event.createIndexes();
+    return { indexes: Object.keys(await Event.collection.indexInformation()) };
+  },
+};
@@ -0,0 +1,13 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+
+module.exports = {
+  description: 'Make the one-active-waitlist-entry index per event session instead of per event',
+
+  up: async () => {
+    const indexes = await WaitlistEntry.collection.indexInformation();
+    const dropped = 'user_1_event_1' in indexes;
+    if (dropped) await WaitlistEntry.collection.dropIndex('user_1_event_1');
+    await WaitlistEntry.createIndexes();
+    return { dropped };
+  },
+};
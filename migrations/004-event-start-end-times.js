@@ -0,0 +1,39 @@
+const Event = require('../models/Event');
+const { defaultTimeZone } = require('../services/eventTime');
+
+module.exports = {
+  description: 'Derive startsAt/endsAt from date/time in the default timezone and index endsAt',
+
+  up: async () => {
+    const events = await Event.find({ startsAt: { $exists: false } })
+      .select('date time timezone durationMinutes occurrences')
+      .lean();
+
+    const ops = events.map((e) => {
+      const event = Event.deriveTimes({
+        ...e,
+        timezone:        e.timezone || defaultTimeZone(),
+        durationMinutes: e.durationMinutes || 120,
+      });
+      return {
+        updateOne: {
+          filter: { _id: e._id },
+          update: {
+            $set: {
+              timezone:        event.timezone,
+              durationMinutes: event.durationMinutes,
+              startsAt:        event.startsAt,
+              endsAt:          event.endsAt,
+              occurrences:     event.occurrences || [],
+            },
+          },
+        },
+      };
+    });
+
+    if (ops.length > 0) await Event.bulkWrite(ops);
+    await Event.createIndexes();
+
+    return { scanned: events.length, updated: ops.length, timezone: defaultTimeZone() };
+  },
+};
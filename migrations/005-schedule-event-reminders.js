@@ -0,0 +1,24 @@
+const Event = require('../models/Event');
+const Job = require('../models/Job');
+const { scheduleEventReminders } = require('../services/reminders');
+
+module.exports = {
+  description: 'Schedule reminder jobs for upcoming approved events created before reminders existed',
+
+  up: async () => {
+    await Job.createIndexes();
+
+    const events = await Event.find({
+      status: 'approved',
+      isActive: true,
+      endsAt: { $gt: new Date() },
+    }).select('startsAt occurrences');
+
+    let jobs = 0;
+    for (const event of events) {
+      jobs += await scheduleEventReminders(event);
+    }
+
+    return { events: events.length, jobs };
+  },
+};
@@ -0,0 +1,27 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+
+const INDEX = 'user_1_event_1_occurrence_1';
+
+module.exports = {
+  description: 'Filter the one-active-waitlist-entry index on an `active` flag (works before MongoDB 6.0)',
+
+  up: async () => {
+    const { collection } = WaitlistEntry;
+    const activated = await collection.updateMany(
+      { status: { $in: ['waiting', 'offered'] } },
+      { $set: { active: true } }
+    );
+    const deactivated = await collection.updateMany(
+      { status: { $nin: ['waiting', 'offered'] } },
+      { $set: { active: false } }
+    );
+
+    const indexes = await collection.indexes();
+    const old = indexes.find((index) => index.name === INDEX);
+    const dropped = Boolean(old && !(old.partialFilterExpression && old.partialFilterExpression.active === true));
+    if (dropped) await collection.dropIndex(INDEX);
+    await WaitlistEntry.createIndexes();
+
+    return { activated: activated.modifiedCount, deactivated: deactivated.modifiedCount, dropped };
+  },
+};
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens mailed to users (email verification, password
+// reset). Only a sha256 of the token is stored; `usedAt` is set when
+// it is redeemed.
+const authTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: ['email_verification', 'password_reset'],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+authTokenSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+// Kept a day past expiry so resend limits can still count them
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
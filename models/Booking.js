@@ -12,6 +12,19 @@ const bookingSchema = new mongoose.Schema(
       ref: 'Event',
       required: true,
     },
+    // Session booked, for recurring / multi-session events
+    occurrence: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    occurrenceDate: {
+      type: Date,
+      default: null,
+    },
+    occurrenceTime: {
+      type: String,
+      default: null,
+    },
     numberOfSeats: {
       type: Number,
       required: true,
@@ -22,19 +35,98 @@ const bookingSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // Per-tier breakdown for events that sell ticket types.
+    // name/unitPrice are copied so later tier edits don't rewrite history.
+    tickets: [
+      {
+        _id: false,
+        ticketType: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        name: {
+          type: String,
+          required: true,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        unitPrice: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+      },
+    ],
     status: {
       type: String,
       enum: ['confirmed', 'pending', 'cancelled'],
       default: 'confirmed',
     },
+    // Pending holds are released back to the event after this time
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when the booking is a seat offer made to the waitlist
+    waitlistEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WaitlistEntry',
+      default: null,
+    },
     paymentId: {
       type: String,
       default: null,
     },
+    paymentProvider: {
+      type: String,
+      default: null,
+    },
+    // 'not_required' for free bookings
+    paymentStatus: {
+      type: String,
+      enum: ['not_required', 'requires_payment', 'succeeded', 'failed'],
+      default: 'not_required',
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    // Money returned to the user; `amount` is the running total when
+    // an admin issues more than one refund
+    refund: {
+      amount: { type: Number, default: 0, min: 0 },
+      percent: { type: Number, default: 0, min: 0, max: 100 },
+      status: {
+        type: String,
+        enum: ['none', 'pending', 'processed', 'failed'],
+        default: 'none',
+      },
+      reason: { type: String, default: null },
+      providerRefundId: { type: String, default: null },
+      processedAt: { type: Date, default: null },
+      issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+      },
+    },
+    // Signed ticket pass encoded in the QR (services/ticketPass.js)
     qrCode: {
       type: String,
       default: null,
     },
+    checkedInAt: {
+      type: Date,
+      default: null,
+    },
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
     bookingRef: {
       type: String,
       unique: true,
@@ -43,10 +135,27 @@ const bookingSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Reminders before the event (services/reminders.js); the user
+    // can turn them off per booking
+    reminders: {
+      type: Boolean,
+      default: true,
+    },
+    // Keys of the reminder jobs already sent for this booking
+    remindersSent: {
+      type: [String],
+      default: [],
+      select: false,
+    },
   },
   { timestamps: true }
 );
 
+bookingSchema.index({ status: 1, expiresAt: 1 });
+bookingSchema.index({ event: 1, status: 1 });
+// Wishlist conversions in services/analytics.js look bookings up by both
+bookingSchema.index({ user: 1, event: 1 });
+
 // Generate booking reference before saving
 bookingSchema.pre('save', function(next) {
   if (!this.bookingRef) {
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A message an organizer sent to the attendees of one event
+// (services/broadcasts.js). Kept as the event's broadcast history;
+// delivery runs as a scheduled job and fills in `recipients`.
+const broadcastSchema = new mongoose.Schema(
+  {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: true,
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 150,
+    },
+    message: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 2000,
+    },
+    // `confirmed` — every confirmed booking; `checked_in` — only
+    // attendees whose ticket was scanned
+    audience: {
+      type: String,
+      enum: ['confirmed', 'checked_in'],
+      default: 'confirmed',
+    },
+    // Also tell people still waiting for seats
+    includeWaitlist: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'sending', 'sent', 'failed'],
+      default: 'queued',
+    },
+    recipients: {
+      type: Number,
+      default: 0,
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+broadcastSchema.index({ event: 1, createdAt: -1 });
+broadcastSchema.index({ sender: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Broadcast', broadcastSchema);
@@ -1,5 +1,120 @@
 
 const mongoose = require('mongoose');
+const {
+  combineDateTime,
+  defaultTimeZone,
+  isValidTimeZone,
+  localTimesFor,
+} = require('../services/eventTime');
+
+// Ticket tier (VIP, early-bird, student, general admission …).
+// `remaining` is decremented atomically by services/seats.js.
+const ticketTypeSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: '',
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    capacity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    remaining: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    salesStart: {
+      type: Date,
+      default: null,
+    },
+    salesEnd: {
+      type: Date,
+      default: null,
+    },
+    maxPerOrder: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+  },
+  { id: false, toJSON: { virtuals: true }, toObject: { virtuals: true } }
+);
+
+ticketTypeSchema.virtual('isOnSale').get(function() {
+  const now = new Date();
+  if (this.salesStart && now < this.salesStart) return false;
+  if (this.salesEnd && now > this.salesEnd) return false;
+  return this.remaining > 0;
+});
+
+// One session of a recurring / multi-session event, with its own
+// seat inventory (decremented atomically by services/seats.js)
+const occurrenceSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true,
+  },
+  time: {
+    type: String,
+    required: true,
+  },
+  totalSeats: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  availableSeats: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Derived from date/time in the event's timezone on save
+  startsAt: {
+    type: Date,
+  },
+  endsAt: {
+    type: Date,
+  },
+}, { id: false, toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+occurrenceSchema.virtual('localTimes').get(function() {
+  const event = this.ownerDocument();
+  return localTimesFor(this, event && event.timezone);
+});
+
+// Refund tiers, e.g. [{ hoursBefore: 168, refundPercent: 100 },
+// { hoursBefore: 48, refundPercent: 50 }] — the first rule whose
+// `hoursBefore` is still ahead of the event start applies, otherwise
+// nothing is refunded. An event without rules refunds in full until
+// it starts.
+const cancellationRuleSchema = new mongoose.Schema(
+  {
+    hoursBefore: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    refundPercent: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+  },
+  { _id: false }
+);
 
 const eventSchema = new mongoose.Schema(
   {
@@ -36,6 +151,29 @@ const eventSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // IANA zone the date/time above are expressed in
+    timezone: {
+      type: String,
+      default: defaultTimeZone,
+      validate: {
+        validator: isValidTimeZone,
+        message: (props) => `Unknown timezone "${props.value}"`,
+      },
+    },
+    durationMinutes: {
+      type: Number,
+      default: 120,
+      min: 1,
+    },
+    // Absolute start/end, derived on save from date, time, timezone
+    // and durationMinutes — for a series, the first session's start
+    // and the last session's end
+    startsAt: {
+      type: Date,
+    },
+    endsAt: {
+      type: Date,
+    },
     location: {
       type: String,
       required: true,
@@ -48,6 +186,18 @@ const eventSchema = new mongoose.Schema(
       type: Number,
       default: null,
     },
+    // GeoJSON copy of latitude/longitude for $geoNear queries — kept in
+    // sync on save; absent while the event has no real coordinates
+    geoLocation: {
+      type: {
+        type: String,
+        enum: ['Point'],
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined,
+      },
+    },
     organizer: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -79,6 +229,29 @@ const eventSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // Optional tiers — when present, price/totalSeats/availableSeats
+    // are the cheapest tier and the sums over all tiers
+    ticketTypes: [ticketTypeSchema],
+    cancellationPolicy: {
+      rules: [cancellationRuleSchema],
+    },
+    // Series: the rule the sessions were generated from (null for an
+    // explicit session list). When `occurrences` is non-empty, date/time
+    // are the first session and seat counts are sums over all sessions.
+    recurrence: {
+      type: new mongoose.Schema(
+        {
+          frequency: { type: String, enum: ['daily', 'weekly', 'monthly'] },
+          interval: { type: Number, default: 1, min: 1 },
+          until: { type: Date, default: null },
+          count: { type: Number, default: null },
+          exceptions: [Date],
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+    occurrences: [occurrenceSchema],
     isFeatured: {
       type: Boolean,
       default: false,
@@ -105,9 +278,18 @@ const eventSchema = new mongoose.Schema(
     ],
     status: {
       type: String,
-      enum: ['pending', 'approved', 'rejected'],
+      enum: ['pending', 'approved', 'rejected', 'cancelled'],
       default: 'pending',
     },
+    // Set by the organizer's "cancel event" (services/eventChanges.js)
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    cancellationReason: {
+      type: String,
+      default: null,
+    },
     adminNote: {
       type: String,
       default: '',
@@ -120,7 +302,63 @@ const eventSchema = new mongoose.Schema(
       ref: 'User',
     },
   },
-  { timestamps: true }
+  { id: false, timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } }
 );
 
+eventSchema.index({ endsAt: 1 });
+eventSchema.index({ geoLocation: '2dsphere' });
+eventSchema.index(
+  { title: 'text', category: 'text', location: 'text', description: 'text' },
+  { name: 'event_text_search', weights: { title: 10, category: 5, location: 3, description: 1 } }
+);
+
+// 0/0 is what the app sends when the organizer picked no location
+const hasCoordinates = (lat, lng) =>
+  Number.isFinite(lat) && Number.isFinite(lng) &&
+  Math.abs(lat) <= 90 && Math.abs(lng) <= 180 &&
+  !(lat === 0 && lng === 0);
+
+eventSchema.statics.hasCoordinates = hasCoordinates;
+
+eventSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('latitude') || this.isModified('longitude')) {
+    this.geoLocation = hasCoordinates(this.latitude, this.longitude)
+      ? { type: 'Point', coordinates: [this.longitude, this.latitude] }
+      : undefined;
+  }
+  next();
+});
+
+// Fill in startsAt/endsAt (and each session's) from date, time,
+// timezone and durationMinutes. Works on documents and lean objects.
+const deriveTimes = (event) => {
+  const timeZone = isValidTimeZone(event.timezone) ? event.timezone : defaultTimeZone();
+  const duration = (event.durationMinutes || 0) * 60000;
+
+  event.startsAt = combineDateTime(event.date, event.time, timeZone);
+  (event.occurrences || []).forEach((occurrence) => {
+    occurrence.startsAt = combineDateTime(occurrence.date, occurrence.time, timeZone);
+    occurrence.endsAt = occurrence.startsAt && new Date(occurrence.startsAt.getTime() + duration);
+  });
+
+  const last = event.occurrences && event.occurrences[event.occurrences.length - 1];
+  event.endsAt = last
+    ? last.endsAt
+    : event.startsAt && new Date(event.startsAt.getTime() + duration);
+  return event;
+};
+
+eventSchema.statics.deriveTimes = deriveTimes;
+
+eventSchema.pre('validate', function(next) {
+  deriveTimes(this);
+  next();
+});
+
+// Start/end as wall-clock ISO strings in the event's timezone,
+// alongside the UTC startsAt/endsAt
+eventSchema.virtual('localTimes').get(function() {
+  return localTimesFor(this, this.timezone);
+});
+
 module.exports = mongoose.model('Event', eventSchema);
\ No newline at end of file
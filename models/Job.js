@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One scheduled run of a named job (services/scheduler.js). `key` is
+// unique, so scheduling the same thing twice — from two instances or
+// after a restart — keeps a single job. A worker claims a job by
+// flipping it to `running` with a lease (`lockedUntil`); a job whose
+// worker died is picked up again once the lease runs out.
+const jobSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    runAt: {
+      type: Date,
+      required: true,
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'done', 'failed', 'cancelled'],
+      default: 'pending',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ name: 1, status: 1 });
+// Finished jobs are dropped by MongoDB 30 days later; pending ones stay
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Job', jobSchema);
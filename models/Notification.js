@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One entry in a user's in-app notification center. `data` carries
+// the ids the app needs to open the right screen (eventId, bookingId).
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: [
+        'event_approved',
+        'event_rejected',
+        'booking_confirmed',
+        'booking_cancelled',
+        'new_booking',
+        'event_reminder',
+        'event_broadcast',
+        'event_updated',
+        'event_cancelled',
+        'waitlist_offer',
+      ],
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    body: {
+      type: String,
+      default: '',
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+    // null when push was skipped (opted out, no device) or failed
+    pushedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
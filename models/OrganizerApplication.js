@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// A user's request to become an organizer; approving it upgrades the
+// user's role. One pending application per user at a time.
+const organizerApplicationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    organizationName: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 120,
+    },
+    contactEmail: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    contactPhone: {
+      type: String,
+      default: '',
+    },
+    website: {
+      type: String,
+      default: '',
+    },
+    details: {
+      type: String,
+      required: true,
+      maxlength: 2000,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending',
+    },
+    adminNote: {
+      type: String,
+      default: '',
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+organizerApplicationSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+organizerApplicationSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('OrganizerApplication', organizerApplicationSchema);
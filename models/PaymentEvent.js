@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Webhook deliveries already handled — gateways retry, so the same
+// event id can arrive more than once.
+const paymentEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      default: null,
+    },
+    paymentId: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema(
+  {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Booking that made the user eligible to review
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+    },
+    comment: {
+      type: String,
+      default: '',
+      trim: true,
+      maxlength: 2000,
+    },
+    reply: {
+      text: { type: String, default: null, trim: true, maxlength: 2000 },
+      repliedAt: { type: Date, default: null },
+      repliedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+      },
+    },
+    // Hidden by an admin — kept for audit but not shown or counted
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
+    hiddenReason: {
+      type: String,
+      default: null,
+    },
+    hiddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// One review per user per event
+reviewSchema.index({ event: 1, user: 1 }, { unique: true });
+reviewSchema.index({ event: 1, isHidden: 1, createdAt: -1 });
+
+// Recompute Event.rating / reviewCount from the visible reviews
+reviewSchema.statics.refreshEventRating = async function(eventId) {
+  const Event = mongoose.model('Event');
+  const [stats] = await this.aggregate([
+    { $match: { event: new mongoose.Types.ObjectId(eventId), isHidden: false } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } },
+  ]);
+
+  await Event.updateOne(
+    { _id: eventId },
+    {
+      rating: stats ? Math.round(stats.average * 10) / 10 : 0,
+      reviewCount: stats ? stats.count : 0,
+    }
+  );
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. Access tokens carry the session id (`sid`);
+// the refresh token is stored only as a hash and rotated on every
+// refresh. `previousTokenHash` lets a replayed, already-rotated token
+// be recognised — that revokes the whole session.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    previousTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+    // Device token for push notifications, registered by the app
+    // through PUT /api/notifications/push-token
+    pushToken: {
+      type: String,
+      default: null,
+      select: false,
+    },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ pushToken: 1 }, { partialFilterExpression: { pushToken: { $type: 'string' } } });
+// Expired sessions are dropped by MongoDB a week after they lapse
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -48,6 +48,7 @@ const userSchema = new mongoose.Schema(
     preferences: {
       categories: [String],
       notifications: { type: Boolean, default: true },
+      reminders: { type: Boolean, default: true },
     },
   },
   { timestamps: true }
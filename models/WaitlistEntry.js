@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: true,
+    },
+    numberOfSeats: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Session wanted, for recurring / multi-session events
+    occurrence: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // Tier wanted, for events that sell ticket types
+    ticketType: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ['waiting', 'offered', 'claimed', 'expired', 'left'],
+      default: 'waiting',
+    },
+    // true while status is waiting/offered — set by the hooks below.
+    // The unique index filters on it because `$in` in a partial index
+    // needs MongoDB 6.0.
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    // Pending booking holding the offered seats
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      default: null,
+    },
+    offeredAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+waitlistEntrySchema.pre('save', function(next) {
+  this.active = ACTIVE_STATUSES.includes(this.status);
+  next();
+});
+
+// Status changes made with update queries keep `active` in step too
+waitlistEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function(next) {
+  const update = this.getUpdate() || {};
+  const status = update.$set && update.$set.status !== undefined ? update.$set.status : update.status;
+  if (status !== undefined) this.set('active', ACTIVE_STATUSES.includes(status));
+  next();
+});
+
+// One active place in line per user per event session
+waitlistEntrySchema.index(
+  { user: 1, event: 1, occurrence: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+waitlistEntrySchema.index({ event: 1, status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -18,5 +18,6 @@ const wishlistSchema = new mongoose.Schema(
 );
 
 wishlistSchema.index({ user: 1, event: 1 }, { unique: true });
+wishlistSchema.index({ event: 1, createdAt: 1 });
 
 module.exports = mongoose.model('Wishlist', wishlistSchema);
\ No newline at end of file
@@ -3,126 +3,199 @@ const router = express.Router();
 const User = require('../models/User');
 const Event = require('../models/Event');
 const Booking = require('../models/Booking');
+const OrganizerApplication = require('../models/OrganizerApplication');
+const Broadcast = require('../models/Broadcast');
 const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendSuccess, asyncHandler } = require('../middleware/response');
+const { BadRequestError, NotFoundError } = require('../services/errors');
+const schemas = require('../validators/admin.validators');
+const { cancelBooking } = require('../services/bookings');
+const { issueRefund, refundableAmount, roundMoney } = require('../services/refunds');
+const { revokeAllSessions } = require('../services/sessions');
+const { reviewApplication } = require('../services/organizerApplications');
 
 // Get Dashboard Stats
-router.get('/dashboard/stats', authMiddleware, adminMiddleware, async (req, res) => {
-  try {
-    const totalUsers = await User.countDocuments();
-    const totalEvents = await Event.countDocuments();
-    const totalBookings = await Booking.countDocuments();
-    const totalRevenue = await Booking.aggregate([
-      { $match: { status: 'confirmed' } },
-      { $group: { _id: null, total: { $sum: '$totalPrice' } } },
-    ]);
-
-    res.status(200).json({
-      message: 'Dashboard stats',
-      status: 200,
-      data: {
-        totalUsers,
-        totalEvents,
-        totalBookings,
-        totalRevenue: totalRevenue[0]?.total || 0,
-      },
-    });
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error fetching stats',
-      status: 500,
-      error: error.message,
-    });
-  }
-});
+router.get('/dashboard/stats', authMiddleware, adminMiddleware, asyncHandler(async (req, res) => {
+  const totalUsers = await User.countDocuments();
+  const totalEvents = await Event.countDocuments();
+  const totalBookings = await Booking.countDocuments();
+  const totalRevenue = await Booking.aggregate([
+    { $match: { status: 'confirmed' } },
+    { $group: { _id: null, total: { $sum: '$totalPrice' } } },
+  ]);
+
+  sendSuccess(res, {
+    message: 'Dashboard stats',
+    data: {
+      totalUsers,
+      totalEvents,
+      totalBookings,
+      totalRevenue: totalRevenue[0]?.total || 0,
+    },
+  });
+}));
 
 // Get All Users 
-router.get('/users/list', authMiddleware, adminMiddleware, async (req, res) => {
-  try {
-    const users = await User.find().select('-password');
-
-    res.status(200).json({
-      message: 'Users fetched successfully',
-      status: 200,
-      data: users,
-    });
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error fetching users',
-      status: 500,
-      error: error.message,
-    });
-  }
-});
+router.get('/users/list', authMiddleware, adminMiddleware, asyncHandler(async (req, res) => {
+  const users = await User.find().select('-password');
+
+  sendSuccess(res, {
+    message: 'Users fetched successfully',
+    data: users,
+  });
+}));
 
 // Get All Events 
-router.get('/events/list', authMiddleware, adminMiddleware, async (req, res) => {
-  try {
-    const events = await Event.find().populate('organizer', 'name email');
-
-    res.status(200).json({
-      message: 'Events fetched successfully',
-      status: 200,
-      data: events,
-    });
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error fetching events',
-      status: 500,
-      error: error.message,
-    });
-  }
-});
+router.get('/events/list', authMiddleware, adminMiddleware, asyncHandler(async (req, res) => {
+  const events = await Event.find().populate('organizer', 'name email');
+
+  sendSuccess(res, {
+    message: 'Events fetched successfully',
+    data: events,
+  });
+}));
 
 // Deactivate User 
-router.put('/users/:id/deactivate', authMiddleware, adminMiddleware, async (req, res) => {
-  try {
-    const user = await User.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
-
-    if (!user) {
-      return res.status(404).json({
-        message: 'User not found',
-        status: 404,
-      });
-    }
+router.put('/users/:id/deactivate', authMiddleware, adminMiddleware, validate(schemas.userId), asyncHandler(async (req, res) => {
+  const user = await User.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
 
-    res.status(200).json({
-      message: 'User deactivated successfully',
-      status: 200,
-      data: user,
-    });
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error deactivating user',
-      status: 500,
-      error: error.message,
-    });
+  if (!user) {
+    throw new NotFoundError('User not found', 'USER_NOT_FOUND');
   }
-});
+
+  await revokeAllSessions(user._id, { reason: 'deactivated' });
+
+  sendSuccess(res, {
+    message: 'User deactivated successfully',
+    data: user,
+  });
+}));
 
 // Feature Event 
-router.put('/events/:id/feature', authMiddleware, adminMiddleware, async (req, res) => {
-  try {
-    const event = await Event.findByIdAndUpdate(req.params.id, { isFeatured: true }, { new: true });
-
-    if (!event) {
-      return res.status(404).json({
-        message: 'Event not found',
-        status: 404,
-      });
-    }
+router.put('/events/:id/feature', authMiddleware, adminMiddleware, validate(schemas.eventId), asyncHandler(async (req, res) => {
+  const event = await Event.findByIdAndUpdate(req.params.id, { isFeatured: true }, { new: true });
+
+  if (!event) {
+    throw new NotFoundError('Event not found', 'EVENT_NOT_FOUND');
+  }
+
+  sendSuccess(res, {
+    message: 'Event featured successfully',
+    data: event,
+  });
+}));
+
+// Refund Booking (manual refund / policy override)
+// Body: { amount, reason, cancel } — `cancel: true` also cancels the
+// booking (even after the event started) and returns its seats
+router.put('/bookings/:id/refund', authMiddleware, adminMiddleware, validate(schemas.refund), asyncHandler(async (req, res) => {
+  const { amount, reason, cancel } = req.body;
+
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
+  }
+
+  if (booking.paymentStatus !== 'succeeded' && amount > 0) {
+    throw new BadRequestError('This booking has no payment to refund', 'NOTHING_TO_REFUND');
+  }
 
-    res.status(200).json({
-      message: 'Event featured successfully',
-      status: 200,
-      data: event,
-    });
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error featuring event',
-      status: 500,
-      error: error.message,
-    });
+  // Checked before cancelling — a refund that can't be issued must not
+  // leave the booking cancelled with its seats released
+  const refundable = refundableAmount(booking);
+  if (roundMoney(amount) > refundable) {
+    throw new BadRequestError(`Refund must be between 0 and ${refundable}`, 'REFUND_TOO_LARGE', { refundable });
   }
-});
+
+  const options = { amount, reason: reason || 'Refund issued by admin', issuedBy: req.user.id };
+  let updated;
+  if (cancel === true) {
+    updated = await cancelBooking(booking._id, options);
+    if (!updated) {
+      updated = await issueRefund(booking, amount, options);
+    }
+  } else {
+    updated = await issueRefund(booking, amount, options);
+  }
+
+  sendSuccess(res, {
+    message: updated.refund.status === 'failed' ? 'Refund failed at the payment provider' : 'Refund recorded',
+    data: updated,
+  });
+}));
+
+// Organizer Applications — ?status=pending (default) | approved | rejected | all
+router.get('/organizer-applications', authMiddleware, adminMiddleware, validate(schemas.applications), asyncHandler(async (req, res) => {
+  const status = req.query.status || 'pending';
+  const query = status === 'all' ? {} : { status };
+
+  const applications = await OrganizerApplication.find(query)
+    .populate('user', 'name email role')
+    .populate('reviewedBy', 'name email')
+    .sort({ createdAt: 1 });
+
+  sendSuccess(res, {
+    message: 'Applications fetched successfully',
+    data: applications,
+  });
+}));
+
+// Approve Organizer Application — upgrades the applicant to organizer
+router.put('/organizer-applications/:id/approve', authMiddleware, adminMiddleware, validate(schemas.approveApplication), asyncHandler(async (req, res) => {
+  const application = await reviewApplication(req.params.id, {
+    approve: true,
+    note: req.body.note || '',
+    reviewedBy: req.user.id,
+  });
+
+  sendSuccess(res, {
+    message: 'Application approved — user is now an organizer',
+    data: application,
+  });
+}));
+
+// Reject Organizer Application — Body: { reason }
+router.put('/organizer-applications/:id/reject', authMiddleware, adminMiddleware, validate(schemas.rejectApplication), asyncHandler(async (req, res) => {
+  const application = await reviewApplication(req.params.id, {
+    approve: false,
+    note: req.body.reason,
+    reviewedBy: req.user.id,
+  });
+
+  sendSuccess(res, {
+    message: 'Application rejected',
+    data: application,
+  });
+}));
+
+// Broadcast History — every organizer message, newest first
+// ?eventId= / ?senderId= narrow it to one event or organizer
+router.get('/broadcasts', authMiddleware, adminMiddleware, validate(schemas.broadcasts), asyncHandler(async (req, res) => {
+  const { eventId, senderId, limit = 50, page = 1 } = req.query;
+  const perPage = Math.min(parseInt(limit) || 50, 100);
+  const current = Math.max(parseInt(page) || 1, 1);
+
+  const query = {};
+  if (eventId) query.event = eventId;
+  if (senderId) query.sender = senderId;
+
+  const broadcasts = await Broadcast.find(query)
+    .populate('event', 'title')
+    .populate('sender', 'name email')
+    .sort({ createdAt: -1 })
+    .skip((current - 1) * perPage)
+    .limit(perPage);
+
+  const total = await Broadcast.countDocuments(query);
+
+  const pagination = { total, page: current, pages: Math.ceil(total / perPage) };
+  sendSuccess(res, {
+    message: 'Broadcasts fetched successfully',
+    data: broadcasts,
+    meta: { pagination },
+    legacy: { pagination },
+  });
+}));
 
 module.exports = router;
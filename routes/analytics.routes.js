@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const Event = require('../models/Event');
+const { authMiddleware, organizerMiddleware } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendSuccess, asyncHandler } = require('../middleware/response');
+const { ForbiddenError, NotFoundError } = require('../services/errors');
+const schemas = require('../validators/analytics.validators');
+const { parseOptions, analyticsFor } = require('../services/analytics');
+
+const EVENT_FIELDS = 'title category status startsAt totalSeats organizer';
+
+// Organizer Dashboard — totals across all of the organizer's events,
+// a per-event breakdown, the sales timeline and top categories.
+// Query: from, to (dates or timestamps), groupBy = day | week | month,
+// timezone; admins may pass organizerId to view another organizer.
+router.get('/organizer', authMiddleware, organizerMiddleware, validate(schemas.organizer), asyncHandler(async (req, res) => {
+  const options = parseOptions(req.query);
+  const organizerId = req.user.role === 'admin' && req.query.organizerId ? req.query.organizerId : req.user.id;
+
+  const events = await Event.find({ organizer: organizerId }).select(EVENT_FIELDS).lean();
+  const { totals, timeline, events: perEvent, topCategories } = await analyticsFor(events, options);
+
+  sendSuccess(res, {
+    message: 'Analytics fetched successfully',
+    data: { range: options, totals, timeline, events: perEvent, topCategories },
+  });
+}));
+
+// Event Analytics (organizer of the event or admin)
+router.get('/events/:eventId', authMiddleware, validate(schemas.event), asyncHandler(async (req, res) => {
+  const event = await Event.findById(req.params.eventId).select(EVENT_FIELDS).lean();
+  if (!event) {
+    throw new NotFoundError('Event not found', 'EVENT_NOT_FOUND');
+  }
+
+  if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+    throw new ForbiddenError('Not authorized to view analytics for this event', 'NOT_EVENT_OWNER');
+  }
+
+  const options = parseOptions(req.query);
+  const { totals, timeline } = await analyticsFor([event], options);
+  const { organizer, ...summary } = event;
+
+  sendSuccess(res, {
+    message: 'Event analytics fetched successfully',
+    data: { event: summary, range: options, totals, timeline },
+  });
+}));
+
+module.exports = router;
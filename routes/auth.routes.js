@@ -1,188 +1,233 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { authMiddleware } = require('../middleware/auth');
-
-// Generate JWT Token
-const generateToken = (userId, role) => {
-  return jwt.sign(
-    { id: userId, role },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
-  );
-};
+const { validate } = require('../middleware/validate');
+const { sendSuccess, asyncHandler } = require('../middleware/response');
+const schemas = require('../validators/auth.validators');
+const {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+} = require('../services/sessions');
+const { sendVerificationEmail, verifyEmail } = require('../services/verification');
+const { requestPasswordReset, resetPassword, changePassword } = require('../services/passwords');
+const {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  UnauthorizedError,
+} = require('../services/errors');
 
 // Register
-router.post('/register', async (req, res) => {
+router.post('/register', validate(schemas.register), asyncHandler(async (req, res) => {
+  // `role` is not in the schema and gets stripped — everyone starts
+  // as `user`; organizers apply through /api/organizer-applications
+  const { name, email, password } = req.body;
+
+  // Check if user exists
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    throw new ConflictError('Email already registered', 'EMAIL_TAKEN');
+  }
+
+  // Hash password
+  const hashedPassword = await bcrypt.hash(password, 10);
+
+  // Create user
+  const user = new User({
+    name,
+    email,
+    password: hashedPassword,
+    role: 'user',
+  });
+
+  await user.save();
+
+  // A mail outage shouldn't fail sign-up — the user can resend later
   try {
-    const { name, email, password, role } = req.body;
-
-    // Validation
-    if (!name || !email || !password) {
-      return res.status(400).json({
-        message: 'Name, email, and password are required',
-        status: 400,
-      });
-    }
-
-    // Check if user exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(409).json({
-        message: 'Email already registered',
-        status: 409,
-      });
-    }
-
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
-
-    // Create user
-    const user = new User({
-      name,
-      email,
-      password: hashedPassword,
-      role: role || 'user',
-    });
-
-    await user.save();
-
-    const token = generateToken(user._id, user.role);
-
-    res.status(201).json({
-      message: 'User registered successfully',
-      status: 201,
-      data: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        token,
-      },
-    });
-  } catch (error) {
-    console.error('Register error:', error);
-    res.status(500).json({
-      message: 'Registration failed',
-      status: 500,
-      error: error.message,
-    });
+    await sendVerificationEmail(user);
+  } catch (mailError) {
+    console.error('Verification email error:', mailError.message);
   }
-});
+
+  const tokens = await createSession(user, req);
+
+  sendSuccess(res, {
+    status: 201,
+    message: 'User registered successfully',
+    data: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      isVerified: user.isVerified,
+      ...tokens,
+    },
+  });
+}));
 
 // Login
-router.post('/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    // Validation
-    if (!email || !password) {
-      return res.status(400).json({
-        message: 'Email and password are required',
-        status: 400,
-      });
-    }
-
-    // Find user
-    const user = await User.findOne({ email }).select('+password');
-    if (!user) {
-      return res.status(401).json({
-        message: 'Invalid email or password',
-        status: 401,
-      });
-    }
-
-    // Check password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-      return res.status(401).json({
-        message: 'Invalid email or password',
-        status: 401,
-      });
-    }
-
-    const token = generateToken(user._id, user.role);
-    console.log(res.body);
-    res.status(200).json({
-      message: 'Login successful',
-      status: 200,
-      data: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        phone: user.phone,
-        profileImage: user.profileImage,
-        token,
-      },
-    });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({
-      message: 'Login failed',
-      status: 500,
-      error: error.message,
-    });
+router.post('/login', validate(schemas.login), asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  // Find user
+  const user = await User.findOne({ email }).select('+password');
+  if (!user) {
+    throw new UnauthorizedError('Invalid email or password', 'INVALID_CREDENTIALS');
   }
-});
 
-// Get Current User
-router.get('/me', authMiddleware, async (req, res) => {
-  try {
-    const user = await User.findById(req.user.id);
-    if (!user) {
-      return res.status(404).json({
-        message: 'User not found',
-        status: 404,
-      });
-    }
-
-    res.status(200).json({
-      message: 'User fetched successfully',
-      status: 200,
-      data: user,
-    });
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error fetching user',
-      status: 500,
-      error: error.message,
-    });
+  // Check password
+  const isPasswordValid = await bcrypt.compare(password, user.password);
+  if (!isPasswordValid) {
+    throw new UnauthorizedError('Invalid email or password', 'INVALID_CREDENTIALS');
   }
-});
 
-// Update Profile
-router.put('/profile', authMiddleware, async (req, res) => {
-  try {
-    const { name, phone, bio, profileImage } = req.body;
-    const user = await User.findByIdAndUpdate(
-      req.user.id,
-      { name, phone, bio, profileImage },
-      { new: true }
-    );
-
-    res.status(200).json({
-      message: 'Profile updated successfully',
-      status: 200,
-      data: user,
-    });
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error updating profile',
-      status: 500,
-      error: error.message,
-    });
+  if (!user.isActive) {
+    throw new ForbiddenError('Account is deactivated', 'ACCOUNT_DEACTIVATED');
   }
-});
 
-// Logout 
-router.post('/logout', authMiddleware, (req, res) => {
-  res.status(200).json({
-    message: 'Logged out successfully',
-    status: 200,
+  const tokens = await createSession(user, req);
+  sendSuccess(res, {
+    message: 'Login successful',
+    data: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      isVerified: user.isVerified,
+      phone: user.phone,
+      profileImage: user.profileImage,
+      ...tokens,
+    },
+  });
+}));
+
+// Verify Email — GET is the link in the email, POST takes { token } from the app
+const handleVerifyEmail = asyncHandler(async (req, res) => {
+  const user = await verifyEmail(req.query.token || req.body?.token);
+
+  sendSuccess(res, {
+    message: 'Email verified successfully',
+    data: { id: user._id, email: user.email, isVerified: user.isVerified },
   });
 });
 
+router.get('/verify-email', validate(schemas.verifyEmailLink), handleVerifyEmail);
+router.post('/verify-email', validate(schemas.verifyEmail), handleVerifyEmail);
+
+// Resend Verification Email
+router.post('/resend-verification', authMiddleware, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  if (!user) throw new NotFoundError('User not found');
+
+  if (user.isVerified) {
+    throw new BadRequestError('Email is already verified', 'ALREADY_VERIFIED');
+  }
+
+  await sendVerificationEmail(user, { enforceLimit: true });
+
+  sendSuccess(res, { message: 'Verification email sent' });
+}));
+
+// Forgot Password — same answer whether or not the email exists
+router.post('/forgot-password', validate(schemas.forgotPassword), asyncHandler(async (req, res) => {
+  await requestPasswordReset(req.body.email);
+
+  sendSuccess(res, { message: 'If that email is registered, a reset link has been sent' });
+}));
+
+// Reset Password — { token, password }; signs out all devices
+router.post('/reset-password', validate(schemas.resetPassword), asyncHandler(async (req, res) => {
+  await resetPassword(req.body.token, req.body.password);
+
+  sendSuccess(res, { message: 'Password reset successfully — please log in again' });
+}));
+
+// Change Password — { currentPassword, newPassword }; other devices are signed out
+router.put('/change-password', authMiddleware, validate(schemas.changePassword), asyncHandler(async (req, res) => {
+  await changePassword(req.user.id, req.body, req.user.sid);
+
+  sendSuccess(res, { message: 'Password changed successfully' });
+}));
+
+// Get Current User
+router.get('/me', authMiddleware, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  if (!user) throw new NotFoundError('User not found');
+
+  sendSuccess(res, { message: 'User fetched successfully', data: user });
+}));
+
+// Update Profile
+// `notifications: false` turns push notifications off (they are still
+// listed in the app); `reminders: false` stops event reminders
+router.put('/profile', authMiddleware, validate(schemas.updateProfile), asyncHandler(async (req, res) => {
+  const { name, phone, bio, profileImage, notifications, reminders } = req.body;
+  const update = { name, phone, bio, profileImage };
+  if (notifications !== undefined) update['preferences.notifications'] = notifications;
+  if (reminders !== undefined) update['preferences.reminders'] = reminders;
+
+  const user = await User.findByIdAndUpdate(req.user.id, update, { new: true });
+
+  sendSuccess(res, { message: 'Profile updated successfully', data: user });
+}));
+
+// Refresh — trade a refresh token for a new access + refresh token pair
+router.post('/refresh', validate(schemas.refresh), asyncHandler(async (req, res) => {
+  const tokens = await refreshSession(req.body.refreshToken, req);
+
+  sendSuccess(res, { message: 'Token refreshed', data: tokens });
+}));
+
+// Logout — revokes the current session
+router.post('/logout', authMiddleware, asyncHandler(async (req, res) => {
+  await revokeSession(req.user.sid);
+
+  sendSuccess(res, { message: 'Logged out successfully' });
+}));
+
+// Logout of all devices, this one included
+router.post('/logout-all', authMiddleware, asyncHandler(async (req, res) => {
+  const revoked = await revokeAllSessions(req.user.id);
+
+  sendSuccess(res, { message: 'Logged out of all devices', data: { revoked } });
+}));
+
+// Active sessions (devices) of the current user
+router.get('/sessions', authMiddleware, asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user.id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+
+  sendSuccess(res, {
+    message: 'Sessions fetched successfully',
+    data: sessions.map((s) => ({
+      id: s._id,
+      userAgent: s.userAgent,
+      ip: s.ip,
+      createdAt: s.createdAt,
+      lastUsedAt: s.lastUsedAt,
+      expiresAt: s.expiresAt,
+      current: s._id.toString() === req.user.sid,
+    })),
+  });
+}));
+
+// Sign out one of your other devices
+router.delete('/sessions/:id', authMiddleware, validate(schemas.sessionId), asyncHandler(async (req, res) => {
+  const session = await Session.findOne({ _id: req.params.id, user: req.user.id, revokedAt: null });
+  if (!session) throw new NotFoundError('Session not found');
+
+  await revokeSession(session._id);
+
+  sendSuccess(res, { message: 'Session revoked' });
+}));
+
 module.exports = router;
@@ -1,199 +1,421 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Booking = require('../models/Booking');
 const Event = require('../models/Event');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, organizerMiddleware, verifiedMiddleware } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendSuccess, asyncHandler } = require('../middleware/response');
+const {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  GoneError,
+  NotFoundError,
+  PaymentRequiredError,
+} = require('../services/errors');
+const schemas = require('../validators/booking.validators');
+const { reserveSeats, releaseSeats } = require('../services/seats');
+const { buildOrder } = require('../services/tickets');
+const { findOccurrence } = require('../services/recurrence');
+const { hasStarted } = require('../services/eventTime');
+const { refundPercentFor } = require('../services/refunds');
+const { cancelBooking } = require('../services/bookings');
+const { createPass, verifyPass, toDataUrl, toPng } = require('../services/ticketPass');
+const { holdExpiry, confirmHold } = require('../services/holds');
+const { getProvider } = require('../services/payments');
+const { markPaid } = require('../services/payments/settlement');
+const { notifyBookingConfirmed } = require('../services/notifications');
 
 // Get User's Bookings
-router.get('/', authMiddleware, async (req, res) => {
-  try {
-    const bookings = await Booking.find({ user: req.user.id })
-      .populate('event', 'title description date time location price')
-      .populate('user', 'name email')
-      .sort({ createdAt: -1 });
-
-    res.status(200).json({
-      message: 'Bookings fetched successfully',
-      status: 200,
-      data: bookings,
-    });
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error fetching bookings',
-      status: 500,
-      error: error.message,
-    });
-  }
-});
+router.get('/', authMiddleware, asyncHandler(async (req, res) => {
+  const bookings = await Booking.find({ user: req.user.id })
+    .populate('event', 'title description date time location price')
+    .populate('user', 'name email')
+    .sort({ createdAt: -1 });
+
+  sendSuccess(res, {
+    message: 'Bookings fetched successfully',
+    data: bookings,
+  });
+}));
 
 // Get Single Booking
-router.get('/:id', authMiddleware, async (req, res) => {
-  try {
-    const booking = await Booking.findById(req.params.id)
-      .populate('event')
-      .populate('user', 'name email');
-
-    if (!booking) {
-      return res.status(404).json({
-        message: 'Booking not found',
-        status: 404,
-      });
-    }
+router.get('/:id', authMiddleware, validate(schemas.bookingId), asyncHandler(async (req, res) => {
+  const booking = await Booking.findById(req.params.id)
+    .populate('event')
+    .populate('user', 'name email');
 
-    // Check if user is booking owner or organizer
-    if (booking.user._id.toString() !== req.user.id && booking.event.organizer.toString() !== req.user.id) {
-      return res.status(403).json({
-        message: 'Not authorized to view this booking',
-        status: 403,
-      });
-    }
+  if (!booking) {
+    throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
+  }
 
-    res.status(200).json({
-      message: 'Booking fetched successfully',
-      status: 200,
-      data: booking,
-    });
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error fetching booking',
-      status: 500,
-      error: error.message,
-    });
+  // Check if user is booking owner or organizer
+  if (booking.user._id.toString() !== req.user.id && booking.event.organizer.toString() !== req.user.id) {
+    throw new ForbiddenError('Not authorized to view this booking', 'NOT_BOOKING_OWNER');
   }
-});
 
-// Create Booking
-router.post('/', authMiddleware, async (req, res) => {
-  try {
-    const { eventId, numberOfSeats } = req.body;
-
-    // Validation
-    if (!eventId || !numberOfSeats || numberOfSeats < 1) {
-      return res.status(400).json({
-        message: 'Event ID and number of seats are required',
-        status: 400,
-      });
-    }
+  sendSuccess(res, {
+    message: 'Booking fetched successfully',
+    data: booking,
+  });
+}));
 
-    // Get event
-    const event = await Event.findById(eventId);
-    if (!event) {
-      return res.status(404).json({
-        message: 'Event not found',
-        status: 404,
-      });
-    }
+// Get Booking Ticket (signed QR)
+// ?format=png returns the QR image itself instead of JSON
+router.get('/:id/ticket', authMiddleware, validate(schemas.ticket), asyncHandler(async (req, res) => {
+  const booking = await Booking.findById(req.params.id).populate('event', 'title date time location');
 
-    // Check available seats
-    if (event.availableSeats < numberOfSeats) {
-      return res.status(400).json({
-        message: 'Not enough seats available',
-        status: 400,
-        data: { available: event.availableSeats },
-      });
-    }
+  if (!booking) {
+    throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
+  }
 
-    // Create booking
-    const totalPrice = event.price * numberOfSeats;
-    const booking = new Booking({
-      user: req.user.id,
-      event: eventId,
-      numberOfSeats,
-      totalPrice,
-    });
+  if (booking.user.toString() !== req.user.id) {
+    throw new ForbiddenError('Not authorized to view this ticket', 'NOT_BOOKING_OWNER');
+  }
 
+  if (booking.status !== 'confirmed') {
+    throw new BadRequestError('Tickets are only issued for confirmed bookings', 'BOOKING_NOT_CONFIRMED');
+  }
+
+  const pass = createPass(booking);
+  if (booking.qrCode !== pass) {
+    booking.qrCode = pass;
     await booking.save();
+  }
 
-    // Update event available seats
-    event.availableSeats -= numberOfSeats;
-    event.bookings.push(booking._id);
-    await event.save();
+  if (req.query.format === 'png') {
+    res.set('Content-Type', 'image/png');
+    return res.send(await toPng(pass));
+  }
 
-    // Populate booking details
-    await booking.populate('event', 'title date time location');
+  sendSuccess(res, {
+    message: 'Ticket fetched successfully',
+    data: {
+      bookingId: booking._id,
+      bookingRef: booking.bookingRef,
+      event: booking.event,
+      numberOfSeats: booking.numberOfSeats,
+      tickets: booking.tickets,
+      checkedInAt: booking.checkedInAt,
+      payload: pass,
+      qrCode: await toDataUrl(pass),
+    },
+  });
+}));
 
-    res.status(201).json({
-      message: 'Booking created successfully',
-      status: 201,
-      data: booking,
-    });
-  } catch (error) {
-    console.error('Booking error:', error);
-    res.status(500).json({
-      message: 'Error creating booking',
-      status: 500,
-      error: error.message,
+// Create Booking
+// Body: { eventId, numberOfSeats }                          — single-price events
+//       { eventId, tickets: [{ ticketTypeId, quantity }] }  — events with ticket types
+// Recurring events also need `occurrenceId` — the session to book.
+// Add `checkout: true` to only hold the seats as a `pending` booking
+// until it is paid (or until the hold expires). REQUIRE_PAYMENT=true
+// forces every paid booking through checkout. Free bookings are
+// always confirmed straight away.
+router.post('/', authMiddleware, verifiedMiddleware, validate(schemas.create), asyncHandler(async (req, res) => {
+  const { eventId } = req.body;
+
+  // Validation
+  if (!eventId) {
+    throw new BadRequestError('Event ID and number of seats are required', 'MISSING_FIELDS');
+  }
+
+  // Get event
+  const event = await Event.findById(eventId);
+  if (!event) {
+    throw new NotFoundError('Event not found', 'EVENT_NOT_FOUND');
+  }
+
+  if (event.status === 'cancelled') {
+    throw new GoneError('This event has been cancelled', 'EVENT_CANCELLED');
+  }
+
+  const { numberOfSeats, totalPrice, tickets } = buildOrder(event, req.body);
+  const occurrence = findOccurrence(event, req.body.occurrenceId);
+  if (hasStarted(event, occurrence && occurrence._id)) {
+    throw new BadRequestError('This event has already started', 'EVENT_STARTED');
+  }
+  const seats = { tickets, occurrence: occurrence ? occurrence._id : null };
+  const checkout = totalPrice > 0 &&
+    (req.body.checkout === true || process.env.REQUIRE_PAYMENT === 'true');
+
+  // Reserve seats atomically — fails instead of overselling when
+  // another request took the last seats in the meantime
+  const reserved = await reserveSeats(eventId, numberOfSeats, seats);
+  if (!reserved) {
+    const current = await Event.findById(eventId).select('availableSeats ticketTypes occurrences');
+    const session = occurrence && current && current.occurrences.id(occurrence._id);
+    throw new BadRequestError('Not enough seats available', 'SOLD_OUT', {
+      canJoinWaitlist: true,
+      available: session ? session.availableSeats : current ? current.availableSeats : 0,
+      ticketTypes: current
+        ? current.ticketTypes.map((t) => ({ _id: t._id, name: t.name, remaining: t.remaining }))
+        : [],
     });
   }
-});
 
-// Cancel Booking
-router.put('/:id/cancel', authMiddleware, async (req, res) => {
+  // Create booking — give the seats back if it cannot be stored
+  const booking = new Booking({
+    user: req.user.id,
+    event: eventId,
+    occurrence: seats.occurrence,
+    occurrenceDate: occurrence ? occurrence.date : null,
+    occurrenceTime: occurrence ? occurrence.time : null,
+    numberOfSeats,
+    totalPrice,
+    tickets,
+    status: checkout ? 'pending' : 'confirmed',
+    expiresAt: checkout ? holdExpiry() : null,
+    paymentStatus: checkout ? 'requires_payment' : 'not_required',
+  });
+
   try {
-    const booking = await Booking.findById(req.params.id);
+    await booking.save();
+  } catch (saveError) {
+    await releaseSeats(eventId, numberOfSeats, seats);
+    throw saveError;
+  }
+
+  await Event.updateOne({ _id: eventId }, { $push: { bookings: booking._id } });
+  if (!checkout) await notifyBookingConfirmed(booking);
+
+  // Populate booking details
+  await booking.populate('event', 'title date time location');
+
+  sendSuccess(res, {
+    status: 201,
+    message: checkout ? 'Seats held — confirm before the hold expires' : 'Booking created successfully',
+    data: booking,
+  });
+}));
+
+// Confirm Pending Booking
+// Body: { paymentId } — payment reference from POST /api/payments/intent.
+// Paid bookings are only confirmed once the provider reports the
+// payment as succeeded (the webhook usually gets there first).
+router.put('/:id/confirm', authMiddleware, validate(schemas.confirm), asyncHandler(async (req, res) => {
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
+  }
+
+  // Check if user owns booking
+  if (booking.user.toString() !== req.user.id) {
+    throw new ForbiddenError('Not authorized to confirm this booking', 'NOT_BOOKING_OWNER');
+  }
 
-    if (!booking) {
-      return res.status(404).json({
-        message: 'Booking not found',
-        status: 404,
-      });
+  if (booking.status !== 'pending') {
+    throw new BadRequestError(`Booking is already ${booking.status}`, 'BOOKING_NOT_PENDING');
+  }
+
+  let confirmed;
+  if (booking.totalPrice > 0) {
+    const provider = getProvider(booking.paymentProvider);
+    if (!provider || !req.body.paymentId || req.body.paymentId !== booking.paymentId) {
+      throw new BadRequestError('A valid payment reference is required', 'PAYMENT_REFERENCE_INVALID');
     }
 
-    // Check if user owns booking
-    if (booking.user.toString() !== req.user.id) {
-      return res.status(403).json({
-        message: 'Not authorized to cancel this booking',
-        status: 403,
-      });
+    const paymentStatus = await provider.getPaymentStatus(booking.paymentId);
+    if (paymentStatus !== 'succeeded') {
+      throw new PaymentRequiredError('Payment has not been completed', 'PAYMENT_INCOMPLETE', { paymentStatus });
     }
 
-    booking.status = 'cancelled';
-    await booking.save();
+    const result = await markPaid(booking._id, booking.paymentId);
+    confirmed = result.booking && result.booking.status === 'confirmed' ? result.booking : null;
+  } else {
+    confirmed = await confirmHold(booking._id);
+  }
 
-    // Return seats to event
-    const event = await Event.findById(booking.event);
-    event.availableSeats += booking.numberOfSeats;
-    await event.save();
+  if (!confirmed) {
+    throw new GoneError('This hold has expired — please book again', 'HOLD_EXPIRED');
+  }
 
-    res.status(200).json({
-      message: 'Booking cancelled successfully',
-      status: 200,
-      data: booking,
-    });
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error cancelling booking',
-      status: 500,
-      error: error.message,
-    });
+  await confirmed.populate('event', 'title date time location');
+
+  sendSuccess(res, {
+    message: 'Booking confirmed successfully',
+    data: confirmed,
+  });
+}));
+
+// Cancel Booking
+router.put('/:id/cancel', authMiddleware, validate(schemas.bookingId), asyncHandler(async (req, res) => {
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
   }
-});
 
-// Get Organizer's Event Bookings
-router.get('/organizer/event-bookings', authMiddleware, async (req, res) => {
-  try {
-    // Get organizer's events
-    const events = await Event.find({ organizer: req.user.id });
-    const eventIds = events.map((e) => e._id);
-
-    // Get bookings for these events
-    const bookings = await Booking.find({ event: { $in: eventIds } })
-      .populate('event', 'title date time')
-      .populate('user', 'name email')
-      .sort({ createdAt: -1 });
-
-    res.status(200).json({
-      message: 'Event bookings fetched successfully',
-      status: 200,
-      data: bookings,
+  // Check if user owns booking
+  if (booking.user.toString() !== req.user.id) {
+    throw new ForbiddenError('Not authorized to cancel this booking', 'NOT_BOOKING_OWNER');
+  }
+
+  // Refund follows the event's cancellation policy; nothing can be
+  // cancelled once the event has started
+  const event = await Event.findById(booking.event);
+  if (event && hasStarted(event, booking.occurrence)) {
+    throw new BadRequestError('This event has already started — the booking can no longer be cancelled', 'EVENT_STARTED');
+  }
+
+  const percent = event && booking.status === 'confirmed' ? refundPercentFor(event, booking.occurrence) : 0;
+  const cancelled = await cancelBooking(booking._id, { percent, reason: 'Cancelled by user' });
+
+  if (!cancelled) {
+    throw new BadRequestError('Booking is already cancelled', 'ALREADY_CANCELLED');
+  }
+
+  sendSuccess(res, {
+    message: 'Booking cancelled successfully',
+    data: cancelled,
+    legacy: { refund: cancelled.refund },
+  });
+}));
+
+// Turn Event Reminders On / Off for a booking
+// Body: { enabled }
+router.put('/:id/reminders', authMiddleware, validate(schemas.reminders), asyncHandler(async (req, res) => {
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
+  }
+
+  if (booking.user.toString() !== req.user.id) {
+    throw new ForbiddenError('Not authorized to change this booking', 'NOT_BOOKING_OWNER');
+  }
+
+  booking.reminders = req.body.enabled;
+  await booking.save();
+
+  sendSuccess(res, {
+    message: booking.reminders ? 'Reminders turned on for this booking' : 'Reminders turned off for this booking',
+    data: booking,
+  });
+}));
+
+// Check In Attendee (organizer scans ticket QR)
+// Body: { payload, eventId? } — eventId guards against scanning a
+// ticket for a different event at this door
+router.post('/check-in', authMiddleware, organizerMiddleware, validate(schemas.checkIn), asyncHandler(async (req, res) => {
+  const pass = verifyPass(req.body.payload);
+  if (!pass) {
+    throw new BadRequestError('Invalid or tampered ticket', 'TICKET_INVALID');
+  }
+
+  if (req.body.eventId && req.body.eventId !== pass.eventId) {
+    throw new BadRequestError('This ticket is for a different event', 'TICKET_WRONG_EVENT');
+  }
+
+  const booking = await Booking.findById(pass.bookingId)
+    .populate('event', 'title organizer')
+    .populate('user', 'name email');
+
+  if (!booking || !booking.event) {
+    throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
+  }
+
+  if (booking.event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+    throw new ForbiddenError('Not authorized to check in attendees for this event', 'NOT_EVENT_OWNER');
+  }
+
+  if (booking.status !== 'confirmed') {
+    throw new BadRequestError(`Booking is ${booking.status} — entry not allowed`, 'BOOKING_NOT_CONFIRMED', {
+      bookingRef: booking.bookingRef,
+      status: booking.status,
     });
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error fetching event bookings',
-      status: 500,
-      error: error.message,
+  }
+
+  // Only the first scan wins, even if two gates scan at once
+  const checkedIn = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: 'confirmed', checkedInAt: null },
+    { checkedInAt: new Date(), checkedInBy: req.user.id },
+    { new: true }
+  );
+
+  if (!checkedIn) {
+    const current = await Booking.findById(booking._id).select('checkedInAt status');
+    throw new ConflictError('Ticket already scanned', 'ALREADY_CHECKED_IN', {
+      bookingRef: booking.bookingRef,
+      checkedInAt: current?.checkedInAt,
     });
   }
-});
+
+  sendSuccess(res, {
+    message: 'Checked in successfully',
+    data: {
+      bookingRef: checkedIn.bookingRef,
+      attendee: booking.user,
+      event: { _id: booking.event._id, title: booking.event.title },
+      numberOfSeats: checkedIn.numberOfSeats,
+      tickets: checkedIn.tickets,
+      checkedInAt: checkedIn.checkedInAt,
+    },
+  });
+}));
+
+// Get Live Check-in Counts for an organizer's event
+router.get('/organizer/events/:eventId/check-ins', authMiddleware, organizerMiddleware, validate(schemas.eventId), asyncHandler(async (req, res) => {
+  const event = await Event.findById(req.params.eventId).select('title organizer totalSeats');
+  if (!event) {
+    throw new NotFoundError('Event not found', 'EVENT_NOT_FOUND');
+  }
+
+  if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+    throw new ForbiddenError('Not authorized to view check-ins for this event', 'NOT_EVENT_OWNER');
+  }
+
+  const [counts] = await Booking.aggregate([
+    { $match: { event: new mongoose.Types.ObjectId(event._id), status: 'confirmed' } },
+    {
+      $group: {
+        _id: null,
+        bookings: { $sum: 1 },
+        seats: { $sum: '$numberOfSeats' },
+        checkedInBookings: { $sum: { $cond: [{ $ne: ['$checkedInAt', null] }, 1, 0] } },
+        checkedInSeats: { $sum: { $cond: [{ $ne: ['$checkedInAt', null] }, '$numberOfSeats', 0] } },
+      },
+    },
+  ]);
+
+  const recent = await Booking.find({ event: event._id, checkedInAt: { $ne: null } })
+    .select('bookingRef numberOfSeats checkedInAt user')
+    .populate('user', 'name email')
+    .sort({ checkedInAt: -1 })
+    .limit(10);
+
+  const totals = counts || { bookings: 0, seats: 0, checkedInBookings: 0, checkedInSeats: 0 };
+  sendSuccess(res, {
+    message: 'Check-in counts fetched successfully',
+    data: {
+      event: { _id: event._id, title: event.title, totalSeats: event.totalSeats },
+      bookings: totals.bookings,
+      seats: totals.seats,
+      checkedInBookings: totals.checkedInBookings,
+      checkedInSeats: totals.checkedInSeats,
+      remainingSeats: totals.seats - totals.checkedInSeats,
+      recent,
+    },
+  });
+}));
+
+// Get Organizer's Event Bookings
+router.get('/organizer/event-bookings', authMiddleware, asyncHandler(async (req, res) => {
+  // Get organizer's events
+  const events = await Event.find({ organizer: req.user.id });
+  const eventIds = events.map((e) => e._id);
+
+  // Get bookings for these events
+  const bookings = await Booking.find({ event: { $in: eventIds } })
+    .populate('event', 'title date time')
+    .populate('user', 'name email')
+    .sort({ createdAt: -1 });
+
+  sendSuccess(res, {
+    message: 'Event bookings fetched successfully',
+    data: bookings,
+  });
+}));
 
 module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const Broadcast = require('../models/Broadcast');
+const Event = require('../models/Event');
+const { authMiddleware, organizerMiddleware } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendSuccess, asyncHandler } = require('../middleware/response');
+const { ForbiddenError, NotFoundError } = require('../services/errors');
+const schemas = require('../validators/broadcast.validators');
+const { createBroadcast } = require('../services/broadcasts');
+
+// Message Attendees (organizer of the event)
+// Body: { eventId, title, message, audience = 'confirmed' | 'checked_in', includeWaitlist }
+// Delivery is queued; the broadcast's status turns `sent` once done
+router.post('/', authMiddleware, organizerMiddleware, validate(schemas.create), asyncHandler(async (req, res) => {
+  const event = await Event.findById(req.body.eventId).select('title organizer');
+  if (!event) {
+    throw new NotFoundError('Event not found', 'EVENT_NOT_FOUND');
+  }
+
+  if (event.organizer.toString() !== req.user.id) {
+    throw new ForbiddenError('Only the event organizer can message its attendees', 'NOT_EVENT_OWNER');
+  }
+
+  const broadcast = await createBroadcast(event, req.user.id, {
+    title: req.body.title,
+    message: req.body.message,
+    audience: req.body.audience || 'confirmed',
+    includeWaitlist: req.body.includeWaitlist === true,
+  });
+
+  sendSuccess(res, {
+    status: 202,
+    message: 'Message queued for delivery',
+    data: broadcast,
+  });
+}));
+
+// Broadcast History for an event (organizer of the event or admin)
+router.get('/event/:eventId', authMiddleware, validate(schemas.history), asyncHandler(async (req, res) => {
+  const event = await Event.findById(req.params.eventId).select('organizer');
+  if (!event) {
+    throw new NotFoundError('Event not found', 'EVENT_NOT_FOUND');
+  }
+
+  if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+    throw new ForbiddenError('Not authorized to view messages for this event', 'NOT_EVENT_OWNER');
+  }
+
+  const { limit = 20, page = 1 } = req.query;
+  const perPage = Math.min(parseInt(limit) || 20, 50);
+  const current = Math.max(parseInt(page) || 1, 1);
+  const query = { event: event._id };
+
+  const broadcasts = await Broadcast.find(query)
+    .populate('sender', 'name email')
+    .sort({ createdAt: -1 })
+    .skip((current - 1) * perPage)
+    .limit(perPage);
+
+  const total = await Broadcast.countDocuments(query);
+
+  const pagination = { total, page: current, pages: Math.ceil(total / perPage) };
+  sendSuccess(res, {
+    message: 'Broadcasts fetched successfully',
+    data: broadcasts,
+    meta: { pagination },
+    legacy: { pagination },
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const { getSpec } = require('../docs/openapi');
+
+// The spec itself is plain OpenAPI JSON (no response envelope) so
+// generators and Swagger UI can read it directly
+router.get('/openapi.json', (req, res) => {
+  res.json(getSpec());
+});
+
+// Interactive viewer — Swagger UI from its CDN build, pointed at the
+// spec above
+const SWAGGER_UI = 'https://unpkg.com/swagger-ui-dist@5';
+
+router.get('/', (req, res) => {
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Event Finder API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI}/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({
+      url: '${req.baseUrl}/openapi.json',
+      dom_id: '#swagger-ui',
+      persistAuthorization: true,
+    });
+  </script>
+</body>
+</html>`);
+});
+
+module.exports = router;
@@ -5,7 +5,22 @@ const router     = express.Router();
 const Event      = require('../models/Event');
 const Booking    = require('../models/Booking');
 const User       = require('../models/User');   //  NEW: to fetch organizerName
-const { authMiddleware, organizerMiddleware } = require('../middleware/auth');
+const Wishlist   = require('../models/Wishlist');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { authMiddleware, organizerMiddleware, verifiedMiddleware } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendSuccess, asyncHandler } = require('../middleware/response');
+const { AppError, BadRequestError, ConflictError, ForbiddenError, GoneError, NotFoundError } = require('../services/errors');
+const schemas = require('../validators/event.validators');
+const { parseTicketTypes, applyTicketTypes } = require('../services/tickets');
+const { resizeSeats, resizeTicketTypes, resizeOccurrences } = require('../services/seats');
+const { parseCancellationPolicy } = require('../services/refunds');
+const { buildSearchQuery } = require('../services/search');
+const { parseSchedule, applySchedule } = require('../services/recurrence');
+const { parseTiming, localTimesFor, calendarDay } = require('../services/eventTime');
+const { notifyEventReviewed } = require('../services/notifications');
+const { scheduleEventReminders, cancelEventReminders } = require('../services/reminders');
+const { snapshot, materialChanges, notifyEventChanged, cancelEvent } = require('../services/eventChanges');
 
 // ── Cloudinary + Multer setup ─────────────────────────────────
 const cloudinary            = require('cloudinary').v2;
@@ -38,327 +53,511 @@ const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 },
 });
 
-//  Wrap upload so errors return JSON instead of silent server crash
+//  Wrap upload so errors return JSON instead of silent server crash —
+//  a bad file (too big, wrong field) is the client's fault, anything
+//  else is Cloudinary's
 const uploadSingle = (req, res, next) => {
   upload.single('image')(req, res, (err) => {
     if (err) {
       console.error('❌ Cloudinary/Multer error:', err.message);
-      return res.status(500).json({
-        message: `Image upload failed: ${err.message}`,
-        status:  500,
-      });
+      return next(new AppError(`Image upload failed: ${err.message}`, {
+        status: err instanceof multer.MulterError ? 400 : 502,
+        code:   'UPLOAD_FAILED',
+      }));
     }
     next();
   });
 };
 
+const adminOnly = (req) => {
+  if (req.user.role !== 'admin') throw new ForbiddenError('Admin access only', 'ADMIN_REQUIRED');
+};
+
+// A cancelled event is final — it can't be edited or reviewed again
+const notCancelled = (event) => {
+  if (event.status === 'cancelled') throw new GoneError('This event has been cancelled', 'EVENT_CANCELLED');
+};
+
+// Approve / reject: update the event unless it was cancelled
+const reviewEvent = async (id, update) => {
+  const event = await Event.findOneAndUpdate(
+    { _id: id, status: { $ne: 'cancelled' } },
+    update,
+    { new: true }
+  ).populate('organizer', 'name email');
+  if (event) return event;
+
+  const existing = await Event.findById(id).select('status');
+  if (!existing) throw new NotFoundError('Event not found', 'EVENT_NOT_FOUND');
+  notCancelled(existing);
+};
+
+// ?hideEnded=true on the public listings drops events whose endsAt
+// (last session's end, for a series) has passed
+const hideEnded = (req, query) => {
+  if (req.query.hideEnded === 'true') query.endsAt = { $gt: new Date() };
+  return query;
+};
+
 // GET /api/events  — PUBLIC, approved only
-router.get('/', async (req, res) => {
-  try {
-    const { category, sortBy, limit = 10, page = 1 } = req.query;
-    const skip = (page - 1) * limit;
-
-    let query = { isActive: true, status: 'approved' };
-    if (category) query.category = category;
-
-    let sortOptions = { createdAt: -1 };
-    if (sortBy === 'price_asc')  sortOptions = { price: 1 };
-    if (sortBy === 'price_desc') sortOptions = { price: -1 };
-    if (sortBy === 'rating')     sortOptions = { rating: -1 };
-
-    const events = await Event.find(query)
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .populate('organizer', 'name email');
-
-    const total = await Event.countDocuments(query);
-
-    res.status(200).json({
-      message: 'Events fetched successfully',
-      status:  200,
-      data:    events,
-      pagination: { total, page: parseInt(page), pages: Math.ceil(total / limit) },
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Error fetching events', status: 500, error: error.message });
-  }
-});
+router.get('/', validate(schemas.list), asyncHandler(async (req, res) => {
+  const { category, sortBy, limit = 10, page = 1 } = req.query;
+  const skip = (page - 1) * limit;
+
+  let query = hideEnded(req, { isActive: true, status: 'approved' });
+  if (category) query.category = category;
+
+  let sortOptions = { createdAt: -1 };
+  if (sortBy === 'price_asc')  sortOptions = { price: 1 };
+  if (sortBy === 'price_desc') sortOptions = { price: -1 };
+  if (sortBy === 'rating')     sortOptions = { rating: -1 };
+
+  const events = await Event.find(query)
+    .sort(sortOptions)
+    .skip(skip)
+    .limit(parseInt(limit))
+    .populate('organizer', 'name email');
+
+  const total = await Event.countDocuments(query);
+
+  const pagination = { total, page: parseInt(page), pages: Math.ceil(total / limit) };
+  sendSuccess(res, {
+    message: 'Events fetched successfully',
+    data:    events,
+    meta:    { pagination },
+    legacy:  { pagination },
+  });
+}));
 
-// GET /api/events/featured  ← BEFORE /:id
-router.get('/featured', async (req, res) => {
-  try {
-    const events = await Event.find({ isFeatured: true, isActive: true, status: 'approved' })
-      .limit(6)
-      .populate('organizer', 'name email');
-    res.status(200).json({ message: 'Featured events fetched successfully', status: 200, data: events });
-  } catch (error) {
-    res.status(500).json({ message: 'Error fetching featured events', status: 500, error: error.message });
+// GET /api/events/nearby?lat=&lng=&radius=  ← BEFORE /:id
+// radius in km (default 10, max 200). Sorted by distance unless sortBy
+// is given; every event carries `distance` in km.
+
+router.get('/nearby', validate(schemas.nearby), asyncHandler(async (req, res) => {
+  const { category, sortBy, limit = 10, page = 1 } = req.query;
+  const lat    = parseFloat(req.query.lat);
+  const lng    = parseFloat(req.query.lng);
+  const radius = Math.min(parseFloat(req.query.radius) || 10, 200);
+
+  if (!Event.hasCoordinates(lat, lng)) {
+    throw new BadRequestError('Valid lat and lng are required', 'INVALID_COORDINATES');
   }
-});
 
-// GET /api/events/search/query  ← BEFORE /:id
+  const perPage = Math.min(parseInt(limit) || 10, 100);
+  const skip    = (Math.max(parseInt(page) || 1, 1) - 1) * perPage;
+
+  let query = hideEnded(req, { isActive: true, status: 'approved' });
+  if (category) query.category = category;
+
+  let sortOptions = { distance: 1 };
+  if (sortBy === 'price_asc')  sortOptions = { price: 1, distance: 1 };
+  if (sortBy === 'price_desc') sortOptions = { price: -1, distance: 1 };
+  if (sortBy === 'rating')     sortOptions = { rating: -1, distance: 1 };
+
+  const [result] = await Event.aggregate([
+    {
+      $geoNear: {
+        near:          { type: 'Point', coordinates: [lng, lat] },
+        key:           'geoLocation',
+        distanceField: 'distance',
+        distanceMultiplier: 0.001,          // metres → km
+        maxDistance:   radius * 1000,
+        spherical:     true,
+        query,
+      },
+    },
+    { $sort: sortOptions },
+    {
+      $facet: {
+        events: [{ $skip: skip }, { $limit: perPage }],
+        total:  [{ $count: 'count' }],
+      },
+    },
+  ]);
+
+  const events = await Event.populate(result.events, { path: 'organizer', select: 'name email' });
+  const total  = result.total[0]?.count || 0;
+
+  const pagination = { total, page: parseInt(page) || 1, pages: Math.ceil(total / perPage) };
+  sendSuccess(res, {
+    message: 'Nearby events fetched successfully',
+    data:    events.map((e) => ({
+      ...e,
+      localTimes: localTimesFor(e, e.timezone),
+      distance:   Math.round(e.distance * 100) / 100,
+    })),
+    meta:    { pagination },
+    legacy:  { pagination },
+  });
+}));
 
-router.get('/search/query', async (req, res) => {
-  try {
-    const { q } = req.query;
-    if (!q) return res.status(400).json({ message: 'Search query required', status: 400 });
-
-    const events = await Event.find({
-      $or: [
-        { title:       { $regex: q, $options: 'i' } },
-        { description: { $regex: q, $options: 'i' } },
-        { location:    { $regex: q, $options: 'i' } },
-        { category:    { $regex: q, $options: 'i' } },
-      ],
-      isActive: true,
-      status: 'approved',
-    });
+// GET /api/events/featured  ← BEFORE /:id
+router.get('/featured', validate(schemas.featured), asyncHandler(async (req, res) => {
+  const events = await Event.find(hideEnded(req, { isFeatured: true, isActive: true, status: 'approved' }))
+    .limit(6)
+    .populate('organizer', 'name email');
+  sendSuccess(res, { message: 'Featured events fetched successfully', data: events });
+}));
 
-    res.status(200).json({ message: 'Search results', status: 200, data: events });
-  } catch (error) {
-    res.status(500).json({ message: 'Error searching events', status: 500, error: error.message });
-  }
-});
+// GET /api/events/search/query  ← BEFORE /:id
+// ?q= full-text, ranked by relevance. Filters: category, location,
+// dateFrom, dateTo, minPrice, maxPrice, free=true, hideEnded=true.
+// Paginated like GET /.
+
+router.get('/search/query', validate(schemas.search), asyncHandler(async (req, res) => {
+  const { q, limit = 10, page = 1 } = req.query;
+  const hasFilter = ['category', 'location', 'dateFrom', 'dateTo', 'minPrice', 'maxPrice', 'free']
+    .some((key) => req.query[key]);
+  if (!q && !hasFilter) throw new BadRequestError('Search query required', 'SEARCH_QUERY_REQUIRED');
+
+  const perPage = Math.min(parseInt(limit) || 10, 50);
+  const current = Math.max(parseInt(page) || 1, 1);
+  const query   = buildSearchQuery(req.query);
+
+  const ranked = Boolean(query.$text);
+  const events = await Event.find(query, ranked ? { score: { $meta: 'textScore' } } : {})
+    .sort(ranked ? { score: { $meta: 'textScore' }, date: 1 } : { date: 1 })
+    .skip((current - 1) * perPage)
+    .limit(perPage)
+    .populate('organizer', 'name email');
+
+  const total = await Event.countDocuments(query);
+
+  const pagination = { total, page: current, pages: Math.ceil(total / perPage) };
+  sendSuccess(res, {
+    message: 'Search results',
+    data:    events,
+    meta:    { pagination },
+    legacy:  { pagination },
+  });
+}));
 
 
 // GET /api/events/admin/all  ← BEFORE /:id
 
-router.get('/admin/all', authMiddleware, async (req, res) => {
-  try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access only' });
-    }
-    const { status } = req.query;
-    const query = status ? { status } : {};
+router.get('/admin/all', authMiddleware, validate(schemas.adminList), asyncHandler(async (req, res) => {
+  adminOnly(req);
+  const { status } = req.query;
+  const query = status ? { status } : {};
 
-    const events = await Event.find(query)
-      .populate('organizer', 'name email')
-      .sort({ createdAt: -1 });
+  const events = await Event.find(query)
+    .populate('organizer', 'name email')
+    .sort({ createdAt: -1 });
 
-    res.status(200).json({ message: 'All events fetched', status: 200, data: events, events });
-  } catch (error) {
-    res.status(500).json({ message: 'Error fetching events', status: 500, error: error.message });
-  }
-});
+  sendSuccess(res, { message: 'All events fetched', data: events, legacy: { events } });
+}));
 
 // GET /api/events/organizer/my-events  ← BEFORE /:id
-router.get('/organizer/my-events', authMiddleware, async (req, res) => {
-  try {
-    const events = await Event.find({ organizer: req.user.id })
-      .sort({ createdAt: -1 });
-    res.status(200).json({ message: 'Your events fetched', status: 200, data: events, events });
-  } catch (error) {
-    res.status(500).json({ message: 'Error fetching your events', status: 500, error: error.message });
-  }
-});
+router.get('/organizer/my-events', authMiddleware, asyncHandler(async (req, res) => {
+  const events = await Event.find({ organizer: req.user.id })
+    .sort({ createdAt: -1 });
+  sendSuccess(res, { message: 'Your events fetched', data: events, legacy: { events } });
+}));
 
 // GET /api/events/:id  ← AFTER all specific routes
 
-router.get('/:id', async (req, res) => {
-  try {
-    const event = await Event.findById(req.params.id)
-      .populate('organizer', 'name email phone')
-      .populate({
-        path:     'bookings',
-        select:   'user numberOfSeats status',
-        populate: { path: 'user', select: 'name email' },
-      });
-
-    if (!event) return res.status(404).json({ message: 'Event not found', status: 404 });
-    res.status(200).json({ message: 'Event fetched successfully', status: 200, data: event });
-  } catch (error) {
-    res.status(500).json({ message: 'Error fetching event', status: 500, error: error.message });
-  }
-});
+router.get('/:id', validate(schemas.eventId), asyncHandler(async (req, res) => {
+  const event = await Event.findById(req.params.id)
+    .populate('organizer', 'name email phone')
+    .populate({
+      path:     'bookings',
+      select:   'user numberOfSeats status',
+      populate: { path: 'user', select: 'name email' },
+    });
+
+  if (!event) throw new NotFoundError('Event not found', 'EVENT_NOT_FOUND');
+  sendSuccess(res, { message: 'Event fetched successfully', data: event });
+}));
 
 
 // POST /api/events  — CREATE EVENT
 // ✅ FIX 1: uploadSingle wrapper catches Cloudinary errors as JSON
 // ✅ FIX 2: organizerName fetched from User model (req.user.name is undefined from JWT)
 
-router.post('/', authMiddleware, organizerMiddleware, uploadSingle, async (req, res) => {
-  try {
-    console.log('📥 POST /api/events');
-    console.log('📦 Body:', req.body);
-    console.log('🖼️  File:', req.file ? req.file.path : 'none');
+router.post('/', authMiddleware, organizerMiddleware, verifiedMiddleware, uploadSingle, validate(schemas.create), asyncHandler(async (req, res) => {
+  console.log('📥 POST /api/events');
+  console.log('📦 Body:', req.body);
+  console.log('🖼️  File:', req.file ? req.file.path : 'none');
+
+  const {
+    title, description, category,
+    location, latitude, longitude, price, totalSeats,
+  } = req.body;
+
+  // startsAt + endsAt/durationMinutes (ISO; without an offset they are
+  // wall-clock times in `timezone`), or the app's date + time
+  const timing = parseTiming(req.body);
+  const { date, time } = timing;
+
+  // ticketTypes: optional JSON array of { name, price, capacity, salesStart, salesEnd, maxPerOrder }
+  // — when given, price/totalSeats are derived from the tiers
+  const ticketTypes = parseTicketTypes(req.body.ticketTypes);
+  const hasTiers    = ticketTypes && ticketTypes.length > 0;
+
+  // cancellationPolicy: optional { rules: [{ hoursBefore, refundPercent }] }
+  const cancellationPolicy = parseCancellationPolicy(req.body.cancellationPolicy);
+
+  // recurrence / sessions: optional — makes this a series whose sessions
+  // each get their own seats (totalSeats is then per session)
+  const schedule = parseSchedule(req.body, { date, time, totalSeats, timezone: timing.timezone });
+
+  // title/description/category/location are checked by the schema;
+  // which timing and pricing fields are needed depends on the event
+  if ((!schedule && (!date || !time)) ||
+      (!hasTiers && (price === undefined || (!schedule && !totalSeats)))) {
+    throw new BadRequestError('Missing required fields', 'MISSING_FIELDS');
+  }
 
-    const {
-      title, description, category, date, time,
-      location, latitude, longitude, price, totalSeats,
-    } = req.body;
+  // ✅ FIX: req.user.name is undefined because JWT only stores id + role
+  // Fetch full user from DB to get name
+  const userDoc = await User.findById(req.user.id).select('name email');
+  const organizerName = userDoc?.name || req.user.name || req.user.email || 'Organizer';
+  console.log('👤 organizerName:', organizerName);
+
+  const imageUrl = req.file ? req.file.path : '';
+  console.log('☁️  Cloudinary URL:', imageUrl || 'no image');
+
+  const event = new Event({
+    title,
+    description,
+    category,
+    ...timing,
+    location,
+    latitude:       latitude  ?? 0,
+    longitude:      longitude ?? 0,
+    price:          price      ?? 0,
+    totalSeats:     totalSeats ?? 0,
+    availableSeats: totalSeats ?? 0,
+    images:         imageUrl ? [imageUrl] : [],
+    organizer:      req.user.id,
+    organizerName,                          // ← from DB lookup
+    status:         'pending',
+    adminNote:      '',
+  });
+  if (hasTiers) applyTicketTypes(event, ticketTypes);
+  if (schedule) applySchedule(event, schedule);
+  if (cancellationPolicy) event.cancellationPolicy = cancellationPolicy;
+
+  await event.save();
+  console.log(`✅ Saved: "${event.title}" | organizer: ${organizerName} | image: ${imageUrl || 'none'}`);
+
+  sendSuccess(res, {
+    status:  201,
+    message: 'Event submitted for admin approval.',
+    data:    event,
+    legacy:  { event },
+  });
+}));
 
-    if (!title || !description || !category || !date || !time || !location || !price || !totalSeats) {
-      return res.status(400).json({ message: 'Missing required fields', status: 400 });
-    }
+// PATCH /api/events/:id/approve
 
-    // ✅ FIX: req.user.name is undefined because JWT only stores id + role
-    // Fetch full user from DB to get name
-    const userDoc = await User.findById(req.user.id).select('name email');
-    const organizerName = userDoc?.name || req.user.name || req.user.email || 'Organizer';
-    console.log('👤 organizerName:', organizerName);
-
-    const imageUrl = req.file ? req.file.path : '';
-    console.log('☁️  Cloudinary URL:', imageUrl || 'no image');
-
-    const event = new Event({
-      title,
-      description,
-      category,
-      date:           new Date(date),
-      time,
-      location,
-      latitude:       parseFloat(latitude)  || 0,
-      longitude:      parseFloat(longitude) || 0,
-      price:          parseFloat(price),
-      totalSeats:     parseInt(totalSeats),
-      availableSeats: parseInt(totalSeats),
-      images:         imageUrl ? [imageUrl] : [],
-      organizer:      req.user.id,
-      organizerName,                          // ← from DB lookup
-      status:         'pending',
-      adminNote:      '',
-    });
+router.patch('/:id/approve', authMiddleware, validate(schemas.eventId), asyncHandler(async (req, res) => {
+  adminOnly(req);
 
-    await event.save();
-    console.log(`✅ Saved: "${event.title}" | organizer: ${organizerName} | image: ${imageUrl || 'none'}`);
+  const event = await reviewEvent(req.params.id, {
+    status: 'approved', adminNote: '', reviewedAt: new Date(), reviewedBy: req.user.id,
+  });
 
-    res.status(201).json({
-      message: 'Event submitted for admin approval.',
-      status:  201,
-      data:    event,
-      event,
-    });
-  } catch (error) {
-    console.error('❌ Create event error:', error.message);
-    res.status(500).json({ message: 'Error creating event', status: 500, error: error.message });
-  }
-});
+  console.log(`✅ Approved: "${event.title}"`);
+  await scheduleEventReminders(event);
+  await notifyEventReviewed(event);
+  sendSuccess(res, {
+    message: `"${event.title}" approved — now visible on events page`,
+    data: event, legacy: { event },
+  });
+}));
 
-// PATCH /api/events/:id/approve
 
-router.patch('/:id/approve', authMiddleware, async (req, res) => {
-  try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access only' });
-    }
+// PATCH /api/events/:id/reject
 
-    const event = await Event.findByIdAndUpdate(
-      req.params.id,
-      { status: 'approved', adminNote: '', reviewedAt: new Date(), reviewedBy: req.user.id },
-      { new: true }
-    ).populate('organizer', 'name email');
+router.patch('/:id/reject', authMiddleware, validate(schemas.reject), asyncHandler(async (req, res) => {
+  adminOnly(req);
 
-    if (!event) return res.status(404).json({ message: 'Event not found' });
+  const { reason } = req.body;
 
-    console.log(`✅ Approved: "${event.title}"`);
-    res.status(200).json({
-      message: `"${event.title}" approved — now visible on events page`,
-      status:  200, data: event, event,
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Error approving event', status: 500, error: error.message });
-  }
-});
+  const event = await reviewEvent(req.params.id, {
+    status: 'rejected', adminNote: reason, reviewedAt: new Date(), reviewedBy: req.user.id,
+  });
 
+  console.log(`❌ Rejected: "${event.title}" | reason: ${reason}`);
+  await cancelEventReminders(event._id);
+  await notifyEventReviewed(event);
+  sendSuccess(res, {
+    message: `"${event.title}" rejected. Organizer will see reason in My Events.`,
+    data: event, legacy: { event },
+  });
+}));
 
-// PATCH /api/events/:id/reject
 
-router.patch('/:id/reject', authMiddleware, async (req, res) => {
-  try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access only' });
-    }
+// PUT /api/events/:id — organizer updates own event
 
-    const { reason } = req.body;
-    if (!reason || reason.trim().length < 5) {
-      return res.status(400).json({ message: 'Please provide a rejection reason (min 5 characters)' });
-    }
+router.put('/:id', authMiddleware, organizerMiddleware, uploadSingle, validate(schemas.update), asyncHandler(async (req, res) => {
+  let event = await Event.findById(req.params.id);
+  if (!event) throw new NotFoundError('Event not found', 'EVENT_NOT_FOUND');
 
-    const event = await Event.findByIdAndUpdate(
-      req.params.id,
-      { status: 'rejected', adminNote: reason.trim(), reviewedAt: new Date(), reviewedBy: req.user.id },
-      { new: true }
-    ).populate('organizer', 'name email');
+  if (event.organizer.toString() !== req.user.id) {
+    throw new ForbiddenError('Not authorized to update this event', 'NOT_EVENT_OWNER');
+  }
+  notCancelled(event);
+
+  // Ticket holders are told about date/time, location and price changes
+  const before = snapshot(event);
+
+  const { title, description, location, latitude, longitude, price, totalSeats, isFeatured } = req.body;
+
+  // Series: sessions come from recurrence/sessions; the listed date/time
+  // and seat totals are always re-derived from them. A new date/time
+  // only counts as the start of a new recurrence rule.
+  const timing     = parseTiming(req.body, event);
+  const perSession = totalSeats ? parseInt(totalSeats) : event.occurrences[0]?.totalSeats;
+  const schedule   = parseSchedule(req.body, {
+    date: timing.date || event.date,
+    time: timing.time || event.time,
+    totalSeats: perSession,
+    timezone: timing.timezone || event.timezone,
+  });
+  const isSeries   = schedule ? !schedule.recurrence : event.occurrences.length > 0;
+  const moved      = (timing.date && timing.date.getTime() !== calendarDay(event.date, event.timezone).getTime()) ||
+    (timing.time && timing.time !== event.time);
+  if (isSeries && moved) {
+    throw new BadRequestError(
+      'This event runs as a series — change its dates with `sessions`, or send `recurrence` with the new date/time',
+      'SERIES_DATES_FROM_SCHEDULE'
+    );
+  }
 
-    if (!event) return res.status(404).json({ message: 'Event not found' });
+  const ticketTypes        = parseTicketTypes(req.body.ticketTypes);
+  const cancellationPolicy = parseCancellationPolicy(req.body.cancellationPolicy);
+  if (ticketTypes && ticketTypes.length > 0 && schedule) {
+    throw new BadRequestError('Ticket types are not supported on recurring events');
+  }
 
-    console.log(`❌ Rejected: "${event.title}" | reason: ${reason}`);
-    res.status(200).json({
-      message: `"${event.title}" rejected. Organizer will see reason in My Events.`,
-      status:  200, data: event, event,
+  // Tiers, sessions and seat capacity change in one conditional update
+  // of their own (services/seats.js), and only when they were sent —
+  // `remaining` and `availableSeats` are never saved back from this
+  // read, so bookings made meanwhile are kept. The save below then
+  // writes the other fields of the updated document.
+  const sessionSeatsChanged = totalSeats !== undefined &&
+    event.occurrences.some((o) => o.totalSeats !== perSession);
+  if (ticketTypes) {
+    event = await resizeTicketTypes(event, ticketTypes);
+  }
+  if (schedule) {
+    event = await resizeOccurrences(event, schedule);
+  } else if (sessionSeatsChanged) {
+    event = await resizeOccurrences(event, {
+      recurrence:  event.recurrence ? event.recurrence.toObject() : null,
+      occurrences: event.occurrences.map((o) => ({ _id: o._id, date: o.date, time: o.time, totalSeats: perSession })),
     });
-  } catch (error) {
-    res.status(500).json({ message: 'Error rejecting event', status: 500, error: error.message });
+  } else if (totalSeats !== undefined && event.ticketTypes.length === 0 && event.occurrences.length === 0) {
+    event = await resizeSeats(event, parseInt(totalSeats));
   }
-});
 
+  if (req.file) event.images = [req.file.path];
+
+  // A tiered event's price comes from its tiers
+  Object.assign(event, {
+    title:       title       || event.title,
+    description: description || event.description,
+    ...timing,
+    location:    location    || event.location,
+    latitude:    latitude    ?? event.latitude,
+    longitude:   longitude   ?? event.longitude,
+    price:       event.ticketTypes.length > 0 ? event.price : price ?? event.price,
+    isFeatured:  isFeatured  ?? event.isFeatured,
+    status:      'pending',
+    adminNote:   '',
+  });
+
+  // A series is listed at its first session
+  if (event.occurrences.length > 0) {
+    event.date = event.occurrences[0].date;
+    event.time = event.occurrences[0].time;
+  }
 
-// PUT /api/events/:id — organizer updates own event
+  if (cancellationPolicy) event.cancellationPolicy = cancellationPolicy;
 
-router.put('/:id', authMiddleware, organizerMiddleware, uploadSingle, async (req, res) => {
-  try {
-    const event = await Event.findById(req.params.id);
-    if (!event) return res.status(404).json({ message: 'Event not found', status: 404 });
+  await event.save();
+  // Back to pending — reminders come back when it is approved again
+  await cancelEventReminders(event._id);
 
-    if (event.organizer.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to update this event', status: 403 });
-    }
+  const changes = materialChanges(before, event);
+  await notifyEventChanged(event, changes);
 
-    const { title, description, date, time, location, price, totalSeats, isFeatured } = req.body;
-
-    if (req.file) event.images = [req.file.path];
-
-    Object.assign(event, {
-      title:       title       || event.title,
-      description: description || event.description,
-      date:        date ? new Date(date) : event.date,
-      time:        time        || event.time,
-      location:    location    || event.location,
-      price:       price       !== undefined ? parseFloat(price) : event.price,
-      totalSeats:  totalSeats  ? parseInt(totalSeats) : event.totalSeats,
-      isFeatured:  isFeatured  !== undefined ? isFeatured : event.isFeatured,
-      status:      'pending',
-      adminNote:   '',
-    });
+  sendSuccess(res, {
+    message: 'Event updated — resubmitted for approval',
+    data: event,
+    meta: { changes },
+  });
+}));
 
-    await event.save();
-    res.status(200).json({ message: 'Event updated — resubmitted for approval', status: 200, data: event });
-  } catch (error) {
-    res.status(500).json({ message: 'Error updating event', status: 500, error: error.message });
+// ════════════════════════════════════════════════════════════
+// PUT /api/events/:id/cancel
+// Body: { reason } — cancels every booking with a full refund and
+// tells attendees and the waitlist (in the background)
+// ════════════════════════════════════════════════════════════
+router.put('/:id/cancel', authMiddleware, organizerMiddleware, validate(schemas.cancel), asyncHandler(async (req, res) => {
+  const event = await Event.findById(req.params.id).select('organizer');
+  if (!event) throw new NotFoundError('Event not found', 'EVENT_NOT_FOUND');
+
+  if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+    throw new ForbiddenError('Not authorized to cancel this event', 'NOT_EVENT_OWNER');
   }
-});
+
+  const cancelled = await cancelEvent(event._id, { reason: req.body.reason || null, cancelledBy: req.user.id });
+  if (!cancelled) {
+    throw new BadRequestError('Event is already cancelled', 'ALREADY_CANCELLED');
+  }
+
+  const bookings = await Booking.countDocuments({ event: event._id, status: { $in: ['confirmed', 'pending'] } });
+  sendSuccess(res, {
+    message: bookings > 0
+      ? `Event cancelled — ${bookings} booking(s) are being cancelled and refunded`
+      : 'Event cancelled',
+    data: cancelled,
+    meta: { bookings },
+  });
+}));
 
 // ════════════════════════════════════════════════════════════
 // DELETE /api/events/:id
+// Only events nobody holds a booking for; cancel the others instead
 // ════════════════════════════════════════════════════════════
-router.delete('/:id', authMiddleware, organizerMiddleware, async (req, res) => {
-  try {
-    const event = await Event.findById(req.params.id);
-    if (!event) return res.status(404).json({ message: 'Event not found', status: 404 });
+router.delete('/:id', authMiddleware, organizerMiddleware, validate(schemas.eventId), asyncHandler(async (req, res) => {
+  const event = await Event.findById(req.params.id);
+  if (!event) throw new NotFoundError('Event not found', 'EVENT_NOT_FOUND');
 
-    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized to delete this event', status: 403 });
-    }
+  if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+    throw new ForbiddenError('Not authorized to delete this event', 'NOT_EVENT_OWNER');
+  }
 
-    if (event.images && event.images.length > 0) {
-      try {
-        const imageUrl = event.images[0];
-        if (imageUrl.includes('cloudinary.com')) {
-          const parts    = imageUrl.split('/');
-          const filename = parts[parts.length - 1].split('.')[0];
-          await cloudinary.uploader.destroy(`event_finder/events/${filename}`);
-        }
-      } catch (e) {
-        console.error('Cloudinary delete error:', e.message);
+  const activeBookings = await Booking.countDocuments({ event: event._id, status: { $in: ['confirmed', 'pending'] } });
+  if (activeBookings > 0) {
+    throw new ConflictError(
+      `This event has ${activeBookings} active booking(s) — cancel the event instead so attendees are refunded and told`,
+      'EVENT_HAS_BOOKINGS',
+      { activeBookings }
+    );
+  }
+
+  if (event.images && event.images.length > 0) {
+    try {
+      const imageUrl = event.images[0];
+      if (imageUrl.includes('cloudinary.com')) {
+        const parts    = imageUrl.split('/');
+        const filename = parts[parts.length - 1].split('.')[0];
+        await cloudinary.uploader.destroy(`event_finder/events/${filename}`);
       }
+    } catch (e) {
+      console.error('Cloudinary delete error:', e.message);
     }
-
-    await Event.findByIdAndDelete(req.params.id);
-    res.status(200).json({ message: 'Event deleted successfully', status: 200 });
-  } catch (error) {
-    res.status(500).json({ message: 'Error deleting event', status: 500, error: error.message });
   }
-});
+
+  await Event.findByIdAndDelete(req.params.id);
+  await cancelEventReminders(req.params.id);
+  await Wishlist.deleteMany({ event: event._id });
+  await WaitlistEntry.updateMany({ event: event._id, status: 'waiting' }, { status: 'expired' });
+  sendSuccess(res, { message: 'Event deleted successfully' });
+}));
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,17 @@
+// Every API router and where it is mounted — app.js mounts them in
+// this order and docs/check.js compares them against the OpenAPI spec
+module.exports = [
+  ['/api/auth', require('./auth.routes')],
+  ['/api/events', require('./event.routes')],
+  ['/api/bookings', require('./booking.routes')],
+  ['/api/wishlist', require('./wishlist.routes')],
+  ['/api/waitlist', require('./waitlist.routes')],
+  ['/api/payments', require('./payment.routes')],
+  ['/api/reviews', require('./review.routes')],
+  ['/api/organizer-applications', require('./organizerApplication.routes')],
+  ['/api/admin', require('./admin.routes')],
+  ['/api/users', require('./user.routes')],
+  ['/api/notifications', require('./notification.routes')],
+  ['/api/broadcasts', require('./broadcast.routes')],
+  ['/api/analytics', require('./analytics.routes')],
+];
@@ -0,0 +1,108 @@
+const express = require('express');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const { authMiddleware } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendSuccess, asyncHandler } = require('../middleware/response');
+const { NotFoundError } = require('../services/errors');
+const schemas = require('../validators/notification.validators');
+
+router.use(authMiddleware);
+
+// GET /api/notifications?unread=true&page=1&limit=20
+// Newest first; meta.unread is the badge count
+router.get('/', validate(schemas.list), asyncHandler(async (req, res) => {
+  const { limit = 20, page = 1 } = req.query;
+  const perPage = Math.min(parseInt(limit) || 20, 50);
+  const current = Math.max(parseInt(page) || 1, 1);
+
+  const query = { user: req.user.id };
+  if (req.query.unread === true) query.readAt = null;
+
+  const [notifications, total, unread] = await Promise.all([
+    Notification.find(query)
+      .sort({ createdAt: -1 })
+      .skip((current - 1) * perPage)
+      .limit(perPage),
+    Notification.countDocuments(query),
+    Notification.countDocuments({ user: req.user.id, readAt: null }),
+  ]);
+
+  const pagination = { total, page: current, pages: Math.ceil(total / perPage) };
+  sendSuccess(res, {
+    message: 'Notifications fetched successfully',
+    data: notifications,
+    meta: { pagination, unread },
+    legacy: { pagination },
+  });
+}));
+
+// GET /api/notifications/unread-count
+router.get('/unread-count', asyncHandler(async (req, res) => {
+  const unread = await Notification.countDocuments({ user: req.user.id, readAt: null });
+
+  sendSuccess(res, {
+    message: 'Unread count fetched successfully',
+    data: { unread },
+  });
+}));
+
+// PUT /api/notifications/read-all
+router.put('/read-all', asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { user: req.user.id, readAt: null },
+    { readAt: new Date() }
+  );
+
+  sendSuccess(res, {
+    message: 'All notifications marked as read',
+    data: { updated: result.modifiedCount },
+  });
+}));
+
+// PUT /api/notifications/push-token
+// Body: { token } — registers this device for push notifications.
+// The token belongs to the current session; a token that moved to a
+// new sign-in is taken off the old session.
+router.put('/push-token', validate(schemas.pushToken), asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  await Session.updateMany({ pushToken: token, _id: { $ne: req.user.sid } }, { pushToken: null });
+  await Session.updateOne({ _id: req.user.sid }, { pushToken: token });
+
+  sendSuccess(res, {
+    message: 'Push notifications enabled for this device',
+  });
+}));
+
+// DELETE /api/notifications/push-token
+// Stops push notifications to this device; they stay in the list
+router.delete('/push-token', asyncHandler(async (req, res) => {
+  await Session.updateOne({ _id: req.user.sid }, { pushToken: null });
+
+  sendSuccess(res, {
+    message: 'Push notifications disabled for this device',
+  });
+}));
+
+// PUT /api/notifications/:id/read
+router.put('/:id/read', validate(schemas.notificationId), asyncHandler(async (req, res) => {
+  const notification = await Notification.findOne({ _id: req.params.id, user: req.user.id });
+
+  if (!notification) {
+    throw new NotFoundError('Notification not found', 'NOTIFICATION_NOT_FOUND');
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  sendSuccess(res, {
+    message: 'Notification marked as read',
+    data: notification,
+  });
+}));
+
+module.exports = router;
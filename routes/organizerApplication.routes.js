@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const OrganizerApplication = require('../models/OrganizerApplication');
+const { authMiddleware } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendSuccess, asyncHandler } = require('../middleware/response');
+const { BadRequestError, ConflictError } = require('../services/errors');
+const schemas = require('../validators/organizerApplication.validators');
+
+// Apply to become an organizer
+// Body: { organizationName, contactEmail, contactPhone, website, details }
+router.post('/', authMiddleware, validate(schemas.apply), asyncHandler(async (req, res) => {
+  if (req.user.role !== 'user') {
+    throw new BadRequestError('Your account can already create events', 'ALREADY_ORGANIZER');
+  }
+
+  const { organizationName, contactEmail, contactPhone, website, details } = req.body;
+
+  let application;
+  try {
+    application = await OrganizerApplication.create({
+      user: req.user.id,
+      organizationName,
+      contactEmail,
+      contactPhone: contactPhone || '',
+      website: website || '',
+      details,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ConflictError('You already have a pending application', 'APPLICATION_PENDING');
+    }
+    throw error;
+  }
+
+  sendSuccess(res, {
+    status: 201,
+    message: 'Application submitted — an admin will review it',
+    data: application,
+  });
+}));
+
+// Get own applications, newest first
+router.get('/me', authMiddleware, asyncHandler(async (req, res) => {
+  const applications = await OrganizerApplication.find({ user: req.user.id }).sort({ createdAt: -1 });
+
+  sendSuccess(res, {
+    message: 'Applications fetched successfully',
+    data: applications,
+  });
+}));
+
+module.exports = router;
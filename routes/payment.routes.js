@@ -0,0 +1,135 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Booking = require('../models/Booking');
+const PaymentEvent = require('../models/PaymentEvent');
+const { authMiddleware } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendSuccess, asyncHandler } = require('../middleware/response');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../services/errors');
+const schemas = require('../validators/payment.validators');
+const { activeProvider, getProvider, currency } = require('../services/payments');
+const { markPaid, markFailed } = require('../services/payments/settlement');
+
+// Create Payment Intent for a pending booking
+// Body: { bookingId }
+// Asking again returns the intent already open for the booking, so
+// there is never more than one payment that can confirm it.
+router.post('/intent', authMiddleware, validate(schemas.intent), asyncHandler(async (req, res) => {
+  const { bookingId } = req.body;
+
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
+  }
+
+  if (booking.user.toString() !== req.user.id) {
+    throw new ForbiddenError('Not authorized to pay for this booking', 'NOT_BOOKING_OWNER');
+  }
+
+  if (booking.totalPrice === 0) {
+    throw new BadRequestError('Free bookings need no payment', 'PAYMENT_NOT_REQUIRED');
+  }
+
+  if (booking.status !== 'pending' || !booking.expiresAt || booking.expiresAt <= new Date()) {
+    throw new BadRequestError('Only an active pending booking can be paid', 'BOOKING_NOT_PAYABLE');
+  }
+
+  const respond = (provider, intent, created) => sendSuccess(res, {
+    status: created ? 201 : 200,
+    message: created ? 'Payment intent created' : 'Payment intent already open',
+    data: {
+      provider: provider.name,
+      paymentId: intent.id,
+      clientSecret: intent.clientSecret,
+      redirectUrl: intent.redirectUrl,
+      amount: booking.totalPrice,
+      currency: currency(),
+      expiresAt: booking.expiresAt,
+    },
+  });
+
+  const openIntent = async ({ paymentId, paymentProvider }) => {
+    const provider = paymentId && getProvider(paymentProvider);
+    const intent = provider && await provider.getIntent(paymentId);
+    return intent ? { provider, intent } : null;
+  };
+
+  const open = booking.paymentStatus === 'requires_payment' && await openIntent(booking);
+  if (open) return respond(open.provider, open.intent, false);
+
+  const provider = activeProvider();
+  const intent = await provider.createIntent({
+    booking,
+    amount: booking.totalPrice,
+    currency: currency(),
+  });
+
+  // Replace only the intent looked at above — if a parallel request
+  // stored one first, hand out that one (ours was never shown to anyone)
+  const stored = await Booking.findOneAndUpdate(
+    { _id: booking._id, paymentId: booking.paymentId },
+    { paymentId: intent.id, paymentProvider: provider.name, paymentStatus: 'requires_payment' },
+    { new: true }
+  );
+  if (!stored) {
+    const winner = await openIntent(await Booking.findById(booking._id));
+    if (!winner) throw new ConflictError('Payment is already being set up — please try again', 'PAYMENT_IN_PROGRESS');
+    return respond(winner.provider, winner.intent, false);
+  }
+
+  respond(provider, intent, true);
+}));
+
+// Payment Webhook — called by the gateway, authenticated by signature
+router.post('/webhook/:provider', asyncHandler(async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) throw new NotFoundError('Unknown payment provider', 'UNKNOWN_PROVIDER');
+
+  let event;
+  try {
+    event = provider.parseWebhook(req.rawBody || Buffer.from(''), req.headers);
+  } catch (error) {
+    throw new BadRequestError(error.message, 'WEBHOOK_INVALID');
+  }
+
+  // Ignore deliveries that don't point at one of our bookings
+  if (!mongoose.isValidObjectId(event.bookingId)) event.bookingId = null;
+
+  try {
+    // Record first so a retried delivery is acknowledged without work
+    try {
+      await PaymentEvent.create({
+        provider: provider.name,
+        eventId: event.id,
+        type: event.type,
+        booking: event.bookingId || null,
+        paymentId: event.paymentId || null,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return sendSuccess(res, { message: 'Already processed' });
+      }
+      throw error;
+    }
+
+    let result = { outcome: 'ignored' };
+    if (event.bookingId && event.type === 'payment.succeeded') {
+      result = await markPaid(event.bookingId, event.paymentId);
+    } else if (event.bookingId && event.type === 'payment.failed') {
+      result = await markFailed(event.bookingId, event.paymentId);
+    }
+
+    console.log(`💳 Webhook ${provider.name}/${event.type} → ${result.outcome}`);
+    sendSuccess(res, {
+      message: 'Webhook processed',
+      data: { outcome: result.outcome },
+    });
+  } catch (error) {
+    // Let the gateway retry this delivery
+    await PaymentEvent.deleteOne({ provider: provider.name, eventId: event.id }).catch(() => {});
+    throw error;
+  }
+}));
+
+module.exports = router;
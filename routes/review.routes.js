@@ -0,0 +1,183 @@
+const express = require('express');
+const router = express.Router();
+const Review = require('../models/Review');
+const Booking = require('../models/Booking');
+const Event = require('../models/Event');
+const { authMiddleware, organizerMiddleware, adminMiddleware } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendSuccess, asyncHandler } = require('../middleware/response');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../services/errors');
+const schemas = require('../validators/review.validators');
+const { hasStarted } = require('../services/eventTime');
+
+// Get Event Reviews (public)
+router.get('/event/:eventId', validate(schemas.list), asyncHandler(async (req, res) => {
+  const { limit = 10, page = 1 } = req.query;
+  const perPage = Math.min(parseInt(limit) || 10, 50);
+  const current = Math.max(parseInt(page) || 1, 1);
+  const query = { event: req.params.eventId, isHidden: false };
+
+  const reviews = await Review.find(query)
+    .select('-hiddenReason -hiddenBy')
+    .populate('user', 'name profileImage')
+    .sort({ createdAt: -1 })
+    .skip((current - 1) * perPage)
+    .limit(perPage);
+
+  const total = await Review.countDocuments(query);
+
+  const pagination = { total, page: current, pages: Math.ceil(total / perPage) };
+  sendSuccess(res, {
+    message: 'Reviews fetched successfully',
+    data: reviews,
+    meta: { pagination },
+    legacy: { pagination },
+  });
+}));
+
+// Create Review
+// Body: { eventId, rating (1-5), comment }
+// Needs a confirmed booking for an event (or, in a series, a booked
+// session) that has already started;
+// REVIEWS_REQUIRE_CHECK_IN=true also requires the ticket to have been scanned.
+router.post('/', authMiddleware, validate(schemas.create), asyncHandler(async (req, res) => {
+  const { eventId, rating, comment } = req.body;
+
+  const event = await Event.findById(eventId);
+  if (!event) {
+    throw new NotFoundError('Event not found', 'EVENT_NOT_FOUND');
+  }
+
+  const bookingQuery = { user: req.user.id, event: eventId, status: 'confirmed' };
+  if (process.env.REVIEWS_REQUIRE_CHECK_IN === 'true') bookingQuery.checkedInAt = { $ne: null };
+
+  // A series booking counts once its own session has started, not the
+  // series' first one
+  const bookings = await Booking.find(bookingQuery).select('_id occurrence');
+  const booking = bookings.find((b) => hasStarted(event, b.occurrence));
+  if (!booking) {
+    if (bookings.length > 0 || !hasStarted(event)) {
+      throw new BadRequestError('You can review this event once it has taken place', 'EVENT_NOT_STARTED');
+    }
+    throw new ForbiddenError('Only attendees with a confirmed booking can review this event', 'BOOKING_REQUIRED');
+  }
+
+  const review = new Review({
+    event: eventId,
+    user: req.user.id,
+    booking: booking._id,
+    rating,
+    comment: comment || '',
+  });
+  try {
+    await review.save();
+  } catch (saveError) {
+    if (saveError.code === 11000) {
+      throw new ConflictError('You have already reviewed this event', 'ALREADY_REVIEWED');
+    }
+    throw saveError;
+  }
+  await Review.refreshEventRating(eventId);
+
+  sendSuccess(res, {
+    status: 201,
+    message: 'Review posted successfully',
+    data: review,
+  });
+}));
+
+// Update Own Review
+// Body: { rating, comment }
+router.put('/:id', authMiddleware, validate(schemas.update), asyncHandler(async (req, res) => {
+  const review = await Review.findById(req.params.id);
+
+  if (!review) {
+    throw new NotFoundError('Review not found', 'REVIEW_NOT_FOUND');
+  }
+
+  if (review.user.toString() !== req.user.id) {
+    throw new ForbiddenError('Not authorized to edit this review', 'NOT_REVIEW_OWNER');
+  }
+
+  if (req.body.rating !== undefined) review.rating = req.body.rating;
+  if (req.body.comment !== undefined) review.comment = req.body.comment;
+
+  await review.save();
+  await Review.refreshEventRating(review.event);
+
+  sendSuccess(res, {
+    message: 'Review updated successfully',
+    data: review,
+  });
+}));
+
+// Delete Review (author or admin)
+router.delete('/:id', authMiddleware, validate(schemas.reviewId), asyncHandler(async (req, res) => {
+  const review = await Review.findById(req.params.id);
+
+  if (!review) {
+    throw new NotFoundError('Review not found', 'REVIEW_NOT_FOUND');
+  }
+
+  if (review.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    throw new ForbiddenError('Not authorized to delete this review', 'NOT_REVIEW_OWNER');
+  }
+
+  await Review.findByIdAndDelete(review._id);
+  await Review.refreshEventRating(review.event);
+
+  sendSuccess(res, {
+    message: 'Review deleted successfully',
+  });
+}));
+
+// Reply to Review (organizer of the event)
+// Body: { text } — an empty text removes the reply
+router.put('/:id/reply', authMiddleware, organizerMiddleware, validate(schemas.reply), asyncHandler(async (req, res) => {
+  const review = await Review.findById(req.params.id).populate('event', 'organizer');
+
+  if (!review || !review.event) {
+    throw new NotFoundError('Review not found', 'REVIEW_NOT_FOUND');
+  }
+
+  if (review.event.organizer.toString() !== req.user.id) {
+    throw new ForbiddenError('Only the event organizer can reply to this review', 'NOT_EVENT_OWNER');
+  }
+
+  const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+  review.reply = text
+    ? { text, repliedAt: new Date(), repliedBy: req.user.id }
+    : { text: null, repliedAt: null, repliedBy: null };
+  await review.save();
+
+  sendSuccess(res, {
+    message: text ? 'Reply posted successfully' : 'Reply removed',
+    data: review,
+  });
+}));
+
+// Hide / Unhide Review (admin)
+// Body: { hidden = true, reason }
+router.put('/:id/hide', authMiddleware, adminMiddleware, validate(schemas.hide), asyncHandler(async (req, res) => {
+  const hidden = req.body.hidden !== false;
+  const review = await Review.findByIdAndUpdate(
+    req.params.id,
+    hidden
+      ? { isHidden: true, hiddenReason: req.body.reason || null, hiddenBy: req.user.id }
+      : { isHidden: false, hiddenReason: null, hiddenBy: null },
+    { new: true }
+  );
+
+  if (!review) {
+    throw new NotFoundError('Review not found', 'REVIEW_NOT_FOUND');
+  }
+
+  await Review.refreshEventRating(review.event);
+
+  sendSuccess(res, {
+    message: hidden ? 'Review hidden' : 'Review restored',
+    data: review,
+  });
+}));
+
+module.exports = router;
@@ -1,31 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const { validate } = require('../middleware/validate');
+const { sendSuccess, asyncHandler } = require('../middleware/response');
+const { NotFoundError } = require('../services/errors');
+const schemas = require('../validators/user.validators');
 
 // Get User by ID
-router.get('/:id', async (req, res) => {
-  try {
-    const user = await User.findById(req.params.id).select('-password');
+router.get('/:id', validate(schemas.userId), asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id).select('-password');
 
-    if (!user) {
-      return res.status(404).json({
-        message: 'User not found',
-        status: 404,
-      });
-    }
-
-    res.status(200).json({
-      message: 'User fetched successfully',
-      status: 200,
-      data: user,
-    });
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error fetching user',
-      status: 500,
-      error: error.message,
-    });
+  if (!user) {
+    throw new NotFoundError('User not found', 'USER_NOT_FOUND');
   }
-});
+
+  sendSuccess(res, {
+    message: 'User fetched successfully',
+    data: user,
+  });
+}));
 
 module.exports = router;
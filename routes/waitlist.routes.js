@@ -0,0 +1,243 @@
+const express = require('express');
+const router = express.Router();
+const Booking = require('../models/Booking');
+const Event = require('../models/Event');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { authMiddleware, organizerMiddleware, verifiedMiddleware } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendSuccess, asyncHandler } = require('../middleware/response');
+const {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  GoneError,
+  NotFoundError,
+  PaymentRequiredError,
+} = require('../services/errors');
+const schemas = require('../validators/waitlist.validators');
+const { releaseSeats, bookingSeats } = require('../services/seats');
+const { getPosition, promoteWaitlist } = require('../services/waitlist');
+const { confirmHold } = require('../services/holds');
+const { findOccurrence } = require('../services/recurrence');
+
+const withPosition = async (entry) => ({
+  ...entry.toObject(),
+  position: await getPosition(entry),
+});
+
+// Join Waitlist
+// Body: { eventId, numberOfSeats, ticketTypeId?, occurrenceId? }
+router.post('/', authMiddleware, verifiedMiddleware, validate(schemas.join), asyncHandler(async (req, res) => {
+  const { eventId, numberOfSeats, ticketTypeId, occurrenceId } = req.body;
+
+  const event = await Event.findById(eventId);
+  if (!event) {
+    throw new NotFoundError('Event not found', 'EVENT_NOT_FOUND');
+  }
+
+  if (event.status === 'cancelled') {
+    throw new GoneError('This event has been cancelled', 'EVENT_CANCELLED');
+  }
+
+  // Tiered events queue for one specific tier
+  let tier = null;
+  if (event.ticketTypes.length > 0) {
+    tier = event.ticketTypes.find((t) => t._id.toString() === String(ticketTypeId));
+    if (!tier) {
+      throw new BadRequestError('A valid ticket type is required for this event', 'TICKET_TYPE_REQUIRED');
+    }
+  }
+
+  // Recurring events queue for one session
+  const occurrence = findOccurrence(event, occurrenceId);
+
+  const available = Math.min(
+    tier ? tier.remaining : event.availableSeats,
+    occurrence ? occurrence.availableSeats : Infinity
+  );
+  if (available >= numberOfSeats) {
+    throw new BadRequestError('Seats are still available — book them directly', 'SEATS_AVAILABLE', { available });
+  }
+
+  const entry = new WaitlistEntry({
+    user: req.user.id,
+    event: eventId,
+    numberOfSeats,
+    ticketType: tier ? tier._id : null,
+    occurrence: occurrence ? occurrence._id : null,
+  });
+
+  try {
+    await entry.save();
+  } catch (saveError) {
+    if (saveError.code === 11000) {
+      throw new ConflictError('You are already on the waitlist for this event', 'ALREADY_ON_WAITLIST');
+    }
+    throw saveError;
+  }
+
+  sendSuccess(res, {
+    status: 201,
+    message: 'Joined waitlist',
+    data: await withPosition(entry),
+  });
+}));
+
+// Get User's Waitlist Entries
+router.get('/', authMiddleware, asyncHandler(async (req, res) => {
+  const entries = await WaitlistEntry.find({
+    user: req.user.id,
+    status: { $in: ['waiting', 'offered'] },
+  })
+    .populate('event', 'title date time location price')
+    .populate('booking', 'status expiresAt totalPrice bookingRef')
+    .sort({ createdAt: -1 });
+
+  sendSuccess(res, {
+    message: 'Waitlist fetched successfully',
+    data: await Promise.all(entries.map(withPosition)),
+  });
+}));
+
+// Get Event Waitlist (organizer of the event or admin)
+router.get('/event/:eventId', authMiddleware, organizerMiddleware, validate(schemas.eventId), asyncHandler(async (req, res) => {
+  const event = await Event.findById(req.params.eventId).select('organizer title');
+  if (!event) {
+    throw new NotFoundError('Event not found', 'EVENT_NOT_FOUND');
+  }
+
+  if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+    throw new ForbiddenError('Not authorized to view this waitlist', 'NOT_EVENT_OWNER');
+  }
+
+  const entries = await WaitlistEntry.find({
+    event: event._id,
+    status: { $in: ['waiting', 'offered'] },
+  })
+    .populate('user', 'name email')
+    .populate('booking', 'status expiresAt')
+    .sort({ createdAt: 1 });
+
+  // Position within each session/tier line
+  const lines = new Map();
+  const data = entries.map((entry) => {
+    const line = `${entry.occurrence}|${entry.ticketType}`;
+    const position = entry.status === 'waiting' ? (lines.get(line) || 0) + 1 : null;
+    if (position) lines.set(line, position);
+    return { ...entry.toObject(), position };
+  });
+  const waiting = entries.filter((e) => e.status === 'waiting').length;
+  const summary = {
+    waiting,
+    offered: entries.length - waiting,
+    seatsRequested: entries.reduce((sum, e) => sum + e.numberOfSeats, 0),
+  };
+
+  sendSuccess(res, {
+    message: 'Event waitlist fetched successfully',
+    data,
+    meta: { summary },
+    legacy: { summary },
+  });
+}));
+
+// Get Single Waitlist Entry (with position)
+router.get('/:id', authMiddleware, validate(schemas.entryId), asyncHandler(async (req, res) => {
+  const entry = await WaitlistEntry.findById(req.params.id)
+    .populate('event', 'title date time location price')
+    .populate('booking', 'status expiresAt totalPrice bookingRef');
+
+  if (!entry) {
+    throw new NotFoundError('Waitlist entry not found', 'WAITLIST_ENTRY_NOT_FOUND');
+  }
+
+  if (entry.user.toString() !== req.user.id) {
+    throw new ForbiddenError('Not authorized to view this waitlist entry', 'NOT_WAITLIST_OWNER');
+  }
+
+  sendSuccess(res, {
+    message: 'Waitlist entry fetched successfully',
+    data: await withPosition(entry),
+  });
+}));
+
+// Claim Offered Seats (free offers — paid ones go through /api/payments)
+router.post('/:id/claim', authMiddleware, validate(schemas.entryId), asyncHandler(async (req, res) => {
+  const entry = await WaitlistEntry.findById(req.params.id);
+
+  if (!entry) {
+    throw new NotFoundError('Waitlist entry not found', 'WAITLIST_ENTRY_NOT_FOUND');
+  }
+
+  if (entry.user.toString() !== req.user.id) {
+    throw new ForbiddenError('Not authorized to claim this offer', 'NOT_WAITLIST_OWNER');
+  }
+
+  if (entry.status !== 'offered') {
+    throw new BadRequestError('There is no open offer for this waitlist entry', 'NO_OPEN_OFFER');
+  }
+
+  // Paid offers are claimed by paying for the pending booking
+  const offer = await Booking.findById(entry.booking).select('totalPrice');
+  if (offer && offer.totalPrice > 0) {
+    throw new PaymentRequiredError('Pay for the offered booking to claim these seats', 'PAYMENT_REQUIRED', {
+      bookingId: offer._id,
+      totalPrice: offer.totalPrice,
+    });
+  }
+
+  const booking = await confirmHold(entry.booking);
+  if (!booking) {
+    throw new GoneError('This offer has expired', 'OFFER_EXPIRED');
+  }
+
+  await booking.populate('event', 'title date time location');
+
+  sendSuccess(res, {
+    message: 'Seats claimed — booking confirmed',
+    data: booking,
+  });
+}));
+
+// Leave Waitlist (also declines an open offer)
+router.delete('/:id', authMiddleware, validate(schemas.entryId), asyncHandler(async (req, res) => {
+  const entry = await WaitlistEntry.findById(req.params.id);
+
+  if (!entry) {
+    throw new NotFoundError('Waitlist entry not found', 'WAITLIST_ENTRY_NOT_FOUND');
+  }
+
+  if (entry.user.toString() !== req.user.id) {
+    throw new ForbiddenError('Not authorized to leave this waitlist', 'NOT_WAITLIST_OWNER');
+  }
+
+  // The entry as it was when it left the queue — an offer may have
+  // been made since the read above
+  const left = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: { $in: ['waiting', 'offered'] } },
+    { status: 'left' },
+    { new: false }
+  );
+  if (!left) {
+    throw new BadRequestError('You are no longer on this waitlist', 'NOT_ON_WAITLIST');
+  }
+
+  // Declined offer — free the held seats for the next person
+  if (left.status === 'offered' && left.booking) {
+    const declined = await Booking.findOneAndUpdate(
+      { _id: left.booking, status: 'pending' },
+      { status: 'cancelled' },
+      { new: true }
+    );
+    if (declined) {
+      await releaseSeats(declined.event, declined.numberOfSeats, bookingSeats(declined));
+      await promoteWaitlist(declined.event);
+    }
+  }
+
+  sendSuccess(res, {
+    message: 'Left waitlist',
+  });
+}));
+
+module.exports = router;
@@ -2,6 +2,10 @@ const express   = require('express');
 const router    = express.Router();
 const Wishlist  = require('../models/Wishlist');
 const { authMiddleware } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendSuccess, asyncHandler } = require('../middleware/response');
+const { ForbiddenError, NotFoundError } = require('../services/errors');
+const schemas = require('../validators/wishlist.validators');
 
 // ── All event fields Flutter's Event.fromJson needs ──────────
 const EVENT_FIELDS = 'title description category date time location latitude longitude price totalSeats availableSeats images organizerName organizer status isFeatured rating reviewCount';
@@ -9,107 +13,84 @@ const EVENT_FIELDS = 'title description category date time location latitude lon
 // GET /api/wishlist
 // Returns: { data: [ { _id: wishlistItemId, event: {...} } ] }
 
-router.get('/', authMiddleware, async (req, res) => {
-  try {
-    const wishlist = await Wishlist.find({ user: req.user.id })
-      .populate('event', EVENT_FIELDS)
-      .sort({ createdAt: -1 });
+router.get('/', authMiddleware, asyncHandler(async (req, res) => {
+  const wishlist = await Wishlist.find({ user: req.user.id })
+    .populate('event', EVENT_FIELDS)
+    .sort({ createdAt: -1 });
 
-    // Filter out any items where the event was deleted
-    const validItems = wishlist.filter(item => item.event != null);
+  // Filter out any items where the event was deleted
+  const validItems = wishlist.filter(item => item.event != null);
 
-    res.status(200).json({
-      message: 'Wishlist fetched successfully',
-      status:  200,
-      data:    validItems,   // Flutter reads response['data']
-      count:   validItems.length,
-    });
-  } catch (error) {
-    console.error('❌ Wishlist GET error:', error.message);
-    res.status(500).json({ message: 'Error fetching wishlist', status: 500, error: error.message });
-  }
-});
+  sendSuccess(res, {
+    message: 'Wishlist fetched successfully',
+    data:    validItems,   // Flutter reads response['data']
+    meta:    { count: validItems.length },
+    legacy:  { count: validItems.length },
+  });
+}));
 
 // POST /api/wishlist
 // Body: { eventId }
 // Returns the new wishlist item with _id so Flutter can save it
 
-router.post('/', authMiddleware, async (req, res) => {
-  try {
-    const { eventId } = req.body;
-
-    if (!eventId) {
-      return res.status(400).json({ message: 'Event ID is required', status: 400 });
-    }
-
-    // Check if already in wishlist
-    const existing = await Wishlist.findOne({ user: req.user.id, event: eventId });
-    if (existing) {
-      // Return existing item instead of error — Flutter can save the _id
-      await existing.populate('event', EVENT_FIELDS);
-      return res.status(200).json({
-        message: 'Already in wishlist',
-        status:  200,
-        data:    existing,
-      });
-    }
-
-    const wishlistItem = new Wishlist({ user: req.user.id, event: eventId });
-    await wishlistItem.save();
-    await wishlistItem.populate('event', EVENT_FIELDS);
-
-    console.log(`✅ Wishlist: Added event ${eventId} for user ${req.user.id}`);
-
-    res.status(201).json({
-      message: 'Added to wishlist',
-      status:  201,
-      data:    wishlistItem,   // Flutter reads response['data']['_id']
-    });
-  } catch (error) {
-    console.error('❌ Wishlist POST error:', error.message);
-    res.status(500).json({ message: 'Error adding to wishlist', status: 500, error: error.message });
+router.post('/', authMiddleware, validate(schemas.add), asyncHandler(async (req, res) => {
+  const { eventId } = req.body;
+
+  // Check if already in wishlist
+  const existing = await Wishlist.findOne({ user: req.user.id, event: eventId });
+  if (existing) {
+    // Return existing item instead of error — Flutter can save the _id
+    await existing.populate('event', EVENT_FIELDS);
+    return sendSuccess(res, { message: 'Already in wishlist', data: existing });
   }
-});
+
+  const wishlistItem = new Wishlist({ user: req.user.id, event: eventId });
+  await wishlistItem.save();
+  await wishlistItem.populate('event', EVENT_FIELDS);
+
+  console.log(`✅ Wishlist: Added event ${eventId} for user ${req.user.id}`);
+
+  sendSuccess(res, {
+    status:  201,
+    message: 'Added to wishlist',
+    data:    wishlistItem,   // Flutter reads response['data']['_id']
+  });
+}));
 
 // DELETE /api/wishlist/:id
 // Supports BOTH:
 //   - wishlist item _id  (preferred, from POST response)
 //   - event _id          (fallback, Flutter may send this)
 
-router.delete('/:id', authMiddleware, async (req, res) => {
-  try {
-    const { id } = req.params;
-    let wishlistItem;
+router.delete('/:id', authMiddleware, validate(schemas.remove), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  let wishlistItem;
 
-    // Try finding by wishlist item _id first
-    wishlistItem = await Wishlist.findById(id).catch(() => null);
+  // Try finding by wishlist item _id first
+  wishlistItem = await Wishlist.findById(id).catch(() => null);
 
-    // If not found by wishlist _id, try finding by event _id
-    if (!wishlistItem) {
-      wishlistItem = await Wishlist.findOne({
-        user:  req.user.id,
-        event: id,
-      });
-    }
+  // If not found by wishlist _id, try finding by event _id
+  if (!wishlistItem) {
+    wishlistItem = await Wishlist.findOne({
+      user:  req.user.id,
+      event: id,
+    });
+  }
 
-    if (!wishlistItem) {
-      return res.status(404).json({ message: 'Wishlist item not found', status: 404 });
-    }
+  if (!wishlistItem) {
+    throw new NotFoundError('Wishlist item not found', 'WISHLIST_ITEM_NOT_FOUND');
+  }
 
-    // Check ownership
-    if (wishlistItem.user.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized', status: 403 });
-    }
+  // Check ownership
+  if (wishlistItem.user.toString() !== req.user.id) {
+    throw new ForbiddenError('Not authorized', 'NOT_WISHLIST_OWNER');
+  }
 
-    await Wishlist.findByIdAndDelete(wishlistItem._id);
+  await Wishlist.findByIdAndDelete(wishlistItem._id);
 
-    console.log(`✅ Wishlist: Removed item ${wishlistItem._id} for user ${req.user.id}`);
+  console.log(`✅ Wishlist: Removed item ${wishlistItem._id} for user ${req.user.id}`);
 
-    res.status(200).json({ message: 'Removed from wishlist', status: 200 });
-  } catch (error) {
-    console.error('❌ Wishlist DELETE error:', error.message);
-    res.status(500).json({ message: 'Error removing from wishlist', status: 500, error: error.message });
-  }
-});
+  sendSuccess(res, { message: 'Removed from wishlist' });
+}));
 
 module.exports = router;
\ No newline at end of file
@@ -1,28 +1,29 @@
-const express = require('express');
 const mongoose = require('mongoose');
-const cors = require('cors');
 require('dotenv').config();
-
-const app = express();
+const app = require('./app');
+const { startHoldSweeper } = require('./services/holds');
+const { startScheduler } = require('./services/scheduler');
+const { checkProviders } = require('./services/payments');
+require('./services/reminders');   // defines the event-reminder job
+require('./services/broadcasts');  // defines the event-broadcast job
 
 // =======================
-// Middleware
+// Configuration
 // =======================
-app.use(express.json());
-app.use(express.urlencoded({ limit: '10mb', extended: true }));
-
-app.use(cors({
-  origin: '*',
-  methods: ['GET','POST','PUT','DELETE'],
-  allowedHeaders: ['Content-Type','Authorization']
-}));
-
+try {
+    checkProviders();
+} catch (err) {
+    console.error('❌ Configuration Error:', err.message);
+    process.exit(1);
+}
 
 // =======================
 // MongoDB Connection
 mongoose.connect(process.env.MONGODB_URI)
     .then(() => {
         console.log('✅ MongoDB Connected Successfully');
+        startHoldSweeper();
+        startScheduler();
     })
     .catch((err) => {
         console.error('❌ MongoDB Connection Error:', err.message);
@@ -30,41 +31,6 @@ mongoose.connect(process.env.MONGODB_URI)
     });
 
 
-// Routes
-app.use('/api/auth', require('./routes/auth.routes'));
-app.use('/api/events', require('./routes/event.routes'));
-app.use('/api/bookings', require('./routes/booking.routes'));
-app.use('/api/wishlist', require('./routes/wishlist.routes'));
-app.use('/api/admin', require('./routes/admin.routes'));
-app.use('/api/users', require('./routes/user.routes'));
-
-// Health Check Route
-app.get('/api/health', (req, res) => {
-    res.json({
-        status: 'Server is running',
-        timestamp: new Date()
-    });
-});
-
-// Root Route
-app.get('/', (req, res) => {
-    res.json({
-        message: 'Event Finder API',
-        version: '1.0.0',
-        docs: 'visit /api/health to check status'
-    });
-});
-
-// Error Handling
-// =======================
-app.use((err, req, res, next) => {
-    console.error('Error:', err);
-    res.status(err.status || 500).json({
-        message: err.message || 'Server Error',
-        status: err.status || 500
-    });
-});
-
 // =======================
 // Server Start
 // IMPORTANT: 0.0.0.0 allows real phone connection
@@ -0,0 +1,218 @@
+const Booking = require('../models/Booking');
+const Event = require('../models/Event');
+const Wishlist = require('../models/Wishlist');
+const { badRequest } = require('./errors');
+const { combineDateTime, defaultTimeZone, isValidTimeZone } = require('./eventTime');
+
+// ── Organizer analytics ───────────────────────────────────────
+// Sales, attendance and interest metrics for a set of events, computed
+// in MongoDB aggregation pipelines. Booking metrics count bookings
+// *made* inside the range (by createdAt); wishlist metrics count saves
+// made inside it.
+//
+// A booking counts as a sale while it is confirmed or was paid for
+// (a paid booking cancelled later still brought in money, minus its
+// refund). A cancellation is a booking cancelled by the user, the
+// organizer or an admin — holds that simply expired are not counted.
+// Rates are percentages with one decimal, or null when there is
+// nothing to divide by.
+
+const GROUPINGS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m',
+};
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SALE = { $or: [{ status: 'confirmed' }, { paymentStatus: 'succeeded' }] };
+const isTrue = (condition) => ({ $cond: [condition, 1, 0] });
+const isConfirmed = { $eq: ['$status', 'confirmed'] };
+const isSale = { $or: [isConfirmed, { $eq: ['$paymentStatus', 'succeeded'] }] };
+
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+// { from, to, groupBy, timezone } from the query string. Plain dates
+// ("2026-10-01") mean whole days in `timezone`; `to` is inclusive.
+const parseOptions = (query) => {
+  const timezone = query.timezone || defaultTimeZone();
+  if (!isValidTimeZone(timezone)) throw badRequest(`Unknown timezone "${query.timezone}"`);
+
+  const groupBy = query.groupBy || 'day';
+  const from = query.from
+    ? (DATE_ONLY.test(query.from) ? combineDateTime(query.from, '00:00', timezone) : new Date(query.from))
+    : null;
+  const to = query.to
+    ? (DATE_ONLY.test(query.to)
+      ? combineDateTime(new Date(new Date(query.to).getTime() + DAY_MS), '00:00', timezone)
+      : new Date(query.to))
+    : null;
+
+  if (from && to && from >= to) throw badRequest('from must be before to');
+  return { from, to, groupBy, timezone };
+};
+
+const createdIn = ({ from, to }) => {
+  if (!from && !to) return {};
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lt = to;
+  return { createdAt: range };
+};
+
+// Booking metrics in one pass: the sales timeline, per-event totals
+// and the best-selling categories
+const bookingMetrics = async (eventIds, options) => {
+  const [result] = await Booking.aggregate([
+    { $match: { event: { $in: eventIds }, ...createdIn(options) } },
+    {
+      $facet: {
+        timeline: [
+          { $match: SALE },
+          {
+            $group: {
+              _id: { $dateToString: { format: GROUPINGS[options.groupBy], date: '$createdAt', timezone: options.timezone } },
+              bookings: { $sum: 1 },
+              tickets: { $sum: '$numberOfSeats' },
+              revenue: { $sum: { $subtract: ['$totalPrice', { $ifNull: ['$refund.amount', 0] }] } },
+            },
+          },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, period: '$_id', bookings: 1, tickets: 1, revenue: 1 } },
+        ],
+        byEvent: [
+          {
+            $group: {
+              _id: '$event',
+              bookings: { $sum: isTrue(isConfirmed) },
+              ticketsSold: { $sum: { $cond: [isConfirmed, '$numberOfSeats', 0] } },
+              grossRevenue: { $sum: { $cond: [isSale, '$totalPrice', 0] } },
+              refunded: { $sum: { $cond: [isSale, { $ifNull: ['$refund.amount', 0] }, 0] } },
+              cancelledBookings: {
+                $sum: isTrue({ $and: [{ $eq: ['$status', 'cancelled'] }, { $ne: [{ $ifNull: ['$cancelledAt', null] }, null] }] }),
+              },
+              checkedInBookings: {
+                $sum: isTrue({ $and: [isConfirmed, { $ne: [{ $ifNull: ['$checkedInAt', null] }, null] }] }),
+              },
+              checkedInSeats: {
+                $sum: { $cond: [{ $and: [isConfirmed, { $ne: [{ $ifNull: ['$checkedInAt', null] }, null] }] }, '$numberOfSeats', 0] },
+              },
+            },
+          },
+        ],
+        topCategories: [
+          { $match: { status: 'confirmed' } },
+          { $lookup: { from: Event.collection.name, localField: 'event', foreignField: '_id', as: 'eventDoc' } },
+          { $unwind: '$eventDoc' },
+          {
+            $group: {
+              _id: '$eventDoc.category',
+              tickets: { $sum: '$numberOfSeats' },
+              revenue: { $sum: { $subtract: ['$totalPrice', { $ifNull: ['$refund.amount', 0] }] } },
+              events: { $addToSet: '$event' },
+            },
+          },
+          { $sort: { tickets: -1, revenue: -1 } },
+          { $limit: 5 },
+          { $project: { _id: 0, category: '$_id', tickets: 1, revenue: 1, events: { $size: '$events' } } },
+        ],
+      },
+    },
+  ]);
+  return result;
+};
+
+// Saves per event, and how many of those users hold a confirmed booking
+const wishlistMetrics = (eventIds, options) =>
+  Wishlist.aggregate([
+    { $match: { event: { $in: eventIds }, ...createdIn(options) } },
+    {
+      $lookup: {
+        from: Booking.collection.name,
+        let: { user: '$user', event: '$event' },
+        pipeline: [
+          { $match: { $expr: { $and: [{ $eq: ['$user', '$$user'] }, { $eq: ['$event', '$$event'] }] }, status: 'confirmed' } },
+          { $limit: 1 },
+        ],
+        as: 'booked',
+      },
+    },
+    {
+      $group: {
+        _id: '$event',
+        saves: { $sum: 1 },
+        conversions: { $sum: isTrue({ $gt: [{ $size: '$booked' }, 0] }) },
+      },
+    },
+  ]);
+
+const EMPTY = {
+  bookings: 0,
+  ticketsSold: 0,
+  grossRevenue: 0,
+  refunded: 0,
+  cancelledBookings: 0,
+  checkedInBookings: 0,
+  checkedInSeats: 0,
+  saves: 0,
+  conversions: 0,
+};
+
+// Raw counts → the metrics the API returns
+const withRates = (counts, totalSeats) => ({
+  bookings: counts.bookings,
+  ticketsSold: counts.ticketsSold,
+  totalSeats,
+  sellThroughRate: rate(counts.ticketsSold, totalSeats),
+  grossRevenue: counts.grossRevenue,
+  refunded: counts.refunded,
+  netRevenue: counts.grossRevenue - counts.refunded,
+  cancelledBookings: counts.cancelledBookings,
+  cancellationRate: rate(counts.cancelledBookings, counts.bookings + counts.cancelledBookings),
+  checkedInBookings: counts.checkedInBookings,
+  checkedInSeats: counts.checkedInSeats,
+  checkInRate: rate(counts.checkedInSeats, counts.ticketsSold),
+  wishlistSaves: counts.saves,
+  wishlistConversions: counts.conversions,
+  wishlistConversionRate: rate(counts.conversions, counts.saves),
+});
+
+// Metrics for `events` (documents with _id, title, category, status,
+// totalSeats): { totals, timeline, events, topCategories }
+const analyticsFor = async (events, options) => {
+  const eventIds = events.map((e) => e._id);
+  const [bookings, wishlist] = await Promise.all([
+    bookingMetrics(eventIds, options),
+    wishlistMetrics(eventIds, options),
+  ]);
+
+  const countsById = new Map(events.map((e) => [e._id.toString(), { ...EMPTY }]));
+  bookings.byEvent.forEach(({ _id, ...counts }) => Object.assign(countsById.get(_id.toString()), counts));
+  wishlist.forEach(({ _id, saves, conversions }) => Object.assign(countsById.get(_id.toString()), { saves, conversions }));
+
+  const totals = { ...EMPTY };
+  let totalSeats = 0;
+  const perEvent = events.map((event) => {
+    const counts = countsById.get(event._id.toString());
+    Object.keys(totals).forEach((key) => { totals[key] += counts[key]; });
+    totalSeats += event.totalSeats || 0;
+    return {
+      event: { _id: event._id, title: event.title, category: event.category, status: event.status, startsAt: event.startsAt },
+      ...withRates(counts, event.totalSeats || 0),
+    };
+  });
+
+  return {
+    totals: { events: events.length, ...withRates(totals, totalSeats) },
+    timeline: bookings.timeline,
+    events: perEvent.sort((a, b) => b.ticketsSold - a.ticketsSold),
+    topCategories: bookings.topCategories,
+  };
+};
+
+module.exports = {
+  GROUPINGS,
+  parseOptions,
+  analyticsFor,
+};
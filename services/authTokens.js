@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+
+// ── Mailed single-use tokens ──────────────────────────────────
+// issueToken() returns the raw token to put in an email and stores
+// its hash; issuing a new one voids the user's earlier unused tokens
+// for the same purpose. consumeToken() redeems a token exactly once.
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const issueToken = async (userId, purpose, ttlMinutes) => {
+  await AuthToken.updateMany(
+    { user: userId, purpose, usedAt: null },
+    { $set: { expiresAt: new Date() } }
+  );
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await AuthToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+  });
+  return token;
+};
+
+// User id the token belongs to, or null if it is unknown, expired or
+// already used
+const consumeToken = async (token, purpose) => {
+  if (!token) return null;
+  const record = await AuthToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+  return record ? record.user : null;
+};
+
+// How many tokens of `purpose` the user was sent in the last `windowMinutes`,
+// and when the latest one went out
+const recentIssues = async (userId, purpose, windowMinutes) => {
+  const since = new Date(Date.now() - windowMinutes * 60 * 1000);
+  const recent = await AuthToken.find({ user: userId, purpose, createdAt: { $gte: since } })
+    .sort({ createdAt: -1 })
+    .select('createdAt')
+    .lean();
+  return { count: recent.length, lastSentAt: recent[0] ? recent[0].createdAt : null };
+};
+
+module.exports = {
+  issueToken,
+  consumeToken,
+  recentIssues,
+};
@@ -0,0 +1,44 @@
+const Booking = require('../models/Booking');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { releaseSeats, bookingSeats } = require('./seats');
+const { promoteWaitlist } = require('./waitlist');
+const { issueRefund, roundMoney } = require('./refunds');
+const { notifyBookingCancelled } = require('./notifications');
+
+// ── Booking cancellation ──────────────────────────────────────
+// Shared by user cancellation and admin overrides: cancels once,
+// returns the seats, lets the waitlist move and refunds `percent`
+// of the price (or an explicit `amount`). The attendee is notified
+// unless `notify: false` (callers that send their own message).
+// Resolves to the updated booking, or null if it was already cancelled.
+const cancelBooking = async (bookingId, { percent = 0, amount = null, reason = null, issuedBy = null, notify = true } = {}) => {
+  // Flip the status in one conditional update so a double submit
+  // (or two devices) cannot return the same seats twice
+  const cancelled = await Booking.findOneAndUpdate(
+    { _id: bookingId, status: { $ne: 'cancelled' } },
+    { status: 'cancelled', cancelledAt: new Date(), expiresAt: null },
+    { new: true }
+  );
+  if (!cancelled) return null;
+
+  // Return seats to event
+  await releaseSeats(cancelled.event, cancelled.numberOfSeats, bookingSeats(cancelled));
+
+  // A cancelled waitlist offer counts as leaving the line
+  if (cancelled.waitlistEntry) {
+    await WaitlistEntry.updateOne({ _id: cancelled.waitlistEntry, status: 'offered' }, { status: 'left' });
+  }
+
+  // Offer the freed seats to whoever is waiting
+  await promoteWaitlist(cancelled.event);
+
+  const refundAmount = amount !== null ? amount : roundMoney((cancelled.totalPrice * percent) / 100);
+  const refunded = await issueRefund(cancelled, refundAmount, { percent: amount !== null ? null : percent, reason, issuedBy });
+
+  if (notify) await notifyBookingCancelled(refunded);
+  return refunded;
+};
+
+module.exports = {
+  cancelBooking,
+};
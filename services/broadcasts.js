@@ -0,0 +1,155 @@
+const Broadcast = require('../models/Broadcast');
+const Booking = require('../models/Booking');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Notification = require('../models/Notification');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const { defineJob, schedule } = require('./scheduler');
+const { notify } = require('./notifications');
+const { sendMail, escapeHtml } = require('./mail');
+const { TooManyRequestsError } = require('./errors');
+
+// ── Organizer broadcasts ──────────────────────────────────────
+// An organizer's message to the attendees of one event, delivered as a
+// notification and an email. Sending queues an `event-broadcast` job,
+// so a large audience doesn't hold up the request; a retried job skips
+// everyone who already has the broadcast's notification.
+//
+// Limits are counted from the stored history, so they hold across
+// restarts and instances: one broadcast per event every
+// COOLDOWN_MINUTES, MAX_PER_EVENT_PER_DAY per event and
+// MAX_PER_SENDER_PER_DAY across all of an organizer's events.
+//
+// The broadcast is stored first and the limits are checked after, with
+// it included in the counts. Two requests racing for the last slot
+// then each see the other, so at most one gets it (at worst neither
+// does); an over-limit broadcast is deleted again before anything is
+// queued.
+
+const JOB = 'event-broadcast';
+const COOLDOWN_MINUTES = 10;
+const MAX_PER_EVENT_PER_DAY = 5;
+const MAX_PER_SENDER_PER_DAY = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Resolves to the limit error for a stored broadcast, or null when it
+// is within every limit
+const limitError = async (broadcast) => {
+  const since = new Date(Date.now() - DAY_MS);
+
+  const [last, forEvent, forSender] = await Promise.all([
+    Broadcast.findOne({ event: broadcast.event, _id: { $ne: broadcast._id } })
+      .sort({ createdAt: -1 })
+      .select('createdAt'),
+    Broadcast.countDocuments({ event: broadcast.event, createdAt: { $gt: since } }),
+    Broadcast.countDocuments({ sender: broadcast.sender, createdAt: { $gt: since } }),
+  ]);
+
+  const wait = last
+    ? Math.ceil((last.createdAt.getTime() + COOLDOWN_MINUTES * 60 * 1000 - Date.now()) / 60000)
+    : 0;
+  if (wait > 0) {
+    return new TooManyRequestsError(`Please wait ${wait} min before messaging this event's attendees again`, 'BROADCAST_LIMIT');
+  }
+  if (forEvent > MAX_PER_EVENT_PER_DAY) {
+    return new TooManyRequestsError(`At most ${MAX_PER_EVENT_PER_DAY} messages per event a day`, 'BROADCAST_LIMIT');
+  }
+  if (forSender > MAX_PER_SENDER_PER_DAY) {
+    return new TooManyRequestsError(`At most ${MAX_PER_SENDER_PER_DAY} messages a day — try again tomorrow`, 'BROADCAST_LIMIT');
+  }
+  return null;
+};
+
+// Store a broadcast and queue its delivery. Resolves to the broadcast.
+const createBroadcast = async (event, senderId, { title, message, audience = 'confirmed', includeWaitlist = false }) => {
+  const broadcast = await Broadcast.create({
+    event: event._id,
+    sender: senderId,
+    title,
+    message,
+    audience,
+    includeWaitlist,
+  });
+
+  const overLimit = await limitError(broadcast);
+  if (overLimit) {
+    await Broadcast.deleteOne({ _id: broadcast._id });
+    throw overLimit;
+  }
+
+  await schedule(JOB, new Date(), { broadcastId: broadcast._id.toString() }, { key: `${JOB}:${broadcast._id}` });
+
+  console.log(`📣 Broadcast queued for "${event.title}" (${audience}${includeWaitlist ? ' + waitlist' : ''})`);
+  return broadcast;
+};
+
+// Ids of the users a broadcast goes to
+const recipientsOf = async (broadcast) => {
+  const bookingQuery = { event: broadcast.event, status: 'confirmed' };
+  if (broadcast.audience === 'checked_in') bookingQuery.checkedInAt = { $ne: null };
+
+  const ids = await Booking.distinct('user', bookingQuery);
+  if (broadcast.includeWaitlist) {
+    ids.push(...await WaitlistEntry.distinct('user', {
+      event: broadcast.event,
+      status: { $in: ['waiting', 'offered'] },
+    }));
+  }
+  return [...new Set(ids.map((id) => id.toString()))];
+};
+
+// Job handler — data: { broadcastId }
+const deliverBroadcast = async ({ broadcastId }) => {
+  const broadcast = await Broadcast.findById(broadcastId);
+  if (!broadcast || broadcast.status === 'sent') return;
+
+  const event = await Event.findById(broadcast.event).select('title');
+  if (!event) {
+    await Broadcast.updateOne({ _id: broadcast._id }, { status: 'failed' });
+    return;
+  }
+
+  await Broadcast.updateOne({ _id: broadcast._id }, { status: 'sending' });
+
+  const users = await User.find({ _id: { $in: await recipientsOf(broadcast) }, isActive: true })
+    .select('name email');
+  const data = { eventId: event._id.toString(), broadcastId: broadcast._id.toString() };
+
+  for (const user of users) {
+    // Already reached by an earlier attempt of this job
+    if (await Notification.exists({ user: user._id, 'data.broadcastId': data.broadcastId })) continue;
+
+    await notify(user._id, {
+      type: 'event_broadcast',
+      title: `${event.title}: ${broadcast.title}`,
+      body: broadcast.message,
+      data,
+    });
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: `${event.title}: ${broadcast.title}`,
+        text: `Hi ${user.name},\n\nA message from the organizer of "${event.title}":\n\n${broadcast.message}`,
+        html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+          `<p>A message from the organizer of <strong>${escapeHtml(event.title)}</strong>:</p>` +
+          `<p>${escapeHtml(broadcast.message).replace(/\n/g, '<br>')}</p>`,
+      });
+    } catch (error) {
+      console.error('Broadcast email error:', error.message);
+    }
+  }
+
+  await Broadcast.updateOne(
+    { _id: broadcast._id },
+    { status: 'sent', recipients: users.length, sentAt: new Date() }
+  );
+  console.log(`📣 Broadcast for "${event.title}" sent to ${users.length} attendee(s)`);
+};
+
+defineJob(JOB, deliverBroadcast);
+
+module.exports = {
+  createBroadcast,
+};
@@ -0,0 +1,109 @@
+// ── Application errors ────────────────────────────────────────
+// Thrown from routes and services; the error handler in app.js
+// turns them into `{ success: false, status, code, message, errors?, data? }`.
+// `data` is for the few errors the client can act on (seats left,
+// payment status, ...).
+// `code` is a stable machine-readable identifier clients can switch on
+// — add new codes here rather than reusing a status for a new meaning.
+
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details = null, data = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.data = data;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message = 'Bad request', code = 'BAD_REQUEST', data = null) {
+    super(message, { status: 400, code, data });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', code = 'UNAUTHORIZED', data = null) {
+    super(message, { status: 401, code, data });
+  }
+}
+
+class PaymentRequiredError extends AppError {
+  constructor(message = 'Payment required', code = 'PAYMENT_REQUIRED', data = null) {
+    super(message, { status: 402, code, data });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Not allowed', code = 'FORBIDDEN', data = null) {
+    super(message, { status: 403, code, data });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Not found', code = 'NOT_FOUND', data = null) {
+    super(message, { status: 404, code, data });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = 'Conflict', code = 'CONFLICT', data = null) {
+    super(message, { status: 409, code, data });
+  }
+}
+
+class GoneError extends AppError {
+  constructor(message = 'No longer available', code = 'GONE', data = null) {
+    super(message, { status: 410, code, data });
+  }
+}
+
+// `details`: [{ field, location, message }]
+class ValidationError extends AppError {
+  constructor(message = 'Validation failed', details = [], { status = 422, code = 'VALIDATION_FAILED' } = {}) {
+    super(message, { status, code, details });
+  }
+}
+
+class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests, please try again later', code = 'RATE_LIMITED', data = null) {
+    super(message, { status: 429, code, data });
+  }
+}
+
+const CLASSES = {
+  400: BadRequestError,
+  401: UnauthorizedError,
+  402: PaymentRequiredError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  409: ConflictError,
+  410: GoneError,
+  422: ValidationError,
+  429: TooManyRequestsError,
+};
+
+// Error for a bare HTTP status, for service code that only cares
+// about the status
+const httpError = (status, message) => {
+  const ErrorClass = CLASSES[status];
+  return ErrorClass ? new ErrorClass(message) : new AppError(message, { status });
+};
+
+const badRequest = (message) => new BadRequestError(message);
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  UnauthorizedError,
+  PaymentRequiredError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  GoneError,
+  ValidationError,
+  TooManyRequestsError,
+  httpError,
+  badRequest,
+};
@@ -0,0 +1,241 @@
+const Event = require('../models/Event');
+const Booking = require('../models/Booking');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { defineJob, schedule } = require('./scheduler');
+const { notify } = require('./notifications');
+const { cancelBooking } = require('./bookings');
+const { cancelEventReminders } = require('./reminders');
+const { sendMail, escapeHtml } = require('./mail');
+const { formatEventTime } = require('./eventTime');
+const { currency } = require('./payments');
+
+// ── Telling attendees about event changes ─────────────────────
+// Edits that move the date/time or change the location or price are
+// sent to every confirmed booking they affect, listing exactly what
+// changed. Cancelling an event cancels and fully refunds every booking,
+// closes the waitlist and tells everyone. Both run as scheduled jobs
+// (`event-changed`, `event-cancellation`) so big events don't hold up
+// the request, and both are safe to retry.
+
+const CHANGE_JOB = 'event-changed';
+const CANCEL_JOB = 'event-cancellation';
+
+// ── Material changes ──
+
+// The fields attendees care about, taken before an edit
+const snapshot = (event) => ({
+  timezone: event.timezone,
+  startsAt: event.startsAt,
+  location: event.location,
+  price: event.price,
+  tiers: new Map(event.ticketTypes.map((t) => [t._id.toString(), t.price])),
+  sessions: new Map(event.occurrences.map((o) => [o._id.toString(), o.startsAt])),
+});
+
+const sameTime = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+const money = (amount) => `${amount} ${currency()}`;
+
+// [{ field, label, from, to, occurrence }] between a snapshot and the
+// saved event. `occurrence` limits a change to one session's bookings.
+const materialChanges = (before, event) => {
+  const changes = [];
+  const time = (date, timezone) => (date ? formatEventTime(date, timezone) : 'not set');
+  const moved = (occurrence, from, to) => changes.push({
+    field: 'startsAt',
+    label: 'Date & time',
+    from: time(from, before.timezone),
+    to: time(to, event.timezone),
+    occurrence,
+  });
+
+  if (event.occurrences.length === 0) {
+    if (!sameTime(before.startsAt, event.startsAt)) moved(null, before.startsAt, event.startsAt);
+  } else {
+    event.occurrences.forEach((o) => {
+      const was = before.sessions.get(o._id.toString());
+      if (was !== undefined && !sameTime(was, o.startsAt)) moved(o._id.toString(), was, o.startsAt);
+    });
+  }
+
+  if (before.location !== event.location) {
+    changes.push({ field: 'location', label: 'Location', from: before.location, to: event.location, occurrence: null });
+  }
+
+  if (event.ticketTypes.length === 0) {
+    if (before.price !== event.price) {
+      changes.push({ field: 'price', label: 'Price', from: money(before.price), to: money(event.price), occurrence: null });
+    }
+  } else {
+    event.ticketTypes.forEach((t) => {
+      const was = before.tiers.get(t._id.toString());
+      if (was !== undefined && was !== t.price) {
+        changes.push({ field: 'price', label: `Price (${t.name})`, from: money(was), to: money(t.price), occurrence: null });
+      }
+    });
+  }
+
+  return changes;
+};
+
+// Queue the change notices for an edited event. Bookings for a moved
+// session get their copied occurrenceDate/occurrenceTime updated too.
+const notifyEventChanged = async (event, changes) => {
+  if (changes.length === 0) return;
+
+  for (const change of changes) {
+    if (change.field !== 'startsAt' || !change.occurrence) continue;
+    const session = event.occurrences.id(change.occurrence);
+    await Booking.updateMany(
+      { event: event._id, occurrence: session._id },
+      { occurrenceDate: session.date, occurrenceTime: session.time }
+    );
+  }
+
+  await schedule(CHANGE_JOB, new Date(), { eventId: event._id.toString(), changes });
+  console.log(`📝 "${event.title}" changed: ${changes.map((c) => c.field).join(', ')} — notifying attendees`);
+};
+
+// Job handler — data: { eventId, changes }
+const deliverEventChange = async ({ eventId, changes }, job) => {
+  const event = await Event.findById(eventId).select('title');
+  if (!event) return;
+
+  const bookings = await Booking.find({ event: eventId, status: 'confirmed' }).select('user occurrence bookingRef');
+  const users = await User.find({ _id: { $in: bookings.map((b) => b.user) }, isActive: true }).select('name email');
+  const usersById = new Map(users.map((u) => [u._id.toString(), u]));
+
+  for (const booking of bookings) {
+    const user = usersById.get(booking.user.toString());
+    const relevant = changes.filter((c) => !c.occurrence || String(booking.occurrence) === c.occurrence);
+    if (!user || relevant.length === 0) continue;
+
+    const data = { eventId, bookingId: booking._id.toString(), changeId: job.key };
+    // Already told by an earlier attempt of this job
+    if (await Notification.exists({ user: user._id, 'data.changeId': data.changeId, 'data.bookingId': data.bookingId })) continue;
+
+    const lines = relevant.map((c) => `${c.label}: ${c.from} → ${c.to}`);
+    await notify(user._id, {
+      type: 'event_updated',
+      title: `"${event.title}" has changed`,
+      body: lines.join('\n'),
+      data,
+    });
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: `Change to ${event.title}`,
+        text: `Hi ${user.name},\n\nThe organizer changed "${event.title}" (booking ${booking.bookingRef}):\n\n` +
+          `${lines.map((line) => `• ${line}`).join('\n')}\n\n` +
+          'Your booking stays valid. If you can no longer attend, you can cancel it in the app.',
+        html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+          `<p>The organizer changed <strong>${escapeHtml(event.title)}</strong> (booking ${escapeHtml(booking.bookingRef)}):</p>` +
+          `<ul>${lines.map((line) => `<li>${escapeHtml(line)}</li>`).join('')}</ul>` +
+          '<p>Your booking stays valid. If you can no longer attend, you can cancel it in the app.</p>',
+      });
+    } catch (error) {
+      console.error('Event change email error:', error.message);
+    }
+  }
+};
+
+// ── Cancelling an event ──
+
+// Mark the event cancelled and queue the booking cancellations.
+// Resolves to the event, or null if it was already cancelled.
+const cancelEvent = async (eventId, { reason = null, cancelledBy = null } = {}) => {
+  const event = await Event.findOneAndUpdate(
+    { _id: eventId, status: { $ne: 'cancelled' } },
+    { status: 'cancelled', cancelledAt: new Date(), cancellationReason: reason },
+    { new: true }
+  );
+  if (!event) return null;
+
+  await cancelEventReminders(event._id);
+  await schedule(CANCEL_JOB, new Date(), {
+    eventId: event._id.toString(),
+    cancelledBy: cancelledBy && cancelledBy.toString(),
+  }, { key: `${CANCEL_JOB}:${event._id}` });
+
+  console.log(`🚫 Cancelled: "${event.title}"${reason ? ` | reason: ${reason}` : ''}`);
+  return event;
+};
+
+const tellAttendee = async (booking, event) => {
+  const user = await User.findById(booking.user).select('name email isActive');
+  if (!user || !user.isActive) return;
+
+  const reason = event.cancellationReason ? ` Reason: ${event.cancellationReason}.` : '';
+  const refund = booking.refund && booking.refund.amount > 0
+    ? ` A full refund of ${money(booking.refund.amount)} is ${booking.refund.status === 'processed' ? 'on its way' : 'being processed'}.`
+    : '';
+
+  await notify(user._id, {
+    type: 'event_cancelled',
+    title: `"${event.title}" was cancelled`,
+    body: `Booking ${booking.bookingRef} has been cancelled.${reason}${refund}`,
+    data: { eventId: event._id.toString(), bookingId: booking._id.toString() },
+  });
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: `Cancelled: ${event.title}`,
+      text: `Hi ${user.name},\n\nThe organizer cancelled "${event.title}".${reason}\n\n` +
+        `Your booking ${booking.bookingRef} has been cancelled.${refund}`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+        `<p>The organizer cancelled <strong>${escapeHtml(event.title)}</strong>.${escapeHtml(reason)}</p>` +
+        `<p>Your booking ${escapeHtml(booking.bookingRef)} has been cancelled.${escapeHtml(refund)}</p>`,
+    });
+  } catch (error) {
+    console.error('Event cancellation email error:', error.message);
+  }
+};
+
+// Job handler — data: { eventId, cancelledBy }
+const deliverCancellation = async ({ eventId, cancelledBy }) => {
+  const event = await Event.findById(eventId).select('title status cancellationReason');
+  if (!event || event.status !== 'cancelled') return;
+
+  // Close the waitlist — nobody is offered seats of a cancelled event
+  const waiting = await WaitlistEntry.find({ event: eventId, status: 'waiting' }).select('user');
+  await WaitlistEntry.updateMany({ event: eventId, status: 'waiting' }, { status: 'expired' });
+  for (const entry of waiting) {
+    await notify(entry.user, {
+      type: 'event_cancelled',
+      title: `"${event.title}" was cancelled`,
+      body: 'The event you were waiting for has been cancelled.',
+      data: { eventId: event._id.toString() },
+    });
+  }
+
+  // Every booking is refunded in full, whatever the policy says.
+  // cancelBooking() skips bookings an earlier attempt already cancelled.
+  const bookings = await Booking.find({ event: eventId, status: { $in: ['confirmed', 'pending'] } }).select('_id');
+  let cancelled = 0;
+  for (const { _id } of bookings) {
+    const booking = await cancelBooking(_id, {
+      percent: 100,
+      reason: 'Event cancelled by the organizer',
+      issuedBy: cancelledBy || null,
+      notify: false,
+    });
+    if (!booking) continue;
+    cancelled += 1;
+    await tellAttendee(booking, event);
+  }
+
+  console.log(`🚫 "${event.title}": cancelled ${cancelled} booking(s), closed ${waiting.length} waitlist entr${waiting.length === 1 ? 'y' : 'ies'}`);
+};
+
+defineJob(CHANGE_JOB, deliverEventChange);
+defineJob(CANCEL_JOB, deliverCancellation);
+
+module.exports = {
+  snapshot,
+  materialChanges,
+  notifyEventChanged,
+  cancelEvent,
+};
@@ -0,0 +1,235 @@
+const { badRequest } = require('./errors');
+
+// ── Event timing ──────────────────────────────────────────────
+// An event's wall-clock schedule is a calendar `date` (stored as UTC
+// midnight of that day), a `time` ("19:00", "7:30 PM"), an IANA
+// `timezone` and a duration. The Event model derives the absolute
+// `startsAt` / `endsAt` from these, so "upcoming", refunds and
+// reminders don't depend on the server's timezone.
+
+const TIME_PATTERN = /^(\d{1,2})[:.](\d{2})\s*(am|pm)?$/i;
+const LOCAL_DATETIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?$/;
+
+const defaultTimeZone = () => process.env.DEFAULT_TIMEZONE || 'Asia/Colombo';
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+// "7:30 PM" → { hours: 19, minutes: 30 }, or null if unparseable
+const parseTime = (time) => {
+  const match = TIME_PATTERN.exec(String(time || '').trim());
+  if (!match) return null;
+
+  let hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  const meridiem = match[3] && match[3].toLowerCase();
+  if (meridiem && (hours < 1 || hours > 12)) return null;
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) return null;
+  return { hours, minutes };
+};
+
+// Wall-clock fields of `date` as seen in `timeZone`
+const localParts = (date, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  })
+    .formatToParts(date)
+    .forEach(({ type, value }) => { parts[type] = parseInt(value); });
+  return parts;
+};
+
+const offsetMinutes = (date, timeZone) => {
+  const p = localParts(date, timeZone);
+  const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour % 24, p.minute, p.second);
+  return Math.round((wallClock - date.getTime()) / 60000);
+};
+
+// Instant at which the wall clock in `timeZone` shows the given time.
+// The second pass fixes up guesses that straddle a DST change.
+const zonedTimeToUtc = (year, month, day, hours, minutes, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, hours, minutes);
+  const first = offsetMinutes(new Date(guess), timeZone);
+  const second = offsetMinutes(new Date(guess - first * 60000), timeZone);
+  return new Date(guess - second * 60000);
+};
+
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const isUtcMidnight = (date) =>
+  date.getUTCHours() === 0 && date.getUTCMinutes() === 0 && date.getUTCSeconds() === 0 && date.getUTCMilliseconds() === 0;
+
+// The calendar day a `date` value names, as UTC midnight of that day
+// (how dates are stored), or null if it isn't a date. "2026-11-20" and
+// stored UTC-midnight dates are taken as they are; any other instant —
+// e.g. local midnight sent from a zone ahead of UTC, which is the
+// previous day in UTC — counts as the day it falls on in `timeZone`.
+const calendarDay = (value, timeZone) => {
+  const plain = DATE_ONLY.exec(String(value).trim());
+  if (plain) return new Date(Date.UTC(+plain[1], +plain[2] - 1, +plain[3]));
+
+  const date = new Date(value);
+  if (value === null || value === undefined || isNaN(date.getTime())) return null;
+  if (isUtcMidnight(date)) return date;
+  const p = localParts(date, timeZone);
+  return new Date(Date.UTC(p.year, p.month - 1, p.day));
+};
+
+// Combine a calendar `date` and `time` string in `timeZone`
+const combineDateTime = (date, time, timeZone) => {
+  const day = calendarDay(date, timeZone);
+  if (!day) return null;
+  const { hours, minutes } = parseTime(time) || { hours: 0, minutes: 0 };
+  return zonedTimeToUtc(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), hours, minutes, timeZone);
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// "2026-11-20T18:00:00+05:30"
+const toLocalIso = (date, timeZone) => {
+  if (!date) return null;
+  const p = localParts(date, timeZone);
+  const offset = offsetMinutes(date, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour % 24)}:${pad(p.minute)}:${pad(p.second)}` +
+    `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+};
+
+// The calendar `date` + `time` pair an instant corresponds to locally
+const splitDateTime = (instant, timeZone) => {
+  const p = localParts(instant, timeZone);
+  return {
+    date: new Date(Date.UTC(p.year, p.month - 1, p.day)),
+    time: `${pad(p.hour % 24)}:${pad(p.minute)}`,
+  };
+};
+
+// ISO string with an offset/Z is absolute; without one it is a wall
+// clock time in `timeZone`
+const parseInstant = (value, timeZone, label) => {
+  const local = LOCAL_DATETIME.exec(String(value).trim());
+  const instant = local
+    ? zonedTimeToUtc(+local[1], +local[2], +local[3], +local[4], +local[5], timeZone)
+    : new Date(value);
+  if (isNaN(instant.getTime())) throw badRequest(`${label} is not a valid date-time`);
+  return instant;
+};
+
+// Validate the timing fields of an event create/update body and turn
+// them into model fields { date, time, timezone, durationMinutes }.
+// Accepts `startsAt` + (`endsAt` | `durationMinutes`), or the legacy
+// `date` + `time`. `current` holds the values already on the event.
+const parseTiming = (body, current = {}) => {
+  const timing = {};
+
+  const timezone = body.timezone || current.timezone || defaultTimeZone();
+  if (!isValidTimeZone(timezone)) throw badRequest(`Unknown timezone "${body.timezone}"`);
+  if (body.timezone) timing.timezone = timezone;
+
+  let startsAt = null;
+  if (body.startsAt) {
+    startsAt = parseInstant(body.startsAt, timezone, 'startsAt');
+    Object.assign(timing, splitDateTime(startsAt, timezone));
+  } else {
+    if (body.date) {
+      const date = calendarDay(body.date, timezone);
+      if (!date) throw badRequest('date is not a valid date');
+      timing.date = date;
+    }
+    if (body.time) {
+      if (!parseTime(body.time)) throw badRequest('time must look like "18:30" or "6:30 PM"');
+      timing.time = body.time;
+    }
+  }
+
+  if (body.endsAt) {
+    const start = startsAt || combineDateTime(
+      timing.date || current.date, timing.time || current.time, timezone
+    );
+    const endsAt = parseInstant(body.endsAt, timezone, 'endsAt');
+    if (!start || endsAt <= start) throw badRequest('endsAt must be after the start time');
+    timing.durationMinutes = Math.round((endsAt - start) / 60000);
+  } else if (body.durationMinutes !== undefined && body.durationMinutes !== '') {
+    const duration = parseInt(body.durationMinutes);
+    if (!(duration >= 1)) throw badRequest('durationMinutes must be at least 1');
+    timing.durationMinutes = duration;
+  }
+
+  return timing;
+};
+
+// Absolute start of an event — or, for recurring events, of one of
+// its sessions. Falls back to combining date/time for documents that
+// predate startsAt.
+const eventStartsAt = (event, occurrenceId = null) => {
+  const occurrence = occurrenceId &&
+    (event.occurrences || []).find((o) => o._id.toString() === occurrenceId.toString());
+  const source = occurrence || event;
+  if (source.startsAt) return new Date(source.startsAt);
+  return combineDateTime(source.date, source.time, event.timezone || defaultTimeZone());
+};
+
+const eventEndsAt = (event, occurrenceId = null) => {
+  const occurrence = occurrenceId &&
+    (event.occurrences || []).find((o) => o._id.toString() === occurrenceId.toString());
+  const source = occurrence || event;
+  if (source.endsAt) return new Date(source.endsAt);
+  const start = eventStartsAt(event, occurrenceId);
+  if (!start) return null;
+  return new Date(start.getTime() + (event.durationMinutes || 0) * 60000);
+};
+
+const hasStarted = (event, occurrenceId = null, now = new Date()) => eventStartsAt(event, occurrenceId) <= now;
+
+const hasEnded = (event, occurrenceId = null, now = new Date()) => eventEndsAt(event, occurrenceId) <= now;
+
+// `{ timezone, startsAt, endsAt }` of an event or session in local
+// ISO form, for responses
+const localTimesFor = (source, timezone) => {
+  const timeZone = timezone || defaultTimeZone();
+  return {
+    timezone: timeZone,
+    startsAt: toLocalIso(source.startsAt, timeZone),
+    endsAt: toLocalIso(source.endsAt, timeZone),
+  };
+};
+
+// "Nov 20, 2026, 6:00 PM" in the event's timezone, for messages
+const formatEventTime = (date, timezone) =>
+  new Date(date).toLocaleString('en-US', {
+    timeZone: timezone || defaultTimeZone(),
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  });
+
+module.exports = {
+  defaultTimeZone,
+  isValidTimeZone,
+  parseTime,
+  calendarDay,
+  combineDateTime,
+  toLocalIso,
+  parseTiming,
+  eventStartsAt,
+  eventEndsAt,
+  hasStarted,
+  hasEnded,
+  localTimesFor,
+  formatEventTime,
+};
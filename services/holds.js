@@ -0,0 +1,91 @@
+const Booking = require('../models/Booking');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { releaseSeats, bookingSeats } = require('./seats');
+const { promoteWaitlist } = require('./waitlist');
+const { notifyBookingConfirmed } = require('./notifications');
+
+// ── Pending holds ─────────────────────────────────────────────
+// Pending bookings (checkout holds and waitlist offers) reserve seats
+// until `expiresAt`. They are either confirmed in time or released by
+// the sweeper, which then lets the waitlist take the seats.
+
+const holdMinutes = () => parseInt(process.env.BOOKING_HOLD_MINUTES) || 15;
+
+// When a new checkout hold should lapse
+const holdExpiry = () => new Date(Date.now() + holdMinutes() * 60 * 1000);
+
+// Confirm a hold that hasn't expired yet — with `paymentId`, only if
+// that is the payment the booking is waiting for. Resolves to the
+// confirmed booking, or null when it already expired / was confirmed
+// or cancelled / waits for a different payment.
+const confirmHold = async (bookingId, { paymentId } = {}) => {
+  const filter = { _id: bookingId, status: 'pending', expiresAt: { $gt: new Date() } };
+  if (paymentId) filter.paymentId = paymentId;
+
+  const booking = await Booking.findOneAndUpdate(
+    filter,
+    { status: 'confirmed', expiresAt: null },
+    { new: true }
+  );
+  if (!booking) return null;
+
+  if (booking.waitlistEntry) {
+    await WaitlistEntry.updateOne({ _id: booking.waitlistEntry }, { status: 'claimed' });
+  }
+  await notifyBookingConfirmed(booking);
+  return booking;
+};
+
+// Cancel one expired hold. The status check in the update makes the
+// release happen once even if two sweepers race on the same booking.
+const expireHold = async (booking) => {
+  const expired = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: 'pending', expiresAt: { $lte: new Date() } },
+    { status: 'cancelled' },
+    { new: true }
+  );
+  if (!expired) return false;
+
+  await releaseSeats(expired.event, expired.numberOfSeats, bookingSeats(expired));
+
+  if (expired.waitlistEntry) {
+    await WaitlistEntry.updateOne({ _id: expired.waitlistEntry, status: 'offered' }, { status: 'expired' });
+  }
+  return true;
+};
+
+const releaseExpiredHolds = async () => {
+  const holds = await Booking.find({ status: 'pending', expiresAt: { $ne: null, $lte: new Date() } })
+    .select('_id event')
+    .limit(500);
+
+  const events = new Set();
+  for (const hold of holds) {
+    if (await expireHold(hold)) events.add(hold.event.toString());
+  }
+
+  // Freed seats roll to the next people in line
+  for (const eventId of events) {
+    await promoteWaitlist(eventId);
+  }
+
+  if (events.size > 0) {
+    console.log(`⏱️  Released expired holds for ${events.size} event(s)`);
+  }
+  return events.size;
+};
+
+const startHoldSweeper = (intervalMs = parseInt(process.env.HOLD_SWEEP_INTERVAL_MS) || 60 * 1000) => {
+  const timer = setInterval(() => {
+    releaseExpiredHolds().catch((err) => console.error('❌ Hold sweeper error:', err.message));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  holdExpiry,
+  confirmHold,
+  releaseExpiredHolds,
+  startHoldSweeper,
+};
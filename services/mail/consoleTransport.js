@@ -0,0 +1,13 @@
+const crypto = require('crypto');
+
+// Prints mail to the server log instead of sending it — development only
+const send = async ({ from, to, subject, text }) => {
+  const id = 'console_' + crypto.randomBytes(8).toString('hex');
+  console.log(`📧 Mail ${id}\n   From: ${from}\n   To: ${to}\n   Subject: ${subject}\n\n${text}\n`);
+  return { id };
+};
+
+module.exports = {
+  name: 'console',
+  send,
+};
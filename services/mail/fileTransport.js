@@ -0,0 +1,22 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes each message as JSON to MAIL_OUTBOX_DIR (default ./tmp/mail)
+// so tests and local tooling can read what would have been sent
+const outbox = () => path.resolve(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', '..', 'tmp', 'mail'));
+
+const send = async (message) => {
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  await fs.mkdir(outbox(), { recursive: true });
+  await fs.writeFile(
+    path.join(outbox(), `${id}.json`),
+    JSON.stringify({ id, sentAt: new Date(), ...message }, null, 2)
+  );
+  return { id };
+};
+
+module.exports = {
+  name: 'file',
+  send,
+};
@@ -0,0 +1,50 @@
+// ── Mail transports ───────────────────────────────────────────
+// Outgoing mail goes through one small interface so routes and
+// services never depend on how it is delivered:
+//
+//   name                                   — value of MAIL_TRANSPORT
+//   send({ from, to, subject, text, html }) → { id }
+//
+// MAIL_TRANSPORT picks the active transport: `console` (default
+// outside production), `file` (writes each message to MAIL_OUTBOX_DIR,
+// handy for tests) or `smtp`. Others can be added with
+// registerTransport().
+
+const transports = new Map();
+
+const registerTransport = (transport) => {
+  transports.set(transport.name, transport);
+};
+
+const getTransport = (name) => transports.get(name) || null;
+
+const activeTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+  const transport = getTransport(name);
+  if (!transport) throw new Error(`Mail transport "${name}" is not configured`);
+  return transport;
+};
+
+const sendMail = (message) =>
+  activeTransport().send({
+    from: process.env.MAIL_FROM || 'Event Finder <no-reply@eventfinder.local>',
+    ...message,
+  });
+
+// Base URL for links in emails (APP_URL, else this server)
+const appUrl = () => (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+registerTransport(require('./consoleTransport'));
+registerTransport(require('./fileTransport'));
+registerTransport(require('./smtpTransport'));
+
+module.exports = {
+  registerTransport,
+  getTransport,
+  sendMail,
+  appUrl,
+  escapeHtml,
+};
@@ -0,0 +1,28 @@
+const nodemailer = require('nodemailer');
+
+// SMTP via nodemailer, configured with SMTP_HOST, SMTP_PORT,
+// SMTP_SECURE, SMTP_USER and SMTP_PASS
+let transporter = null;
+
+const getTransporter = () => {
+  if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST is not set');
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+  return transporter;
+};
+
+const send = async ({ from, to, subject, text, html }) => {
+  const info = await getTransporter().sendMail({ from, to, subject, text, html });
+  return { id: info.messageId };
+};
+
+module.exports = {
+  name: 'smtp',
+  send,
+};
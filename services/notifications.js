@@ -0,0 +1,120 @@
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const { sendPush } = require('./push');
+
+// ── Notifications ─────────────────────────────────────────────
+// Every notification is stored for the in-app notification center;
+// it is also pushed to the user's signed-in devices unless they turned
+// `preferences.notifications` off. Delivery problems are logged and
+// never fail the action that triggered the notification.
+
+// Device tokens registered on the user's active sessions
+const pushTokensFor = async (userId) => {
+  const sessions = await Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+    pushToken: { $type: 'string' },
+  }).select('+pushToken');
+  return [...new Set(sessions.map((s) => s.pushToken))];
+};
+
+const push = async (notification) => {
+  const user = await User.findById(notification.user).select('preferences isActive');
+  if (!user || !user.isActive || user.preferences?.notifications === false) return;
+
+  const tokens = await pushTokensFor(notification.user);
+  if (tokens.length === 0) return;
+
+  const result = await sendPush({
+    tokens,
+    title: notification.title,
+    body: notification.body,
+    data: { ...notification.data, type: notification.type, notificationId: notification._id.toString() },
+  });
+
+  if (result.invalidTokens.length > 0) {
+    await Session.updateMany({ pushToken: { $in: result.invalidTokens } }, { pushToken: null });
+  }
+  if (result.sent > 0) {
+    await Notification.updateOne({ _id: notification._id }, { pushedAt: new Date() });
+  }
+};
+
+// Store and push one notification. Resolves to the notification, or
+// null if it could not be stored.
+const notify = async (userId, { type, title, body = '', data = {} }) => {
+  try {
+    const notification = await Notification.create({ user: userId, type, title, body, data });
+    try {
+      await push(notification);
+    } catch (error) {
+      console.error('Push error:', error.message);
+    }
+    return notification;
+  } catch (error) {
+    console.error('Notification error:', error.message);
+    return null;
+  }
+};
+
+// ── Triggers ──────────────────────────────────────────────────
+
+// Event approved or rejected by an admin → its organizer
+const notifyEventReviewed = (event) => {
+  const approved = event.status === 'approved';
+  return notify(event.organizer._id || event.organizer, {
+    type: approved ? 'event_approved' : 'event_rejected',
+    title: approved ? `"${event.title}" is live` : `"${event.title}" was not approved`,
+    body: approved
+      ? 'Your event was approved and is now visible on the events page.'
+      : `Reason: ${event.adminNote || 'not given'}. Edit the event to resubmit it.`,
+    data: { eventId: event._id.toString() },
+  });
+};
+
+// Booking confirmed → the attendee, and the organizer as a new booking
+const notifyBookingConfirmed = async (booking) => {
+  const event = await Event.findById(booking.event).select('title organizer');
+  if (!event) return;
+
+  const data = { eventId: event._id.toString(), bookingId: booking._id.toString() };
+  const seats = `${booking.numberOfSeats} seat${booking.numberOfSeats === 1 ? '' : 's'}`;
+
+  await notify(booking.user, {
+    type: 'booking_confirmed',
+    title: `You're going to "${event.title}"`,
+    body: `Booking ${booking.bookingRef} for ${seats} is confirmed.`,
+    data,
+  });
+  await notify(event.organizer, {
+    type: 'new_booking',
+    title: `New booking for "${event.title}"`,
+    body: `${seats} booked (${booking.bookingRef}).`,
+    data,
+  });
+};
+
+// Booking cancelled → the attendee, with the refund if there is one
+const notifyBookingCancelled = async (booking) => {
+  const event = await Event.findById(booking.event).select('title');
+  const refund = booking.refund && booking.refund.amount > 0
+    ? ` A refund of ${booking.refund.amount} is ${booking.refund.status === 'processed' ? 'on its way' : 'being processed'}.`
+    : '';
+
+  await notify(booking.user, {
+    type: 'booking_cancelled',
+    title: `Booking cancelled${event ? ` — "${event.title}"` : ''}`,
+    body: `Booking ${booking.bookingRef} was cancelled.${refund}`,
+    data: { eventId: booking.event.toString(), bookingId: booking._id.toString() },
+  });
+};
+
+module.exports = {
+  notify,
+  notifyEventReviewed,
+  notifyBookingConfirmed,
+  notifyBookingCancelled,
+};
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const OrganizerApplication = require('../models/OrganizerApplication');
+const User = require('../models/User');
+const { sendMail } = require('./mail');
+const { httpError } = require('./errors');
+
+// Approve or reject a pending application. Approval upgrades a plain
+// `user` to `organizer`; authMiddleware reads the role from the user
+// record, so it applies on the applicant's next request and the next
+// refreshed access token carries it.
+const reviewApplication = async (applicationId, { approve, note = '', reviewedBy }) => {
+  if (!mongoose.isValidObjectId(applicationId)) throw httpError(404, 'Application not found');
+
+  const application = await OrganizerApplication.findOneAndUpdate(
+    { _id: applicationId, status: 'pending' },
+    {
+      $set: {
+        status: approve ? 'approved' : 'rejected',
+        adminNote: note,
+        reviewedAt: new Date(),
+        reviewedBy,
+      },
+    },
+    { new: true }
+  );
+  if (!application) {
+    const exists = await OrganizerApplication.exists({ _id: applicationId });
+    throw httpError(exists ? 409 : 404, exists ? 'Application was already reviewed' : 'Application not found');
+  }
+
+  if (approve) {
+    await User.updateOne({ _id: application.user, role: 'user' }, { $set: { role: 'organizer' } });
+  }
+
+  const user = await User.findById(application.user).select('name email');
+  if (user) {
+    try {
+      await sendMail({
+        to: user.email,
+        subject: approve ? 'You can now create events on Event Finder' : 'Your organizer application',
+        text: approve
+          ? `Hi ${user.name},\n\nYour organizer application for ${application.organizationName} was approved. ` +
+            'You can now create events from the app.'
+          : `Hi ${user.name},\n\nYour organizer application for ${application.organizationName} was not approved.` +
+            (note ? `\n\nReason: ${note}` : ''),
+      });
+    } catch (error) {
+      console.error('Application email error:', error.message);
+    }
+  }
+
+  return application;
+};
+
+module.exports = {
+  reviewApplication,
+};
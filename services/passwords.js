@@ -0,0 +1,98 @@
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const { issueToken, consumeToken, recentIssues } = require('./authTokens');
+const { revokeAllSessions } = require('./sessions');
+const { defineJob, schedule } = require('./scheduler');
+const { sendMail, appUrl, escapeHtml } = require('./mail');
+const { httpError, badRequest } = require('./errors');
+
+// ── Passwords ─────────────────────────────────────────────────
+// Forgot-password mails a single-use reset token (stored hashed,
+// valid PASSWORD_RESET_MINUTES). A successful reset signs the user
+// out everywhere; changing a password signs out every other device.
+
+const JOB = 'password-reset';
+const PURPOSE = 'password_reset';
+const MIN_LENGTH = 6;
+const MAX_RESETS_PER_HOUR = 3;
+
+const tokenMinutes = () => parseInt(process.env.PASSWORD_RESET_MINUTES) || 30;
+
+const checkNewPassword = (password) => {
+  if (!password || String(password).length < MIN_LENGTH) {
+    throw badRequest(`Password must be at least ${MIN_LENGTH} characters`);
+  }
+};
+
+// Every request only queues a `password-reset` job — the account
+// lookup, token and email happen in the background, so known and
+// unknown emails take the same path and the same time and the endpoint
+// can't be used to find accounts
+const requestPasswordReset = (email) =>
+  schedule(JOB, new Date(), { email: String(email || '').toLowerCase().trim() });
+
+// Job handler — data: { email }
+const sendPasswordReset = async ({ email }) => {
+  const user = await User.findOne({ email, isActive: true });
+  if (!user) return;
+
+  const { count } = await recentIssues(user._id, PURPOSE, 60);
+  if (count >= MAX_RESETS_PER_HOUR) return;
+
+  const token = await issueToken(user._id, PURPOSE, tokenMinutes());
+  const link = `${appUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+
+  // Retrying would mail a second token — log and let the user ask again
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your Event Finder password',
+      text: `Hi ${user.name},\n\nReset your password with this link:\n${link}\n\n` +
+        `Or enter this code in the app: ${token}\n\n` +
+        `It expires in ${tokenMinutes()} minutes. If you didn't ask for this, ignore this email.`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p><a href="${link}">Reset your password</a></p>` +
+        `<p>Or enter this code in the app: <code>${token}</code></p>` +
+        `<p>It expires in ${tokenMinutes()} minutes. If you didn't ask for this, ignore this email.</p>`,
+    });
+  } catch (mailError) {
+    console.error('Password reset email error:', mailError.message);
+  }
+};
+
+const resetPassword = async (token, password) => {
+  checkNewPassword(password);
+
+  const userId = await consumeToken(token, PURPOSE);
+  if (!userId) throw badRequest('Reset link is invalid or has expired');
+
+  const user = await User.findByIdAndUpdate(userId, { password: await bcrypt.hash(password, 10) });
+  if (!user) throw badRequest('Reset link is invalid or has expired');
+
+  await revokeAllSessions(userId, { reason: 'password_reset' });
+  return user;
+};
+
+const changePassword = async (userId, { currentPassword, newPassword }, currentSession) => {
+  if (!currentPassword) throw badRequest('Current password is required');
+  checkNewPassword(newPassword);
+
+  const user = await User.findById(userId).select('+password');
+  if (!user) throw httpError(404, 'User not found');
+
+  if (!(await bcrypt.compare(currentPassword, user.password))) {
+    throw httpError(401, 'Current password is incorrect');
+  }
+
+  user.password = await bcrypt.hash(newPassword, 10);
+  await user.save();
+
+  await revokeAllSessions(userId, { reason: 'password_change', except: currentSession });
+};
+
+defineJob(JOB, sendPasswordReset);
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword,
+  changePassword,
+};
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+
+// ── Local fake provider ───────────────────────────────────────
+// Keeps intents in memory and signs webhooks with an HMAC of the raw
+// body (header `x-fake-signature`, key FAKE_PAYMENT_WEBHOOK_SECRET).
+// For development and tests only — it is not registered in production:
+// call complete()/fail() and POST the returned payload + signature to
+// /api/payments/webhook/fake to simulate the gateway.
+
+const intents = new Map();
+
+const secret = () => {
+  if (!process.env.FAKE_PAYMENT_WEBHOOK_SECRET) {
+    throw new Error('FAKE_PAYMENT_WEBHOOK_SECRET must be set to use the fake payment provider');
+  }
+  return process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+};
+
+const sign = (payload) => crypto.createHmac('sha256', secret()).update(payload).digest('hex');
+
+const createIntent = async ({ booking, amount, currency }) => {
+  const id = 'fake_pi_' + crypto.randomBytes(12).toString('hex');
+  intents.set(id, { id, bookingId: booking._id.toString(), amount, currency, status: 'pending' });
+  return { id, clientSecret: `${id}_secret`, redirectUrl: null };
+};
+
+const getIntent = async (paymentId) => {
+  const intent = intents.get(paymentId);
+  if (!intent || intent.status === 'failed') return null;
+  return { id: intent.id, clientSecret: `${intent.id}_secret`, redirectUrl: null };
+};
+
+const getPaymentStatus = async (paymentId) => {
+  const intent = intents.get(paymentId);
+  return intent ? intent.status : 'failed';
+};
+
+const refund = async ({ paymentId, amount }) => {
+  const intent = intents.get(paymentId);
+  if (!intent || intent.status !== 'succeeded') throw new Error(`Fake intent ${paymentId} was not paid`);
+  intent.refunded = (intent.refunded || 0) + amount;
+  return { id: 'fake_re_' + crypto.randomBytes(12).toString('hex'), status: 'processed' };
+};
+
+// Simulate the gateway settling an intent; returns a signed webhook
+const settle = (paymentId, status) => {
+  const intent = intents.get(paymentId);
+  if (!intent) throw new Error(`Unknown fake intent ${paymentId}`);
+  intent.status = status;
+
+  const payload = JSON.stringify({
+    id: 'fake_evt_' + crypto.randomBytes(12).toString('hex'),
+    type: status === 'succeeded' ? 'payment.succeeded' : 'payment.failed',
+    data: { paymentId, bookingId: intent.bookingId },
+  });
+  return { payload, signature: sign(payload) };
+};
+
+const parseWebhook = (rawBody, headers) => {
+  const signature = headers['x-fake-signature'] || '';
+  const expected = sign(rawBody);
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    throw new Error('Invalid webhook signature');
+  }
+
+  const event = JSON.parse(rawBody.toString());
+  return {
+    id: event.id,
+    type: event.type,
+    paymentId: event.data?.paymentId,
+    bookingId: event.data?.bookingId,
+  };
+};
+
+module.exports = {
+  name: 'fake',
+  checkConfig: () => { secret(); },
+  createIntent,
+  getIntent,
+  getPaymentStatus,
+  refund,
+  parseWebhook,
+  complete: (paymentId) => settle(paymentId, 'succeeded'),
+  fail: (paymentId) => settle(paymentId, 'failed'),
+};
@@ -0,0 +1,70 @@
+// ── Payment providers ─────────────────────────────────────────
+// Every gateway implements the same small interface so routes never
+// talk to a specific provider:
+//
+//   name                                   — key used in webhook URLs
+//   createIntent({ booking, amount, currency })
+//       → { id, clientSecret, redirectUrl }  start collecting `amount`
+//   getIntent(paymentId)
+//       → { id, clientSecret, redirectUrl } | null  an intent created
+//         earlier, or null once it can no longer be paid
+//   getPaymentStatus(paymentId)
+//       → 'pending' | 'succeeded' | 'failed'
+//   refund({ paymentId, amount, currency })
+//       → { id, status: 'processed' | 'pending' }  return part or all of
+//         a succeeded payment
+//   parseWebhook(rawBody, headers)
+//       → { id, type, paymentId, bookingId }  verifies the signature and
+//         throws if it is wrong; type is 'payment.succeeded',
+//         'payment.failed' or anything else (ignored)
+//   checkConfig()                          — optional; throws when the
+//         provider is missing settings it can't run without
+//
+// PAYMENT_PROVIDER picks the active provider (defaults to the local
+// fake provider outside production). Extra gateways can be plugged in
+// with registerProvider().
+
+const providers = new Map();
+
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+const getProvider = (name) => providers.get(name) || null;
+
+const selectedName = () =>
+  process.env.PAYMENT_PROVIDER || (process.env.NODE_ENV === 'production' ? '' : 'fake');
+
+const activeProvider = () => {
+  const name = selectedName();
+  const provider = getProvider(name);
+  if (!provider) throw new Error(`Payment provider "${name}" is not configured`);
+  return provider;
+};
+
+const currency = () => (process.env.PAYMENT_CURRENCY || 'LKR').toUpperCase();
+
+// Called at startup so a misconfigured provider stops the server
+// instead of failing (or accepting forged webhooks) later. Only the
+// selected provider has to be configured — the others reject every
+// webhook without their secret. Production may run without payments.
+const checkProviders = () => {
+  const name = selectedName();
+  if (!name) return;
+  const provider = activeProvider();
+  if (provider.checkConfig) provider.checkConfig();
+};
+
+// The fake provider confirms bookings nobody paid for — never in production
+if (process.env.NODE_ENV !== 'production') {
+  registerProvider(require('./fakeProvider'));
+}
+registerProvider(require('./stripeProvider'));
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  activeProvider,
+  checkProviders,
+  currency,
+};
@@ -0,0 +1,81 @@
+const Booking = require('../../models/Booking');
+const Event = require('../../models/Event');
+const { reserveSeats, releaseSeats, bookingSeats } = require('../seats');
+const { confirmHold } = require('../holds');
+const { promoteWaitlist } = require('../waitlist');
+const { issueRefund } = require('../refunds');
+const { notifyBookingConfirmed } = require('../notifications');
+
+// ── Settling bookings from payment results ────────────────────
+// Both functions are safe to call repeatedly for the same payment:
+// every status change is a conditional update. Only the payment a
+// booking's intent created (booking.paymentId) can settle it — a
+// correctly signed event for any other payment is ignored.
+
+// Payment went through — confirm the booking. If the hold lapsed
+// while the user was paying, try to take the seats again; if they
+// are gone (or the event was cancelled) the booking stays cancelled
+// and is refunded in full.
+const markPaid = async (bookingId, paymentId) => {
+  const confirmed = await confirmHold(bookingId, { paymentId });
+  if (confirmed) {
+    await Booking.updateOne({ _id: bookingId }, { paymentStatus: 'succeeded' });
+    return { booking: confirmed, outcome: 'confirmed' };
+  }
+
+  const booking = await Booking.findById(bookingId);
+  if (!booking) return { booking: null, outcome: 'unknown_booking' };
+  if (!paymentId || booking.paymentId !== paymentId) {
+    console.warn(`⚠️  Payment ${paymentId} is not the one booking ${booking.bookingRef} waits for — ignored`);
+    return { booking, outcome: 'payment_mismatch' };
+  }
+  if (booking.status === 'confirmed') return { booking, outcome: 'already_confirmed' };
+
+  const pendingOrCancelled = { _id: bookingId, paymentId, status: { $in: ['pending', 'cancelled'] } };
+  const wasCancelled = booking.status === 'cancelled';
+  const seats = bookingSeats(booking);
+
+  const eventCancelled = wasCancelled && !(await Event.exists({ _id: booking.event, status: { $ne: 'cancelled' } }));
+
+  if (wasCancelled && (eventCancelled || !(await reserveSeats(booking.event, booking.numberOfSeats, seats)))) {
+    const paid = await Booking.findByIdAndUpdate(bookingId, { paymentStatus: 'succeeded' }, { new: true });
+    console.warn(`⚠️  Payment ${paymentId} succeeded for cancelled booking ${booking.bookingRef} — refunding`);
+    const refunded = await issueRefund(paid, paid.totalPrice, {
+      percent: 100,
+      reason: eventCancelled ? 'Event cancelled before payment completed' : 'Hold expired before payment completed',
+    });
+    return { booking: refunded, outcome: 'seats_unavailable' };
+  }
+
+  const revived = await Booking.findOneAndUpdate(
+    pendingOrCancelled,
+    { status: 'confirmed', paymentStatus: 'succeeded', expiresAt: null },
+    { new: true }
+  );
+  if (!revived && wasCancelled) {
+    await releaseSeats(booking.event, booking.numberOfSeats, seats);
+  }
+  if (revived) await notifyBookingConfirmed(revived);
+  return { booking: revived || booking, outcome: revived ? 'confirmed' : 'already_confirmed' };
+};
+
+// Payment failed — release the hold so the seats go back on sale
+const markFailed = async (bookingId, paymentId) => {
+  if (!paymentId) return { booking: null, outcome: 'payment_mismatch' };
+
+  const failed = await Booking.findOneAndUpdate(
+    { _id: bookingId, paymentId, status: 'pending' },
+    { status: 'cancelled', paymentStatus: 'failed', expiresAt: null },
+    { new: true }
+  );
+  if (!failed) return { booking: null, outcome: 'not_pending' };
+
+  await releaseSeats(failed.event, failed.numberOfSeats, bookingSeats(failed));
+  await promoteWaitlist(failed.event);
+  return { booking: failed, outcome: 'failed' };
+};
+
+module.exports = {
+  markPaid,
+  markFailed,
+};
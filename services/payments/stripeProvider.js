@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+
+// ── Stripe ────────────────────────────────────────────────────
+// Talks to the REST API directly (no SDK). Needs STRIPE_SECRET_KEY and
+// STRIPE_WEBHOOK_SECRET; the booking id travels in intent metadata.
+
+const API_URL = 'https://api.stripe.com/v1';
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Currencies Stripe expects in whole units rather than cents
+const ZERO_DECIMAL = new Set(['JPY', 'KRW', 'VND', 'CLP', 'PYG', 'UGX', 'XAF', 'XOF']);
+
+const request = async (method, path, params) => {
+  const response = await fetch(`${API_URL}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: params ? new URLSearchParams(params).toString() : undefined,
+  });
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(`Stripe error: ${body.error?.message || response.status}`);
+  }
+  return body;
+};
+
+const toMinorUnits = (amount, currency) =>
+  ZERO_DECIMAL.has(currency) ? Math.round(amount) : Math.round(amount * 100);
+
+const createIntent = async ({ booking, amount, currency }) => {
+  const minor = toMinorUnits(amount, currency);
+  const intent = await request('POST', '/payment_intents', {
+    amount: String(minor),
+    currency: currency.toLowerCase(),
+    'metadata[bookingId]': booking._id.toString(),
+    'metadata[bookingRef]': booking.bookingRef,
+  });
+  return { id: intent.id, clientSecret: intent.client_secret, redirectUrl: null };
+};
+
+const getIntent = async (paymentId) => {
+  const intent = await request('GET', `/payment_intents/${encodeURIComponent(paymentId)}`);
+  if (intent.status === 'canceled') return null;
+  return { id: intent.id, clientSecret: intent.client_secret, redirectUrl: null };
+};
+
+const getPaymentStatus = async (paymentId) => {
+  const intent = await request('GET', `/payment_intents/${encodeURIComponent(paymentId)}`);
+  if (intent.status === 'succeeded') return 'succeeded';
+  if (intent.status === 'canceled') return 'failed';
+  return 'pending';
+};
+
+const refund = async ({ paymentId, amount, currency }) => {
+  const result = await request('POST', '/refunds', {
+    payment_intent: paymentId,
+    amount: String(toMinorUnits(amount, currency)),
+  });
+  return { id: result.id, status: result.status === 'succeeded' ? 'processed' : 'pending' };
+};
+
+const checkConfig = () => {
+  const missing = ['STRIPE_SECRET_KEY', 'STRIPE_WEBHOOK_SECRET'].filter((key) => !process.env[key]);
+  if (missing.length > 0) {
+    throw new Error(`${missing.join(' and ')} must be set to use the Stripe payment provider`);
+  }
+};
+
+// Stripe-Signature: t=<timestamp>,v1=<hmac of "t.body">[,v1=…]
+const parseWebhook = (rawBody, headers) => {
+  const header = headers['stripe-signature'] || '';
+  const parts = header.split(',').map((p) => p.split('='));
+  const timestamp = parts.find(([k]) => k === 't')?.[1];
+  const signatures = parts.filter(([k]) => k === 'v1').map(([, v]) => v);
+
+  if (!process.env.STRIPE_WEBHOOK_SECRET) throw new Error('STRIPE_WEBHOOK_SECRET is not set');
+
+  const expected = crypto
+    .createHmac('sha256', process.env.STRIPE_WEBHOOK_SECRET)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+
+  const valid = signatures.some(
+    (sig) => sig.length === expected.length && crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))
+  );
+  if (!timestamp || !valid) throw new Error('Invalid webhook signature');
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new Error('Webhook timestamp outside tolerance');
+  }
+
+  const event = JSON.parse(rawBody.toString());
+  const intent = event.data?.object || {};
+  const types = {
+    'payment_intent.succeeded': 'payment.succeeded',
+    'payment_intent.payment_failed': 'payment.failed',
+    'payment_intent.canceled': 'payment.failed',
+  };
+  return {
+    id: event.id,
+    type: types[event.type] || event.type,
+    paymentId: intent.id,
+    bookingId: intent.metadata?.bookingId,
+  };
+};
+
+module.exports = {
+  name: 'stripe',
+  checkConfig,
+  createIntent,
+  getIntent,
+  getPaymentStatus,
+  refund,
+  parseWebhook,
+};
@@ -0,0 +1,76 @@
+const jwt = require('jsonwebtoken');
+
+// ── Firebase Cloud Messaging (HTTP v1) ────────────────────────
+// Talks to the REST API directly (no SDK) with a service account:
+// FCM_PROJECT_ID, FCM_CLIENT_EMAIL and FCM_PRIVATE_KEY (the PEM from
+// the service account JSON; literal "\n" sequences are accepted).
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+
+let accessToken = null;
+
+// OAuth access token for the service account, cached until shortly
+// before it expires
+const getAccessToken = async () => {
+  if (accessToken && accessToken.expiresAt > Date.now() + 60 * 1000) return accessToken.value;
+
+  const { FCM_CLIENT_EMAIL, FCM_PRIVATE_KEY } = process.env;
+  if (!FCM_CLIENT_EMAIL || !FCM_PRIVATE_KEY) throw new Error('FCM_CLIENT_EMAIL and FCM_PRIVATE_KEY must be set');
+
+  const assertion = jwt.sign(
+    { scope: SCOPE },
+    FCM_PRIVATE_KEY.replace(/\\n/g, '\n'),
+    { algorithm: 'RS256', issuer: FCM_CLIENT_EMAIL, audience: TOKEN_URL, expiresIn: '1h' }
+  );
+
+  const response = await fetch(TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer', assertion }).toString(),
+  });
+  const body = await response.json();
+  if (!response.ok) throw new Error(`FCM auth error: ${body.error_description || body.error || response.status}`);
+
+  accessToken = { value: body.access_token, expiresAt: Date.now() + body.expires_in * 1000 };
+  return accessToken.value;
+};
+
+// FCM data values must be strings
+const stringify = (data) =>
+  Object.fromEntries(Object.entries(data).filter(([, v]) => v != null).map(([k, v]) => [k, String(v)]));
+
+// Tokens FCM says will never work again
+const isInvalidToken = (status, error) =>
+  status === 404 ||
+  (error && ['UNREGISTERED', 'INVALID_ARGUMENT'].includes(error.details?.[0]?.errorCode || error.status));
+
+const send = async ({ tokens, title, body, data = {} }) => {
+  if (!process.env.FCM_PROJECT_ID) throw new Error('FCM_PROJECT_ID is not set');
+  const url = `https://fcm.googleapis.com/v1/projects/${process.env.FCM_PROJECT_ID}/messages:send`;
+  const auth = await getAccessToken();
+
+  const result = { sent: 0, failed: 0, invalidTokens: [] };
+  // HTTP v1 takes one device per request
+  for (const token of tokens) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${auth}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: { token, notification: { title, body }, data: stringify(data) } }),
+    });
+    if (response.ok) {
+      result.sent++;
+      continue;
+    }
+    const { error } = await response.json().catch(() => ({}));
+    result.failed++;
+    if (isInvalidToken(response.status, error)) result.invalidTokens.push(token);
+    else console.error(`FCM error for one device: ${error?.message || response.status}`);
+  }
+  return result;
+};
+
+module.exports = {
+  name: 'fcm',
+  send,
+};
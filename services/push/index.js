@@ -0,0 +1,38 @@
+// ── Push transports ───────────────────────────────────────────
+// Same shape as services/mail: one small interface so the
+// notification service never depends on a specific gateway.
+//
+//   name                                   — value of PUSH_TRANSPORT
+//   send({ tokens, title, body, data })
+//       → { sent, failed, invalidTokens }  invalidTokens are device
+//         tokens the gateway no longer accepts; they get unregistered
+//
+// PUSH_TRANSPORT picks the active transport: `stub` (default outside
+// production — logs and keeps the messages in memory) or `fcm`
+// (default in production). Others can be added with registerTransport().
+
+const transports = new Map();
+
+const registerTransport = (transport) => {
+  transports.set(transport.name, transport);
+};
+
+const getTransport = (name) => transports.get(name) || null;
+
+const activeTransport = () => {
+  const name = process.env.PUSH_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'fcm' : 'stub');
+  const transport = getTransport(name);
+  if (!transport) throw new Error(`Push transport "${name}" is not configured`);
+  return transport;
+};
+
+const sendPush = (message) => activeTransport().send(message);
+
+registerTransport(require('./stubTransport'));
+registerTransport(require('./fcmTransport'));
+
+module.exports = {
+  registerTransport,
+  getTransport,
+  sendPush,
+};
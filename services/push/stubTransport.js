@@ -0,0 +1,17 @@
+// Logs pushes instead of sending them and keeps the last ones in
+// `sent` so tests and local tooling can check what would have gone out
+const MAX_KEPT = 100;
+const sent = [];
+
+const send = async ({ tokens, title, body, data = {} }) => {
+  sent.push({ tokens, title, body, data, sentAt: new Date() });
+  if (sent.length > MAX_KEPT) sent.shift();
+  console.log(`🔔 Push to ${tokens.length} device(s): ${title}${body ? ` — ${body}` : ''}`);
+  return { sent: tokens.length, failed: 0, invalidTokens: [] };
+};
+
+module.exports = {
+  name: 'stub',
+  send,
+  sent,
+};
@@ -0,0 +1,211 @@
+const { BadRequestError, badRequest } = require('./errors');
+const { parseList } = require('./tickets');
+const { parseTime, calendarDay, defaultTimeZone } = require('./eventTime');
+
+// ── Recurring events and sessions ─────────────────────────────
+// A series is one Event (approved once, as a whole) with embedded
+// `occurrences`, each holding its own seat inventory. Organizers send
+// either a recurrence rule or an explicit session list:
+//
+//   recurrence: { frequency: 'daily'|'weekly'|'monthly', interval,
+//                 until | count, exceptions: ['2026-12-25', …] }
+//                 — expanded from the event's date/time
+//   sessions:   [{ date, time, totalSeats? }, …]
+
+const MAX_OCCURRENCES = 366;
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const parseJson = (raw, field) => {
+  if (typeof raw !== 'string') return raw;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    throw badRequest(`${field} must be valid JSON`);
+  }
+};
+
+// Calendar day of a date in the body, read in the event's timezone
+const parseDate = (value, label, timeZone) => {
+  const date = value ? calendarDay(value, timeZone) : null;
+  if (!date) throw badRequest(`${label} is not a valid date`);
+  return date;
+};
+
+const tooLong = () => new BadRequestError(
+  `A recurrence can produce at most ${MAX_OCCURRENCES} sessions — lower its count or move its until date`,
+  'RECURRENCE_TOO_LONG'
+);
+
+// Dates produced by a rule, starting at (and including) `start`.
+// Monthly rules skip months that don't have the start day (no 31 Feb).
+// A rule that would produce more than MAX_OCCURRENCES sessions is
+// rejected rather than cut short.
+const expandRecurrence = (rule, start) => {
+  const dates = [];
+  const until = rule.until ? new Date(rule.until) : null;
+  const skip = new Set((rule.exceptions || []).map(dayKey));
+  if (rule.count > MAX_OCCURRENCES) throw tooLong();
+
+  for (let step = 0; !rule.count || dates.length < rule.count; step++) {
+    const date = new Date(start);
+    if (rule.frequency === 'daily') date.setUTCDate(date.getUTCDate() + step * rule.interval);
+    if (rule.frequency === 'weekly') date.setUTCDate(date.getUTCDate() + step * 7 * rule.interval);
+    if (rule.frequency === 'monthly') {
+      date.setUTCMonth(date.getUTCMonth() + step * rule.interval);
+      if (date.getUTCDate() !== new Date(start).getUTCDate()) continue;
+    }
+
+    if (isNaN(date.getTime())) throw tooLong();
+    if (until && date > until) break;
+    if (skip.has(dayKey(date))) continue;
+    if (dates.length === MAX_OCCURRENCES) throw tooLong();
+    dates.push(date);
+  }
+  return dates;
+};
+
+const parseRecurrence = (raw, timeZone) => {
+  const rule = parseJson(raw, 'recurrence') || {};
+  const parsed = {
+    frequency: rule.frequency,
+    interval: rule.interval ? parseInt(rule.interval) : 1,
+    until: rule.until ? parseDate(rule.until, 'recurrence.until', timeZone) : null,
+    count: rule.count ? parseInt(rule.count) : null,
+    exceptions: (rule.exceptions || []).map((d, i) => parseDate(d, `recurrence.exceptions[${i}]`, timeZone)),
+  };
+
+  if (!FREQUENCIES.includes(parsed.frequency)) {
+    throw badRequest(`recurrence.frequency must be one of ${FREQUENCIES.join(', ')}`);
+  }
+  if (!(parsed.interval >= 1)) throw badRequest('recurrence.interval must be at least 1');
+  if (!parsed.until && !parsed.count) throw badRequest('recurrence needs an until date or a count');
+  if (parsed.count !== null && !(parsed.count >= 1)) throw badRequest('recurrence.count must be at least 1');
+  return parsed;
+};
+
+// Read `recurrence` / `sessions` from an event create/update body.
+// Returns { recurrence, occurrences: [{ _id?, date, time, totalSeats }] }
+// or null when neither was sent. `defaults` supplies the event's
+// date/time/totalSeats for rule expansion and sessions that omit them,
+// and the timezone dates are read in.
+const parseSchedule = (body, defaults) => {
+  const hasRule = body.recurrence !== undefined && body.recurrence !== '';
+  const hasSessions = body.sessions !== undefined && body.sessions !== '';
+  if (!hasRule && !hasSessions) return null;
+  if (hasRule && hasSessions) throw badRequest('Send either recurrence or sessions, not both');
+
+  const seats = (value, label) => {
+    const totalSeats = parseInt(value);
+    if (!totalSeats || totalSeats < 1) throw badRequest(`${label}: totalSeats must be at least 1`);
+    return totalSeats;
+  };
+
+  const timeZone = defaults.timezone || defaultTimeZone();
+  let recurrence = null;
+  let occurrences;
+  if (hasRule) {
+    recurrence = parseRecurrence(body.recurrence, timeZone);
+    const start = parseDate(defaults.date, 'date', timeZone);
+    occurrences = expandRecurrence(recurrence, start).map((date) => ({
+      date,
+      time: defaults.time,
+      totalSeats: seats(defaults.totalSeats, 'Series'),
+    }));
+  } else {
+    occurrences = parseList(body.sessions, 'sessions').map((session, i) => ({
+      _id: session._id || session.id,
+      date: parseDate(session.date, `Session #${i + 1} date`, timeZone),
+      time: session.time || defaults.time,
+      totalSeats: seats(session.totalSeats || defaults.totalSeats, `Session #${i + 1}`),
+    }));
+  }
+
+  if (occurrences.length === 0) throw badRequest('The schedule has no sessions');
+  if (occurrences.length > MAX_OCCURRENCES) throw badRequest(`A series can have at most ${MAX_OCCURRENCES} sessions`);
+  if (occurrences.some((o) => !o.time)) throw badRequest('Every session needs a time');
+  if (occurrences.some((o) => !parseTime(o.time))) throw badRequest('Session times must look like "18:30" or "6:30 PM"');
+
+  return { recurrence, occurrences };
+};
+
+// Check new sessions against an event's current ones: existing
+// sessions are matched by _id, or else by calendar day; one can't
+// shrink below its sold seats or be dropped once sold. Resolves to
+// the sessions sorted by date as { _id (null for a new one), fields,
+// sold } and the sessions being removed.
+const planSchedule = (event, { occurrences }) => {
+  if (event.ticketTypes && event.ticketTypes.length > 0) {
+    throw badRequest('Ticket types are not supported on recurring events');
+  }
+
+  const current = [...(event.occurrences || [])];
+  const take = (occurrence) => {
+    const index = current.findIndex((o) =>
+      occurrence._id ? o._id.toString() === String(occurrence._id) : dayKey(o.date) === dayKey(occurrence.date)
+    );
+    if (occurrence._id && index === -1) throw badRequest(`Unknown session ${occurrence._id}`);
+    return index === -1 ? null : current.splice(index, 1)[0];
+  };
+
+  const next = occurrences
+    .map((occurrence) => {
+      const existing = take(occurrence);
+      const sold = existing ? existing.totalSeats - existing.availableSeats : 0;
+      if (occurrence.totalSeats < sold) {
+        throw badRequest(`Session on ${dayKey(occurrence.date)} already sold ${sold} seats — capacity can't be lower`);
+      }
+
+      const { _id, ...fields } = occurrence;
+      return { _id: existing ? existing._id : null, fields, sold };
+    })
+    .sort((a, b) => a.fields.date - b.fields.date);
+
+  for (const removed of current) {
+    if (removed.totalSeats - removed.availableSeats > 0) {
+      throw badRequest(`Session on ${dayKey(removed.date)} has bookings and can't be removed`);
+    }
+  }
+
+  if (!event.isNew && event.occurrences.length === 0 && event.totalSeats > event.availableSeats) {
+    throw badRequest('An event with bookings can\'t be turned into a series');
+  }
+
+  return { occurrences: next, removed: current };
+};
+
+// Set the sessions of a new event and derive its date/time and seat
+// totals. Saved events change sessions through resizeOccurrences() in
+// services/seats.js, which never rewrites `availableSeats` from a
+// stale read.
+const applySchedule = (event, schedule) => {
+  const next = planSchedule(event, schedule).occurrences
+    .map(({ _id, fields, sold }) => ({ ...fields, ...(_id && { _id }), availableSeats: fields.totalSeats - sold }));
+
+  event.recurrence = schedule.recurrence;
+  event.occurrences = next;
+  event.date = next[0].date;
+  event.time = next[0].time;
+  event.totalSeats = next.reduce((sum, o) => sum + o.totalSeats, 0);
+  event.availableSeats = next.reduce((sum, o) => sum + o.availableSeats, 0);
+  return event;
+};
+
+// The occurrence a booking/waitlist request targets, or throws
+const findOccurrence = (event, occurrenceId) => {
+  if (!event.occurrences || event.occurrences.length === 0) return null;
+  if (!occurrenceId) throw badRequest('This event has several sessions — occurrenceId is required');
+
+  const occurrence = event.occurrences.find((o) => o._id.toString() === String(occurrenceId));
+  if (!occurrence) throw badRequest(`Unknown session ${occurrenceId}`);
+  return occurrence;
+};
+
+module.exports = {
+  expandRecurrence,
+  parseSchedule,
+  planSchedule,
+  applySchedule,
+  findOccurrence,
+};
@@ -0,0 +1,120 @@
+const Booking = require('../models/Booking');
+const { badRequest } = require('./errors');
+const { eventStartsAt } = require('./eventTime');
+const { getProvider, currency } = require('./payments');
+
+// ── Cancellation policies and refunds ─────────────────────────
+
+// Validate the `cancellationPolicy` field of an event create/update
+// body: { rules: [{ hoursBefore, refundPercent }] } or just the rules
+// array, as an object or a JSON string. Returns null when not sent.
+const parseCancellationPolicy = (raw) => {
+  if (raw === undefined || raw === null || raw === '') return null;
+
+  let policy = raw;
+  if (typeof raw === 'string') {
+    try {
+      policy = JSON.parse(raw);
+    } catch (e) {
+      throw badRequest('cancellationPolicy must be valid JSON');
+    }
+  }
+  const rules = Array.isArray(policy) ? policy : policy.rules;
+  if (!Array.isArray(rules)) throw badRequest('cancellationPolicy.rules must be an array');
+
+  const parsed = rules.map((rule, i) => {
+    const hoursBefore = Number(rule.hoursBefore);
+    const refundPercent = Number(rule.refundPercent);
+    if (!Number.isFinite(hoursBefore) || hoursBefore < 0) {
+      throw badRequest(`Cancellation rule #${i + 1}: hoursBefore must be 0 or more`);
+    }
+    if (!Number.isFinite(refundPercent) || refundPercent < 0 || refundPercent > 100) {
+      throw badRequest(`Cancellation rule #${i + 1}: refundPercent must be between 0 and 100`);
+    }
+    return { hoursBefore, refundPercent };
+  });
+
+  // Most generous (earliest) window first
+  parsed.sort((a, b) => b.hoursBefore - a.hoursBefore);
+  return { rules: parsed };
+};
+
+// Percentage of the price refunded when cancelling at `now`
+// (measured against the booked session for recurring events)
+const refundPercentFor = (event, occurrenceId = null, now = new Date()) => {
+  const hoursLeft = (eventStartsAt(event, occurrenceId) - now) / (60 * 60 * 1000);
+  if (hoursLeft <= 0) return 0;
+
+  const rules = event.cancellationPolicy?.rules || [];
+  if (rules.length === 0) return 100;
+
+  const rule = [...rules]
+    .sort((a, b) => b.hoursBefore - a.hoursBefore)
+    .find((r) => hoursLeft >= r.hoursBefore);
+  return rule ? rule.refundPercent : 0;
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// What is left to refund on a booking's payment (a failed refund
+// returned nothing)
+const refundableAmount = (booking) => {
+  const alreadyRefunded = booking.refund?.status === 'failed' ? 0 : booking.refund?.amount || 0;
+  return roundMoney(booking.totalPrice - alreadyRefunded);
+};
+
+// Return `amount` of a booking's payment through its provider and
+// record it on the booking. Bookings that were never paid only get
+// the policy percent recorded — there is no money to send back.
+const issueRefund = async (booking, amount, { percent = null, reason = null, issuedBy = null } = {}) => {
+  const provider = booking.paymentStatus === 'succeeded' && getProvider(booking.paymentProvider);
+  if (!provider) {
+    return Booking.findByIdAndUpdate(
+      booking._id,
+      { 'refund.percent': percent || 0, 'refund.reason': reason },
+      { new: true }
+    );
+  }
+
+  const alreadyRefunded = booking.refund?.status === 'failed' ? 0 : booking.refund?.amount || 0;
+  const refundable = refundableAmount(booking);
+  amount = roundMoney(amount);
+
+  if (amount < 0 || amount > refundable) {
+    throw badRequest(`Refund must be between 0 and ${refundable}`);
+  }
+
+  const total = roundMoney(alreadyRefunded + amount);
+  const refund = {
+    amount: total,
+    percent: percent !== null ? percent : Math.round((total / booking.totalPrice) * 100),
+    status: booking.refund?.status || 'none',
+    reason,
+    providerRefundId: booking.refund?.providerRefundId || null,
+    processedAt: booking.refund?.processedAt || null,
+    issuedBy,
+  };
+
+  if (amount > 0) {
+    try {
+      const result = await provider.refund({ paymentId: booking.paymentId, amount, currency: currency() });
+      refund.status = result.status;
+      refund.providerRefundId = result.id;
+      refund.processedAt = result.status === 'processed' ? new Date() : null;
+    } catch (error) {
+      console.error(`❌ Refund failed for ${booking.bookingRef}:`, error.message);
+      refund.status = 'failed';
+      refund.amount = alreadyRefunded;
+    }
+  }
+
+  return Booking.findByIdAndUpdate(booking._id, { refund }, { new: true });
+};
+
+module.exports = {
+  parseCancellationPolicy,
+  refundPercentFor,
+  roundMoney,
+  refundableAmount,
+  issueRefund,
+};
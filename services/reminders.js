@@ -0,0 +1,156 @@
+const Event = require('../models/Event');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const { defineJob, schedule, cancelJobs } = require('./scheduler');
+const { notify } = require('./notifications');
+const { sendMail, escapeHtml } = require('./mail');
+const { formatEventTime } = require('./eventTime');
+
+// ── Event reminders ───────────────────────────────────────────
+// Approving an event schedules one `event-reminder` job per session
+// and lead time (REMINDER_LEAD_MINUTES, default 24 hours and 1 hour
+// before); editing it (which sends it back for approval), rejecting,
+// cancelling or deleting it drops them.
+// When a job runs, every confirmed booking for that session gets a
+// notification and an email — unless the booking or the user's
+// `preferences.reminders` turned them off.
+//
+// The job key includes the session's start time, so moving the event
+// schedules fresh reminders and stale jobs find nothing to do. Each
+// booking records the keys it was reminded for; that is claimed
+// before sending, so a retried job never reminds anyone twice.
+
+const JOB = 'event-reminder';
+
+const leadMinutes = () =>
+  (process.env.REMINDER_LEAD_MINUTES || '1440,60')
+    .split(',')
+    .map((value) => parseInt(value))
+    .filter((minutes) => minutes > 0);
+
+// 1440 → "24 hours", 60 → "1 hour", 30 → "30 minutes"
+const formatLead = (minutes) => {
+  const [amount, unit] = minutes % 60 === 0 ? [minutes / 60, 'hour'] : [minutes, 'minute'];
+  return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+};
+
+// Sessions that bookings can be for: each occurrence of a recurring
+// event, otherwise the event itself
+const sessionsOf = (event) =>
+  event.occurrences && event.occurrences.length > 0
+    ? event.occurrences.map((o) => ({ occurrence: o._id.toString(), startsAt: o.startsAt }))
+    : [{ occurrence: null, startsAt: event.startsAt }];
+
+const jobKey = (eventId, occurrence, startsAt, minutes) =>
+  `${JOB}:${eventId}:${occurrence || 'event'}:${startsAt.toISOString()}:${minutes}`;
+
+// (Re)schedule the reminders of an event. Reminders whose time has
+// already passed are skipped — nobody gets a "24 hours to go" message
+// an hour before the start.
+const scheduleEventReminders = async (event) => {
+  const now = Date.now();
+  const keys = [];
+
+  for (const { occurrence, startsAt } of sessionsOf(event)) {
+    if (!startsAt) continue;
+    for (const minutes of leadMinutes()) {
+      const runAt = new Date(startsAt.getTime() - minutes * 60 * 1000);
+      if (runAt.getTime() <= now) continue;
+
+      const key = jobKey(event._id, occurrence, startsAt, minutes);
+      keys.push(key);
+      await schedule(JOB, runAt, {
+        eventId: event._id.toString(),
+        occurrence,
+        startsAt,
+        minutes,
+      }, { key });
+    }
+  }
+
+  // Drop reminders for sessions that moved or were removed
+  await cancelJobs({ name: JOB, 'data.eventId': event._id.toString(), key: { $nin: keys } });
+  return keys.length;
+};
+
+const cancelEventReminders = (eventId) =>
+  cancelJobs({ name: JOB, 'data.eventId': eventId.toString() });
+
+const sendReminder = async (user, booking, event, { startsAt, minutes }) => {
+  const when = formatEventTime(startsAt, event.timezone);
+  const lead = formatLead(minutes);
+
+  await notify(user._id, {
+    type: 'event_reminder',
+    title: `"${event.title}" starts in ${lead}`,
+    body: `${when} at ${event.location}. Booking ${booking.bookingRef}.`,
+    data: { eventId: event._id.toString(), bookingId: booking._id.toString() },
+  });
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: `Reminder: ${event.title} starts in ${lead}`,
+      text: `Hi ${user.name},\n\n"${event.title}" starts ${when} at ${event.location}.\n` +
+        `Your booking ${booking.bookingRef} is for ${booking.numberOfSeats} seat(s) — have your ticket QR ready.\n\n` +
+        'You can turn off reminders for this booking in the app.',
+      html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+        `<p><strong>${escapeHtml(event.title)}</strong> starts ${escapeHtml(when)} at ${escapeHtml(event.location)}.</p>` +
+        `<p>Your booking ${escapeHtml(booking.bookingRef)} is for ${booking.numberOfSeats} seat(s) — have your ticket QR ready.</p>` +
+        '<p>You can turn off reminders for this booking in the app.</p>',
+    });
+  } catch (error) {
+    console.error('Reminder email error:', error.message);
+  }
+};
+
+// Job handler — data: { eventId, occurrence, startsAt, minutes }
+const sendEventReminders = async (data, job) => {
+  const event = await Event.findById(data.eventId)
+    .select('title location timezone status isActive startsAt occurrences');
+  if (!event || event.status !== 'approved' || !event.isActive) return;
+
+  // Skip if the session moved since this job was scheduled, or started
+  const session = sessionsOf(event).find((s) => s.occurrence === data.occurrence);
+  if (!session || !session.startsAt || session.startsAt.getTime() !== new Date(data.startsAt).getTime()) return;
+  if (session.startsAt <= new Date()) return;
+
+  const bookings = await Booking.find({
+    event: event._id,
+    occurrence: data.occurrence || null,
+    status: 'confirmed',
+    reminders: { $ne: false },
+    remindersSent: { $ne: job.key },
+  }).select('user bookingRef numberOfSeats');
+
+  const users = await User.find({ _id: { $in: bookings.map((b) => b.user) } })
+    .select('name email isActive preferences');
+  const usersById = new Map(users.map((u) => [u._id.toString(), u]));
+
+  let sent = 0;
+  for (const booking of bookings) {
+    const user = usersById.get(booking.user.toString());
+    if (!user || !user.isActive || user.preferences?.reminders === false) continue;
+
+    // Claim first: a retry of this job skips bookings already reminded
+    const claimed = await Booking.updateOne(
+      { _id: booking._id, remindersSent: { $ne: job.key } },
+      { $push: { remindersSent: job.key } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    await sendReminder(user, booking, event, data);
+    sent += 1;
+  }
+
+  if (sent > 0) {
+    console.log(`⏰ Sent ${sent} reminder(s) for "${event.title}" (${formatLead(data.minutes)} before)`);
+  }
+};
+
+defineJob(JOB, sendEventReminders);
+
+module.exports = {
+  scheduleEventReminders,
+  cancelEventReminders,
+};
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+
+// ── Job scheduler ─────────────────────────────────────────────
+// Timed work that must survive restarts lives in the jobs collection
+// instead of in setTimeout. Services register a handler once with
+// defineJob() and call schedule() with a run time; every instance
+// polls for due jobs and claims them one at a time with a conditional
+// update, so a job runs on one instance only.
+//
+// A job whose instance dies mid-run is retried once its lease
+// (JOB_LOCK_MS) expires, and a handler that throws is retried with
+// backoff up to `maxAttempts` — handlers must be safe to run again.
+
+const handlers = new Map();
+
+const lockMs = () => parseInt(process.env.JOB_LOCK_MS) || 10 * 60 * 1000;
+
+// 1, 2, 4 … minutes between attempts, at most an hour
+const retryDelay = (attempts) => Math.min(60 * 1000 * 2 ** (attempts - 1), 60 * 60 * 1000);
+
+const defineJob = (name, handler, { maxAttempts = 5 } = {}) => {
+  handlers.set(name, { handler, maxAttempts });
+};
+
+// Schedule `name` to run at `runAt` with `data`. With a `key`, the job
+// is scheduled once: a pending job with that key is moved to the new
+// time and a cancelled one is re-armed, one that already ran is left
+// alone. Resolves to the job.
+const schedule = async (name, runAt, data = {}, { key = null } = {}) => {
+  if (!key) {
+    return Job.create({ name, key: `${name}:${new mongoose.Types.ObjectId()}`, runAt, data });
+  }
+
+  const moved = await Job.findOneAndUpdate(
+    { key, status: { $in: ['pending', 'cancelled'] } },
+    { status: 'pending', runAt, data, attempts: 0, lockedUntil: null, lastError: null, finishedAt: null },
+    { new: true }
+  );
+  if (moved) return moved;
+
+  try {
+    return await Job.findOneAndUpdate(
+      { key },
+      { $setOnInsert: { name, runAt, data } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Another instance inserted it first
+    if (error.code === 11000) return Job.findOne({ key });
+    throw error;
+  }
+};
+
+// Cancel pending jobs matching `filter` (e.g. { name, 'data.eventId': id })
+const cancelJobs = async (filter) => {
+  const result = await Job.updateMany(
+    { ...filter, status: 'pending' },
+    { status: 'cancelled', finishedAt: new Date() }
+  );
+  return result.modifiedCount;
+};
+
+// Take the next due job — or one whose lease ran out — for this instance
+const claimNext = () => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      name: { $in: [...handlers.keys()] },
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        { status: 'running', lockedUntil: { $lte: now } },
+      ],
+    },
+    { status: 'running', lockedUntil: new Date(now.getTime() + lockMs()), $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+const runJob = async (job) => {
+  const { handler, maxAttempts } = handlers.get(job.name);
+  try {
+    await handler(job.data, job);
+    await Job.updateOne(
+      { _id: job._id, status: 'running' },
+      { status: 'done', lockedUntil: null, lastError: null, finishedAt: new Date() }
+    );
+  } catch (error) {
+    console.error(`❌ Job ${job.key} failed (attempt ${job.attempts}):`, error.message);
+    const failed = job.attempts >= maxAttempts;
+    await Job.updateOne(
+      { _id: job._id, status: 'running' },
+      failed
+        ? { status: 'failed', lockedUntil: null, lastError: error.message, finishedAt: new Date() }
+        : { status: 'pending', lockedUntil: null, lastError: error.message, runAt: new Date(Date.now() + retryDelay(job.attempts)) }
+    );
+  }
+};
+
+// Run everything that is due (up to `limit` jobs). Resolves to the
+// number of jobs run.
+const runDueJobs = async ({ limit = 100 } = {}) => {
+  let ran = 0;
+  while (ran < limit) {
+    const job = await claimNext();
+    if (!job) break;
+    await runJob(job);
+    ran += 1;
+  }
+  return ran;
+};
+
+const startScheduler = (intervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 30 * 1000) => {
+  let busy = false;
+  const timer = setInterval(() => {
+    // A long batch must not overlap the next tick
+    if (busy) return;
+    busy = true;
+    runDueJobs()
+      .catch((err) => console.error('❌ Scheduler error:', err.message))
+      .finally(() => { busy = false; });
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  defineJob,
+  schedule,
+  cancelJobs,
+  runDueJobs,
+  startScheduler,
+};
@@ -0,0 +1,62 @@
+// ── Event search ──────────────────────────────────────────────
+// Builds the filter for GET /api/events/search/query from query
+// string input. The text part uses the `event_text_search` index;
+// anything that ends up in a $regex is escaped first so characters
+// like `.*(` from the app can't change or slow down the pattern.
+
+const MAX_QUERY_LENGTH = 100;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseNumber = (value) => {
+  if (value === undefined || value === '') return null;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const parseDay = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const buildSearchQuery = ({ q, category, location, dateFrom, dateTo, minPrice, maxPrice, free, hideEnded }) => {
+  const query = { isActive: true, status: 'approved' };
+  if (hideEnded === 'true' || hideEnded === true) query.endsAt = { $gt: new Date() };
+
+  const text = String(q || '').trim().slice(0, MAX_QUERY_LENGTH);
+  if (text) query.$text = { $search: text };
+
+  if (category) query.category = String(category);
+
+  if (location) {
+    query.location = { $regex: escapeRegex(String(location).trim().slice(0, MAX_QUERY_LENGTH)), $options: 'i' };
+  }
+
+  const from = parseDay(dateFrom);
+  const to   = parseDay(dateTo);
+  if (from || to) {
+    query.date = {};
+    if (from) query.date.$gte = from;
+    if (to)   query.date.$lte = to;
+  }
+
+  if (free === 'true' || free === true) {
+    query.price = 0;
+  } else {
+    const min = parseNumber(minPrice);
+    const max = parseNumber(maxPrice);
+    if (min !== null || max !== null) {
+      query.price = {};
+      if (min !== null) query.price.$gte = min;
+      if (max !== null) query.price.$lte = max;
+    }
+  }
+
+  return query;
+};
+
+module.exports = {
+  escapeRegex,
+  buildSearchQuery,
+};
@@ -0,0 +1,275 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const { ConflictError, badRequest } = require('./errors');
+const { planTicketTypes } = require('./tickets');
+const { planSchedule } = require('./recurrence');
+
+// ── Atomic seat inventory ─────────────────────────────────────
+// All seat changes go through these helpers so the check and the
+// decrement happen in ONE findOneAndUpdate. Reading availableSeats,
+// comparing in JS and saving afterwards lets concurrent requests
+// both pass the check and oversell the event.
+//
+// `tickets` is the per-tier breakdown of a booking
+// ([{ ticketType, quantity }]) for events that sell ticket types;
+// leave it empty for plain single-price events. `occurrence` is the
+// session id for recurring events — its own counter moves together
+// with the event-wide one.
+
+// Take `count` seats (and the tier quantities) from an event.
+// Resolves to the updated event, or null when the event does not
+// exist or any tier / session / the event as a whole has too few
+// seats left.
+const reserveSeats = async (eventId, count, { tickets = [], occurrence = null, session } = {}) => {
+  const filter = { _id: eventId, availableSeats: { $gte: count } };
+  const update = { $inc: { availableSeats: -count } };
+  const arrayFilters = [];
+
+  if (occurrence) {
+    const occurrenceId = new mongoose.Types.ObjectId(occurrence);
+    filter.occurrences = { $elemMatch: { _id: occurrenceId, availableSeats: { $gte: count } } };
+    update.$inc['occurrences.$[occ].availableSeats'] = -count;
+    arrayFilters.push({ 'occ._id': occurrenceId });
+  }
+
+  if (tickets.length > 0) {
+    filter.ticketTypes = {
+      $all: tickets.map((t) => ({
+        $elemMatch: { _id: t.ticketType, remaining: { $gte: t.quantity } },
+      })),
+    };
+    tickets.forEach((t, i) => {
+      update.$inc[`ticketTypes.$[t${i}].remaining`] = -t.quantity;
+      arrayFilters.push({ [`t${i}._id`]: t.ticketType });
+    });
+  }
+
+  return Event.findOneAndUpdate(filter, update, {
+    new: true,
+    session,
+    ...(arrayFilters.length > 0 && { arrayFilters }),
+  });
+};
+
+// Give `count` seats (and the tier quantities) back to an event.
+// Never pushes a counter above its capacity, so a duplicated release
+// cannot inflate inventory.
+const releaseSeats = async (eventId, count, { tickets = [], occurrence = null, session } = {}) => {
+  const $set = {
+    availableSeats: {
+      $min: ['$totalSeats', { $add: ['$availableSeats', count] }],
+    },
+  };
+
+  if (occurrence) {
+    const occurrenceId = new mongoose.Types.ObjectId(occurrence);
+    $set.occurrences = {
+      $map: {
+        input: '$occurrences',
+        as: 'occ',
+        in: {
+          $cond: [
+            { $eq: ['$$occ._id', occurrenceId] },
+            {
+              $mergeObjects: [
+                '$$occ',
+                { availableSeats: { $min: ['$$occ.totalSeats', { $add: ['$$occ.availableSeats', count] }] } },
+              ],
+            },
+            '$$occ',
+          ],
+        },
+      },
+    };
+  }
+
+  if (tickets.length > 0) {
+    $set.ticketTypes = {
+      $map: {
+        input: '$ticketTypes',
+        as: 'tier',
+        in: {
+          $switch: {
+            branches: tickets.map((t) => ({
+              case: { $eq: ['$$tier._id', new mongoose.Types.ObjectId(t.ticketType)] },
+              then: {
+                $mergeObjects: [
+                  '$$tier',
+                  {
+                    remaining: {
+                      $min: ['$$tier.capacity', { $add: ['$$tier.remaining', t.quantity] }],
+                    },
+                  },
+                ],
+              },
+            })),
+            default: '$$tier',
+          },
+        },
+      },
+    };
+  }
+
+  return Event.findOneAndUpdate({ _id: eventId }, [{ $set }], { new: true, session });
+};
+
+// ── Capacity changes ──────────────────────────────────────────
+// Organizer edits change capacity in one conditional update too. Sold
+// counts are read inside the update, so a booking that lands between
+// the organizer's read and this write is kept; the filter re-checks
+// that nothing shrinks below what it has sold by then.
+
+const inventoryChanged = () => new ConflictError(
+  'Tickets were sold while the event was being edited — reload it and try again',
+  'INVENTORY_CHANGED'
+);
+
+// Element of `array` (a '$field' path) with this _id, as an expression
+const elementById = (array, id) => ({
+  $arrayElemAt: [{ $filter: { input: array, cond: { $eq: ['$$this._id', id] } } }, 0],
+});
+
+const soldExpr = (array, id, capacity, remaining) => ({
+  $let: {
+    vars: { item: elementById(array, id) },
+    in: { $subtract: [`$$item.${capacity}`, `$$item.${remaining}`] },
+  },
+});
+
+// Change the total of a single-price event. Resolves to the updated
+// event.
+const resizeSeats = async (event, totalSeats) => {
+  const delta = totalSeats - event.totalSeats;
+  if (delta === 0) return event;
+
+  const sold = event.totalSeats - event.availableSeats;
+  if (totalSeats < sold) throw badRequest(`This event already sold ${sold} seats — totalSeats can't be lower`);
+
+  const updated = await Event.findOneAndUpdate(
+    {
+      _id: event._id,
+      'ticketTypes.0': { $exists: false },
+      'occurrences.0': { $exists: false },
+      ...(delta < 0 && { availableSeats: { $gte: -delta } }),
+    },
+    { $inc: { totalSeats: delta, availableSeats: delta } },
+    { new: true }
+  );
+  if (!updated) throw inventoryChanged();
+  return updated;
+};
+
+// Replace the tiers of a saved event (see planTicketTypes). Each kept
+// tier's `remaining` is its new capacity minus what it has sold at
+// the moment of the write. Resolves to the updated event.
+const resizeTicketTypes = async (event, tiers) => {
+  const { tiers: next, removed } = planTicketTypes(event, tiers);
+  const sold = (id) => soldExpr('$ticketTypes', id, 'capacity', 'remaining');
+
+  const checks = [
+    // Nobody else added or removed a tier since the read
+    { $setEquals: [{ $ifNull: ['$ticketTypes._id', []] }, event.ticketTypes.map((t) => t._id)] },
+    ...next.filter((t) => t._id).map((t) => ({ $lte: [sold(t._id), t.fields.capacity] })),
+    ...removed.map((t) => ({ $eq: [sold(t._id), 0] })),
+  ];
+  if (event.ticketTypes.length === 0 && next.length > 0) {
+    checks.push({ $eq: ['$totalSeats', '$availableSeats'] });
+  }
+
+  // $literal keeps organizer text such as "$VIP" from being read as
+  // a field path
+  const ticketTypes = next.map(({ _id, fields }) => (_id
+    ? {
+      $mergeObjects: [
+        elementById('$ticketTypes', _id),
+        { $literal: fields },
+        { remaining: { $subtract: [fields.capacity, sold(_id)] } },
+      ],
+    }
+    : { $literal: { _id: new mongoose.Types.ObjectId(), ...fields, remaining: fields.capacity } }));
+
+  const pipeline = [{ $set: { ticketTypes } }];
+  if (next.length > 0) {
+    pipeline.push({
+      $set: {
+        price: { $min: '$ticketTypes.price' },
+        totalSeats: { $sum: '$ticketTypes.capacity' },
+        availableSeats: { $sum: '$ticketTypes.remaining' },
+      },
+    });
+  }
+
+  const updated = await Event.findOneAndUpdate(
+    { _id: event._id, 'occurrences.0': { $exists: false }, $expr: { $and: checks } },
+    pipeline,
+    { new: true }
+  );
+  if (!updated) throw inventoryChanged();
+  return updated;
+};
+
+// Replace the sessions of a saved event (see planSchedule) and derive
+// its date/time and seat totals. Each kept session's availableSeats is
+// its new capacity minus what it has sold at the moment of the write.
+// Resolves to the updated event.
+const resizeOccurrences = async (event, schedule) => {
+  const { occurrences: next, removed } = planSchedule(event, schedule);
+  const sold = (id) => soldExpr('$occurrences', id, 'totalSeats', 'availableSeats');
+
+  const checks = [
+    // Nobody else added or removed a session since the read
+    { $setEquals: [{ $ifNull: ['$occurrences._id', []] }, event.occurrences.map((o) => o._id)] },
+    ...next.filter((o) => o._id).map((o) => ({ $lte: [sold(o._id), o.fields.totalSeats] })),
+    ...removed.map((o) => ({ $eq: [sold(o._id), 0] })),
+  ];
+  // Only an event without bookings can become a series
+  if (event.occurrences.length === 0) checks.push({ $eq: ['$totalSeats', '$availableSeats'] });
+
+  const occurrences = next.map(({ _id, fields }) => (_id
+    ? {
+      $mergeObjects: [
+        elementById('$occurrences', _id),
+        { $literal: fields },
+        { availableSeats: { $subtract: [fields.totalSeats, sold(_id)] } },
+      ],
+    }
+    : { $literal: { _id: new mongoose.Types.ObjectId(), ...fields, availableSeats: fields.totalSeats } }));
+
+  const updated = await Event.findOneAndUpdate(
+    { _id: event._id, 'ticketTypes.0': { $exists: false }, $expr: { $and: checks } },
+    [
+      {
+        $set: {
+          recurrence: { $literal: schedule.recurrence },
+          occurrences,
+          date: { $literal: next[0].fields.date },
+          time: { $literal: next[0].fields.time },
+        },
+      },
+      {
+        $set: {
+          totalSeats: { $sum: '$occurrences.totalSeats' },
+          availableSeats: { $sum: '$occurrences.availableSeats' },
+        },
+      },
+    ],
+    { new: true }
+  );
+  if (!updated) throw inventoryChanged();
+  return updated;
+};
+
+// Seat options for releasing (or re-reserving) what a booking holds
+const bookingSeats = (booking) => ({
+  tickets: booking.tickets || [],
+  occurrence: booking.occurrence || null,
+});
+
+module.exports = {
+  bookingSeats,
+  reserveSeats,
+  releaseSeats,
+  resizeSeats,
+  resizeTicketTypes,
+  resizeOccurrences,
+};
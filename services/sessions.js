@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { httpError } = require('./errors');
+
+// ── Sessions & tokens ─────────────────────────────────────────
+// Login creates a Session and hands out a short-lived JWT access token
+// (`{ id, role, sid }`) plus an opaque refresh token
+// "<sessionId>.<secret>". POST /api/auth/refresh swaps a refresh token
+// for a new pair; the old one stops working. Revoking the session
+// (logout, logout-all, password reset) kills its access tokens too,
+// since authMiddleware checks the session on every request.
+
+const accessTokenTtl = () => process.env.ACCESS_TOKEN_EXPIRE || '15m';
+const refreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + refreshTokenDays() * 24 * 60 * 60 * 1000);
+
+const clientInfo = (req) => ({
+  userAgent: String(req.headers['user-agent'] || '').slice(0, 300),
+  ip: req.ip || '',
+});
+
+const signAccessToken = (user, session) =>
+  jwt.sign(
+    { id: user._id.toString(), role: user.role, sid: session._id.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: accessTokenTtl() }
+  );
+
+// `role` is echoed so clients pick up role changes on refresh
+const tokensFor = (user, session, secret) => ({
+  role: user.role,
+  token: signAccessToken(user, session),
+  refreshToken: `${session._id}.${secret}`,
+  refreshTokenExpiresAt: session.expiresAt,
+});
+
+// New session for a user who just proved who they are
+const createSession = async (user, req) => {
+  const secret = crypto.randomBytes(48).toString('base64url');
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    expiresAt: refreshExpiry(),
+    ...clientInfo(req),
+  });
+  return tokensFor(user, session, secret);
+};
+
+const revokeSession = (sessionId, reason = 'logout') =>
+  Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+// Revoke every live session of a user, optionally keeping one
+const revokeAllSessions = async (userId, { reason = 'logout_all', except = null } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount;
+};
+
+// Rotate a refresh token. Replaying the token that was just rotated
+// out means it leaked, so the session is revoked for everyone.
+const refreshSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  const invalid = () => httpError(401, 'Invalid or expired refresh token');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) throw invalid();
+
+  const session = await Session.findById(sessionId)
+    .select('+tokenHash +previousTokenHash')
+    .populate('user', 'role isActive');
+  if (!session || !session.isActive || !session.user) throw invalid();
+
+  const presented = hashToken(secret);
+  if (presented === session.previousTokenHash) {
+    await revokeSession(session._id, 'refresh_token_reuse');
+    console.warn(`⚠️  Refresh token reuse on session ${session._id} — revoked`);
+    throw invalid();
+  }
+  if (!session.user.isActive) throw httpError(403, 'Account is deactivated');
+
+  // Compare-and-swap on the current hash so two concurrent refreshes
+  // with the same token can't both win
+  const nextSecret = crypto.randomBytes(48).toString('base64url');
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presented, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hashToken(nextSecret),
+        previousTokenHash: presented,
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry(),
+        ...clientInfo(req),
+      },
+    },
+    { new: true }
+  );
+  if (!rotated) throw invalid();
+
+  return tokensFor(session.user, rotated, nextSecret);
+};
+
+module.exports = {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+// ── Signed ticket passes ──────────────────────────────────────
+// The QR on a ticket encodes "EVF1.<data>.<signature>" where data is
+// the base64url JSON { b: bookingId, e: eventId, s: seats } and the
+// signature is an HMAC over it with TICKET_SECRET. Door staff can
+// trust the ids without the app being able to forge them.
+
+const PREFIX = 'EVF1';
+
+const secret = () => process.env.TICKET_SECRET || process.env.JWT_SECRET;
+
+const signature = (data) => crypto.createHmac('sha256', secret()).update(`${PREFIX}.${data}`).digest('base64url');
+
+const createPass = (booking) => {
+  const eventId = booking.event._id || booking.event;
+  const data = Buffer.from(
+    JSON.stringify({ b: booking._id.toString(), e: eventId.toString(), s: booking.numberOfSeats })
+  ).toString('base64url');
+  return `${PREFIX}.${data}.${signature(data)}`;
+};
+
+// Returns { bookingId, eventId, seats } or null if the pass is
+// malformed or was not signed by us.
+const verifyPass = (pass) => {
+  const [prefix, data, sig] = String(pass || '').trim().split('.');
+  if (prefix !== PREFIX || !data || !sig) return null;
+
+  const expected = signature(data);
+  if (sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) {
+    return null;
+  }
+
+  try {
+    const { b, e, s } = JSON.parse(Buffer.from(data, 'base64url').toString());
+    return { bookingId: b, eventId: e, seats: s };
+  } catch (error) {
+    return null;
+  }
+};
+
+const toDataUrl = (pass) => QRCode.toDataURL(pass, { errorCorrectionLevel: 'M', margin: 2, width: 320 });
+
+const toPng = (pass) => QRCode.toBuffer(pass, { errorCorrectionLevel: 'M', margin: 2, width: 320 });
+
+module.exports = {
+  createPass,
+  verifyPass,
+  toDataUrl,
+  toPng,
+};
@@ -0,0 +1,177 @@
+// ── Ticket tiers ──────────────────────────────────────────────
+// Parsing of organizer tier input and pricing of booking orders.
+// Errors carry an HTTP `status` so routes can pass them straight
+// back to the client.
+
+const { badRequest } = require('./errors');
+
+// Multipart forms (event create/update with an image) send arrays
+// as JSON strings, JSON bodies send real arrays.
+const parseList = (raw, field) => {
+  let list = raw;
+  if (typeof raw === 'string') {
+    try {
+      list = JSON.parse(raw);
+    } catch (e) {
+      throw badRequest(`${field} must be valid JSON`);
+    }
+  }
+  if (!Array.isArray(list)) throw badRequest(`${field} must be an array`);
+  return list;
+};
+
+const parseDate = (value, label) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw badRequest(`${label} is not a valid date`);
+  return date;
+};
+
+// Validate the `ticketTypes` field of an event create/update body.
+// Returns null when the field was not sent at all.
+const parseTicketTypes = (raw) => {
+  if (raw === undefined || raw === null || raw === '') return null;
+
+  const names = new Set();
+  return parseList(raw, 'ticketTypes').map((input, i) => {
+    const label = `Ticket type #${i + 1}`;
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    const price = Number(input.price);
+    const capacity = parseInt(input.capacity);
+    const maxPerOrder = input.maxPerOrder ? parseInt(input.maxPerOrder) : null;
+    const salesStart = parseDate(input.salesStart, `${label} salesStart`);
+    const salesEnd = parseDate(input.salesEnd, `${label} salesEnd`);
+
+    if (!name) throw badRequest(`${label}: name is required`);
+    if (names.has(name.toLowerCase())) throw badRequest(`Duplicate ticket type "${name}"`);
+    if (!Number.isFinite(price) || price < 0) throw badRequest(`${label}: price must be 0 or more`);
+    if (!capacity || capacity < 1) throw badRequest(`${label}: capacity must be at least 1`);
+    if (maxPerOrder !== null && !(maxPerOrder >= 1)) throw badRequest(`${label}: maxPerOrder must be at least 1`);
+    if (salesStart && salesEnd && salesStart > salesEnd) throw badRequest(`${label}: salesStart must be before salesEnd`);
+
+    names.add(name.toLowerCase());
+    return {
+      _id: input._id || input.id,
+      name,
+      description: input.description || '',
+      price,
+      capacity,
+      salesStart,
+      salesEnd,
+      maxPerOrder,
+    };
+  });
+};
+
+// Check new tiers against an event's current ones: existing tiers are
+// matched by _id, a tier can't shrink below the tickets it has sold
+// and can't be removed once it has sales. Resolves to the new tiers
+// as { _id (null for a new tier), fields, sold } and the tiers being
+// removed.
+const planTicketTypes = (event, tiers) => {
+  if (tiers.length > 0 && event.occurrences && event.occurrences.length > 0) {
+    throw badRequest('Ticket types are not supported on recurring events');
+  }
+
+  const hadTiers = event.ticketTypes && event.ticketTypes.length > 0;
+  if (!hadTiers && tiers.length > 0 && event.totalSeats > event.availableSeats) {
+    throw badRequest('Ticket types can only be added before any seats have been booked');
+  }
+
+  const current = new Map((event.ticketTypes || []).map((t) => [t._id.toString(), t]));
+
+  const next = tiers.map((tier) => {
+    const existing = tier._id && current.get(tier._id.toString());
+    if (tier._id && !existing) throw badRequest(`Unknown ticket type ${tier._id}`);
+
+    const sold = existing ? existing.capacity - existing.remaining : 0;
+    if (tier.capacity < sold) {
+      throw badRequest(`"${tier.name}" already sold ${sold} tickets — capacity can't be lower`);
+    }
+    const { _id, ...fields } = tier;
+    if (!existing) return { _id: null, fields, sold };
+
+    current.delete(_id.toString());
+    return { _id: existing._id, fields, sold };
+  });
+
+  const removed = [...current.values()];
+  for (const tier of removed) {
+    if (tier.capacity - tier.remaining > 0) {
+      throw badRequest(`"${tier.name}" has sold tickets and can't be removed`);
+    }
+  }
+
+  return { tiers: next, removed };
+};
+
+// Set the tiers of a new event and derive its price/totalSeats/
+// availableSeats. Saved events change tiers through
+// resizeTicketTypes() in services/seats.js, which never rewrites
+// `remaining` from a stale read.
+const applyTicketTypes = (event, tiers) => {
+  const next = planTicketTypes(event, tiers).tiers
+    .map(({ _id, fields, sold }) => ({ ...fields, ...(_id && { _id }), remaining: fields.capacity - sold }));
+
+  event.ticketTypes = next;
+  if (next.length > 0) {
+    event.price = Math.min(...next.map((t) => t.price));
+    event.totalSeats = next.reduce((sum, t) => sum + t.capacity, 0);
+    event.availableSeats = next.reduce((sum, t) => sum + t.remaining, 0);
+  }
+  return event;
+};
+
+// Turn a booking request into seats, price and tier breakdown.
+// Tiered events take `tickets: [{ ticketTypeId, quantity }]`,
+// single-price events keep taking `numberOfSeats`.
+const buildOrder = (event, body) => {
+  if (!event.ticketTypes || event.ticketTypes.length === 0) {
+    const numberOfSeats = parseInt(body.numberOfSeats);
+    if (!numberOfSeats || numberOfSeats < 1) {
+      throw badRequest('Event ID and number of seats are required');
+    }
+    return { numberOfSeats, totalPrice: event.price * numberOfSeats, tickets: [] };
+  }
+
+  if (!body.tickets) throw badRequest('Select at least one ticket type');
+
+  // Merge repeated tiers so per-order limits can't be side-stepped
+  const quantities = new Map();
+  for (const item of parseList(body.tickets, 'tickets')) {
+    const id = String(item.ticketTypeId || item.ticketType || '');
+    const quantity = parseInt(item.quantity);
+    if (!id || !quantity || quantity < 1) {
+      throw badRequest('Each ticket needs a ticketTypeId and a quantity of at least 1');
+    }
+    quantities.set(id, (quantities.get(id) || 0) + quantity);
+  }
+  if (quantities.size === 0) throw badRequest('Select at least one ticket type');
+
+  const now = new Date();
+  const tickets = [];
+  for (const [id, quantity] of quantities) {
+    const tier = event.ticketTypes.find((t) => t._id.toString() === id);
+    if (!tier) throw badRequest(`Unknown ticket type ${id}`);
+    if (tier.salesStart && now < tier.salesStart) throw badRequest(`"${tier.name}" is not on sale yet`);
+    if (tier.salesEnd && now > tier.salesEnd) throw badRequest(`"${tier.name}" is no longer on sale`);
+    if (tier.maxPerOrder && quantity > tier.maxPerOrder) {
+      throw badRequest(`"${tier.name}" is limited to ${tier.maxPerOrder} per order`);
+    }
+    tickets.push({ ticketType: tier._id, name: tier.name, quantity, unitPrice: tier.price });
+  }
+
+  return {
+    numberOfSeats: tickets.reduce((sum, t) => sum + t.quantity, 0),
+    totalPrice: tickets.reduce((sum, t) => sum + t.quantity * t.unitPrice, 0),
+    tickets,
+  };
+};
+
+module.exports = {
+  parseList,
+  parseTicketTypes,
+  planTicketTypes,
+  applyTicketTypes,
+  buildOrder,
+};
@@ -0,0 +1,57 @@
+const User = require('../models/User');
+const { issueToken, consumeToken, recentIssues } = require('./authTokens');
+const { sendMail, appUrl, escapeHtml } = require('./mail');
+const { httpError } = require('./errors');
+
+// ── Email verification ────────────────────────────────────────
+// Registration mails a link with a single-use token; following it (or
+// POSTing the token) sets user.isVerified. Resends are limited per
+// account: one per RESEND_COOLDOWN_SECONDS and at most
+// RESEND_MAX_PER_HOUR an hour.
+
+const PURPOSE = 'email_verification';
+const RESEND_COOLDOWN_SECONDS = 60;
+const RESEND_MAX_PER_HOUR = 5;
+
+const tokenMinutes = () => parseInt(process.env.EMAIL_VERIFICATION_MINUTES) || 24 * 60;
+
+const isVerificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+const sendVerificationEmail = async (user, { enforceLimit = false } = {}) => {
+  if (enforceLimit) {
+    const { count, lastSentAt } = await recentIssues(user._id, PURPOSE, 60);
+    const wait = lastSentAt
+      ? Math.ceil((lastSentAt.getTime() + RESEND_COOLDOWN_SECONDS * 1000 - Date.now()) / 1000)
+      : 0;
+    if (wait > 0) throw httpError(429, `Please wait ${wait}s before requesting another email`);
+    if (count >= RESEND_MAX_PER_HOUR) throw httpError(429, 'Too many verification emails — try again later');
+  }
+
+  const token = await issueToken(user._id, PURPOSE, tokenMinutes());
+  const link = `${appUrl()}/api/auth/verify-email?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Event Finder email',
+    text: `Hi ${user.name},\n\nConfirm your email address by opening this link:\n${link}\n\n` +
+      `The link expires in ${Math.round(tokenMinutes() / 60)} hours. If you didn't sign up, ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Confirm your email address:</p>` +
+      `<p><a href="${link}">Verify email</a></p>` +
+      `<p>The link expires in ${Math.round(tokenMinutes() / 60)} hours. If you didn't sign up, ignore this email.</p>`,
+  });
+};
+
+const verifyEmail = async (token) => {
+  const userId = await consumeToken(token, PURPOSE);
+  if (!userId) throw httpError(400, 'Verification link is invalid or has expired');
+
+  const user = await User.findByIdAndUpdate(userId, { isVerified: true }, { new: true });
+  if (!user) throw httpError(400, 'Verification link is invalid or has expired');
+  return user;
+};
+
+module.exports = {
+  isVerificationRequired,
+  sendVerificationEmail,
+  verifyEmail,
+};
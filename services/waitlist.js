@@ -0,0 +1,172 @@
+const Booking = require('../models/Booking');
+const Event = require('../models/Event');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const User = require('../models/User');
+const { reserveSeats, releaseSeats } = require('./seats');
+const { notify } = require('./notifications');
+const { sendMail, escapeHtml } = require('./mail');
+const { formatEventTime } = require('./eventTime');
+
+// ── Waitlist ──────────────────────────────────────────────────
+// Sold-out events keep a first-come queue. Whenever seats are freed
+// the head of the queue is offered them as a `pending` booking that
+// expires after WAITLIST_OFFER_MINUTES; the user is notified and
+// emailed, and unclaimed offers are released by services/holds.js and
+// roll on to the next person.
+
+const offerMinutes = () => parseInt(process.env.WAITLIST_OFFER_MINUTES) || 30;
+
+// 1-based place in line, or null once the entry left the queue
+const getPosition = async (entry) => {
+  if (entry.status !== 'waiting') return null;
+  const ahead = await WaitlistEntry.countDocuments({
+    event: entry.event,
+    occurrence: entry.occurrence,
+    ticketType: entry.ticketType,
+    status: 'waiting',
+    createdAt: { $lt: entry.createdAt },
+  });
+  return ahead + 1;
+};
+
+// Price, tiers and session of what an entry is waiting for, or null
+// when the tier / session it wanted no longer exists
+const orderFor = (event, entry) => {
+  let occurrence = null;
+  if (entry.occurrence) {
+    occurrence = event.occurrences.find((o) => o._id.equals(entry.occurrence));
+    if (!occurrence) return null;
+  }
+
+  const session = occurrence
+    ? { occurrence: occurrence._id, occurrenceDate: occurrence.date, occurrenceTime: occurrence.time }
+    : {};
+
+  if (!entry.ticketType) {
+    return { ...session, totalPrice: event.price * entry.numberOfSeats, tickets: [] };
+  }
+  const tier = event.ticketTypes.find((t) => t._id.equals(entry.ticketType));
+  if (!tier) return null;
+  return {
+    ...session,
+    totalPrice: tier.price * entry.numberOfSeats,
+    tickets: [{ ticketType: tier._id, name: tier.name, quantity: entry.numberOfSeats, unitPrice: tier.price }],
+  };
+};
+
+// Tell the user seats are held for them and until when. Delivery
+// problems are logged — the offer stands either way.
+const sendOffer = async (entry, booking, event) => {
+  const user = await User.findById(entry.user).select('name email isActive');
+  if (!user || !user.isActive) return;
+
+  const seats = `${booking.numberOfSeats} seat${booking.numberOfSeats === 1 ? '' : 's'}`;
+  const until = formatEventTime(booking.expiresAt, event.timezone);
+
+  await notify(user._id, {
+    type: 'waitlist_offer',
+    title: `Seats are free for "${event.title}"`,
+    body: `${seats} are held for you until ${until}. Claim them in the app before then.`,
+    data: {
+      eventId: event._id.toString(),
+      bookingId: booking._id.toString(),
+      waitlistEntryId: entry._id.toString(),
+      expiresAt: booking.expiresAt.toISOString(),
+    },
+  });
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: `Seats are free for ${event.title}`,
+      text: `Hi ${user.name},\n\nYou were on the waitlist for "${event.title}" and ${seats} just opened up.\n` +
+        `They are held for you until ${until} — claim them in the app before then, or they go to the next person.`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+        `<p>You were on the waitlist for <strong>${escapeHtml(event.title)}</strong> and ${seats} just opened up.</p>` +
+        `<p>They are held for you until ${escapeHtml(until)} — claim them in the app before then, or they go to the next person.</p>`,
+    });
+  } catch (error) {
+    console.error('Waitlist offer email error:', error.message);
+  }
+};
+
+// Offer freed seats to the queue, oldest entry first. Nobody is
+// skipped by a later entry for the same session and tier.
+// Returns the pending bookings that were created.
+const promoteWaitlist = async (eventId) => {
+  const offers = [];
+
+  const event = await Event.findById(eventId);
+  const entries = await WaitlistEntry.find({ event: eventId, status: 'waiting' })
+    .sort({ createdAt: 1 })
+    .limit(200);
+
+  // Each session/tier is its own line: once its head doesn't fit,
+  // later entries for it wait too, but other lines keep moving
+  const blocked = new Set();
+
+  for (const entry of entries) {
+    const line = `${entry.occurrence}|${entry.ticketType}`;
+    if (blocked.has(line)) continue;
+
+    const order = event && event.status !== 'cancelled' && orderFor(event, entry);
+    if (!order) {
+      // Event or tier is gone (or cancelled) — nothing to offer this entry
+      await WaitlistEntry.updateOne({ _id: entry._id, status: 'waiting' }, { status: 'expired' });
+      continue;
+    }
+
+    const seats = { tickets: order.tickets, occurrence: order.occurrence };
+    const reserved = await reserveSeats(eventId, entry.numberOfSeats, seats);
+    if (!reserved) {
+      blocked.add(line);
+      continue;
+    }
+
+    const booking = new Booking({
+      user: entry.user,
+      event: eventId,
+      occurrence: order.occurrence,
+      occurrenceDate: order.occurrenceDate,
+      occurrenceTime: order.occurrenceTime,
+      numberOfSeats: entry.numberOfSeats,
+      totalPrice: order.totalPrice,
+      tickets: order.tickets,
+      status: 'pending',
+      expiresAt: new Date(Date.now() + offerMinutes() * 60 * 1000),
+      paymentStatus: order.totalPrice > 0 ? 'requires_payment' : 'not_required',
+      waitlistEntry: entry._id,
+    });
+
+    try {
+      await booking.save();
+    } catch (error) {
+      await releaseSeats(eventId, entry.numberOfSeats, seats);
+      throw error;
+    }
+
+    // The user may have left the queue while we were reserving
+    const offered = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      { status: 'offered', booking: booking._id, offeredAt: new Date() },
+      { new: true }
+    );
+    if (!offered) {
+      await Booking.updateOne({ _id: booking._id }, { status: 'cancelled', expiresAt: null });
+      await releaseSeats(eventId, entry.numberOfSeats, seats);
+      continue;
+    }
+
+    await Event.updateOne({ _id: eventId }, { $push: { bookings: booking._id } });
+    console.log(`🎟️  Waitlist: offered ${entry.numberOfSeats} seat(s) for event ${eventId} to user ${entry.user}`);
+    await sendOffer(entry, booking, event);
+    offers.push(booking);
+  }
+
+  return offers;
+};
+
+module.exports = {
+  getPosition,
+  promoteWaitlist,
+};
@@ -0,0 +1,64 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, request, createUser } = require('./helpers');
+const AuthToken = require('../models/AuthToken');
+const Job = require('../models/Job');
+const { registerTransport } = require('../services/mail');
+const { runDueJobs } = require('../services/scheduler');
+
+// Passwords are compared exactly as they were set, and forgot-password
+// must answer the same for known and unknown emails.
+
+before(start);
+after(stop);
+
+test('forgot-password looks the same for known and unknown emails when mail fails', async () => {
+  const { user } = await createUser();
+  registerTransport({ name: 'broken', send: async () => { throw new Error('SMTP down'); } });
+  process.env.MAIL_TRANSPORT = 'broken';
+
+  try {
+    const known = await request('POST', '/api/auth/forgot-password', { body: { email: user.email } });
+    const unknown = await request('POST', '/api/auth/forgot-password', { body: { email: 'nobody@test.com' } });
+
+    assert.equal(known.status, 200);
+    assert.deepEqual(known.body, unknown.body);
+
+    // Nothing about the account is touched until the job runs
+    assert.equal(await AuthToken.countDocuments({ user: user._id }), 0);
+    assert.equal(await Job.countDocuments({ name: 'password-reset', status: 'pending' }), 2);
+
+    await runDueJobs();
+    assert.equal(await AuthToken.countDocuments({ user: user._id, purpose: 'password_reset' }), 1);
+    assert.equal(await Job.countDocuments({ name: 'password-reset', status: 'done' }), 2);
+  } finally {
+    process.env.MAIL_TRANSPORT = 'file';
+  }
+});
+
+test('a password with surrounding spaces logs in and changes as it was set', async () => {
+  const password = '  spaced secret  ';
+  const registered = await request('POST', '/api/auth/register', {
+    body: { name: 'Spacey', email: 'spacey@test.com', password },
+  });
+  assert.equal(registered.status, 201);
+
+  const trimmed = await request('POST', '/api/auth/login', {
+    body: { email: 'spacey@test.com', password: password.trim() },
+  });
+  assert.equal(trimmed.status, 401);
+
+  const login = await request('POST', '/api/auth/login', { body: { email: 'spacey@test.com', password } });
+  assert.equal(login.status, 200);
+
+  const changed = await request('PUT', '/api/auth/change-password', {
+    token: login.body.data.token,
+    body: { currentPassword: password, newPassword: ' new secret ' },
+  });
+  assert.equal(changed.status, 200);
+
+  const again = await request('POST', '/api/auth/login', {
+    body: { email: 'spacey@test.com', password: ' new secret ' },
+  });
+  assert.equal(again.status, 200);
+});
@@ -0,0 +1,71 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, request, createUser, createEvent } = require('./helpers');
+const Event = require('../models/Event');
+const Booking = require('../models/Booking');
+
+// Seat inventory under concurrency (services/seats.js): parallel
+// bookings for the last seats must never oversell, and a booking
+// cancelled twice must return its seats only once.
+
+let organizer;
+
+before(async () => {
+  await start();
+  ({ user: organizer } = await createUser({ role: 'organizer' }));
+});
+
+after(stop);
+
+const book = (token, body) => request('POST', '/api/bookings', { token, body });
+
+test('parallel bookings never oversell the last seats', async () => {
+  const event = await createEvent(organizer, { totalSeats: 5 });
+  const buyers = await Promise.all(Array.from({ length: 25 }, () => createUser()));
+
+  const results = await Promise.all(buyers.map(({ token }) => book(token, { eventId: event._id, numberOfSeats: 1 })));
+
+  const created = results.filter((r) => r.status === 201);
+  const soldOut = results.filter((r) => r.status === 400 && r.body.code === 'SOLD_OUT');
+  assert.equal(created.length, 5);
+  assert.equal(soldOut.length, 20);
+
+  const after = await Event.findById(event._id);
+  assert.equal(after.availableSeats, 0);
+  assert.equal(await Booking.countDocuments({ event: event._id, status: 'confirmed' }), 5);
+});
+
+test('parallel multi-seat bookings stop before the event runs out', async () => {
+  const event = await createEvent(organizer, { totalSeats: 5 });
+  const buyers = await Promise.all(Array.from({ length: 10 }, () => createUser()));
+
+  const results = await Promise.all(buyers.map(({ token }) => book(token, { eventId: event._id, numberOfSeats: 2 })));
+
+  assert.equal(results.filter((r) => r.status === 201).length, 2);
+  const after = await Event.findById(event._id);
+  assert.equal(after.availableSeats, 1);
+});
+
+test('cancelling the same booking twice returns its seats once', async () => {
+  const event = await createEvent(organizer, { totalSeats: 5 });
+  const { token } = await createUser();
+
+  const booked = await book(token, { eventId: event._id, numberOfSeats: 3 });
+  assert.equal(booked.status, 201);
+  const bookingId = booked.body.data._id;
+
+  const results = await Promise.all([
+    request('PUT', `/api/bookings/${bookingId}/cancel`, { token }),
+    request('PUT', `/api/bookings/${bookingId}/cancel`, { token }),
+  ]);
+
+  assert.deepEqual(results.map((r) => r.status).sort(), [200, 400]);
+  assert.equal(results.find((r) => r.status === 400).body.code, 'ALREADY_CANCELLED');
+
+  const after = await Event.findById(event._id);
+  assert.equal(after.availableSeats, 5);
+
+  const again = await request('PUT', `/api/bookings/${bookingId}/cancel`, { token });
+  assert.equal(again.status, 400);
+  assert.equal((await Event.findById(event._id)).availableSeats, 5);
+});
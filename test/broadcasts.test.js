@@ -0,0 +1,43 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, request, createUser, createEvent } = require('./helpers');
+const Broadcast = require('../models/Broadcast');
+
+// The broadcast cooldown holds even when an organizer's sends race.
+
+let organizer;
+
+before(async () => {
+  await start();
+  organizer = await createUser({ role: 'organizer' });
+});
+
+after(stop);
+
+test('concurrent sends to one event get at most one slot', async () => {
+  const event = await createEvent(organizer.user);
+
+  const results = await Promise.all(Array.from({ length: 5 }, (_, i) => request('POST', '/api/broadcasts', {
+    token: organizer.token,
+    body: { eventId: event._id, title: `Update ${i}`, message: 'Doors open at six' },
+  })));
+
+  const queued = results.filter((r) => r.status === 202);
+  assert.ok(queued.length <= 1);
+  assert.ok(results.every((r) => r.status === 202 || r.body.code === 'BROADCAST_LIMIT'));
+  assert.equal(await Broadcast.countDocuments({ event: event._id }), queued.length);
+});
+
+test('a second send inside the cooldown is refused', async () => {
+  const event = await createEvent(organizer.user);
+  const send = () => request('POST', '/api/broadcasts', {
+    token: organizer.token,
+    body: { eventId: event._id, title: 'Update', message: 'Doors open at six' },
+  });
+
+  assert.equal((await send()).status, 202);
+  const again = await send();
+  assert.equal(again.status, 429);
+  assert.equal(again.body.code, 'BROADCAST_LIMIT');
+  assert.equal(await Broadcast.countDocuments({ event: event._id }), 1);
+});
@@ -0,0 +1,40 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, request, createUser, createEvent } = require('./helpers');
+const { createPass } = require('../services/ticketPass');
+
+// A ticket gets in once; every later scan of the same pass is refused.
+
+let organizer;
+
+before(async () => {
+  await start();
+  organizer = await createUser({ role: 'organizer' });
+});
+
+after(stop);
+
+test('scanning the same pass twice is refused the second time', async () => {
+  const event = await createEvent(organizer.user);
+  const { token } = await createUser();
+  const booked = await request('POST', '/api/bookings', {
+    token,
+    body: { eventId: event._id, numberOfSeats: 2 },
+  });
+  assert.equal(booked.status, 201);
+
+  const payload = createPass({ _id: booked.body.data._id, event: event._id, numberOfSeats: 2 });
+  const scan = () => request('POST', '/api/bookings/check-in', {
+    token: organizer.token,
+    body: { payload, eventId: event._id.toString() },
+  });
+
+  const first = await scan();
+  assert.equal(first.status, 200);
+  assert.equal(first.body.data.numberOfSeats, 2);
+
+  const second = await scan();
+  assert.equal(second.status, 409);
+  assert.equal(second.body.code, 'ALREADY_CHECKED_IN');
+  assert.equal(second.body.data.checkedInAt, first.body.data.checkedInAt);
+});
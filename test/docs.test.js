@@ -0,0 +1,16 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkDocs } = require('../docs/check');
+
+// Every mounted route needs an entry in docs/openapi.js, and the spec
+// must not document routes that are gone.
+
+test('every registered route is in the OpenAPI spec', () => {
+  const { missing } = checkDocs();
+  assert.deepEqual(missing, [], `Add these to ROUTES in docs/openapi.js:\n  ${missing.join('\n  ')}`);
+});
+
+test('the OpenAPI spec only documents registered routes', () => {
+  const { stale } = checkDocs();
+  assert.deepEqual(stale, [], `Remove these from ROUTES in docs/openapi.js:\n  ${stale.join('\n  ')}`);
+});
@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, request, createUser, createEvent } = require('./helpers');
+const Booking = require('../models/Booking');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const fakeProvider = require('../services/payments/fakeProvider');
+const { runDueJobs } = require('../services/scheduler');
+
+// When the organizer cancels an event every attendee gets all their
+// money back, whatever the cancellation policy says, and nobody is
+// left waiting for seats.
+
+let organizer;
+
+before(async () => {
+  await start();
+  organizer = await createUser({ role: 'organizer' });
+});
+
+after(stop);
+
+test('cancelling an event refunds in full and closes the waitlist', async () => {
+  // A policy that would refund nothing to an attendee who cancels
+  const event = await createEvent(organizer.user, {
+    price: 1000,
+    totalSeats: 1,
+    cancellationPolicy: { rules: [{ hoursBefore: 0, refundPercent: 0 }] },
+  });
+
+  const attendee = await createUser();
+  const held = await request('POST', '/api/bookings', {
+    token: attendee.token,
+    body: { eventId: event._id, numberOfSeats: 1, checkout: true },
+  });
+  const bookingId = held.body.data._id;
+  const intent = await request('POST', '/api/payments/intent', { token: attendee.token, body: { bookingId } });
+  const { payload, signature } = fakeProvider.complete(intent.body.data.paymentId);
+  await request('POST', '/api/payments/webhook/fake', { raw: payload, headers: { 'x-fake-signature': signature } });
+  assert.equal((await Booking.findById(bookingId)).status, 'confirmed');
+
+  const waiter = await createUser();
+  const joined = await request('POST', '/api/waitlist', {
+    token: waiter.token,
+    body: { eventId: event._id, numberOfSeats: 1 },
+  });
+  assert.equal(joined.status, 201);
+
+  const cancelled = await request('PUT', `/api/events/${event._id}/cancel`, {
+    token: organizer.token,
+    body: { reason: 'Venue flooded' },
+  });
+  assert.equal(cancelled.status, 200);
+  assert.equal(cancelled.body.meta.bookings, 1);
+
+  await runDueJobs();
+
+  const booking = await Booking.findById(bookingId);
+  assert.equal(booking.status, 'cancelled');
+  assert.equal(booking.refund.percent, 100);
+  assert.equal(booking.refund.amount, 1000);
+  assert.equal((await WaitlistEntry.findById(joined.body.data._id)).status, 'expired');
+});
@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { calendarDay, combineDateTime, eventEndsAt, parseTiming } = require('../services/eventTime');
+
+// Calendar days are stored as UTC midnight; a date sent as an instant
+// counts as the day it falls on in the event's timezone.
+
+test('plain and UTC-midnight dates keep their day', () => {
+  assert.equal(calendarDay('2026-11-20', 'Asia/Colombo').toISOString(), '2026-11-20T00:00:00.000Z');
+  assert.equal(calendarDay(new Date('2026-11-20T00:00:00Z'), 'America/New_York').toISOString(), '2026-11-20T00:00:00.000Z');
+  assert.equal(calendarDay('not a date', 'UTC'), null);
+});
+
+test('local midnight ahead of UTC stays on its own day', () => {
+  // Colombo midnight is 18:30 the previous day in UTC
+  assert.equal(calendarDay('2026-11-20T00:00:00+05:30', 'Asia/Colombo').toISOString(), '2026-11-20T00:00:00.000Z');
+  assert.equal(
+    combineDateTime(new Date('2026-11-19T18:30:00Z'), '18:00', 'Asia/Colombo').toISOString(),
+    '2026-11-20T12:30:00.000Z'
+  );
+  assert.equal(parseTiming({ date: '2026-11-20T00:00:00+05:30', timezone: 'Asia/Colombo' }).date.toISOString(), '2026-11-20T00:00:00.000Z');
+});
+
+test('local midnight behind UTC stays on its own day', () => {
+  assert.equal(calendarDay('2026-11-20T00:00:00-05:00', 'America/New_York').toISOString(), '2026-11-20T00:00:00.000Z');
+});
+
+test('an event without a usable date has no end', () => {
+  assert.equal(eventEndsAt({ date: null, time: null, durationMinutes: 60 }), null);
+});
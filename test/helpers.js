@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// ── Test harness ──────────────────────────────────────────────
+// Each test file gets its own in-memory MongoDB and an instance of the
+// app on a random port. Limits, mail and push stay local; nothing here
+// talks to the outside world.
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_jwt_secret';
+process.env.RATE_LIMIT_DISABLED = 'true';
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || require('path').join(require('os').tmpdir(), 'event-finder-test-mail');
+process.env.PUSH_TRANSPORT = 'stub';
+process.env.FAKE_PAYMENT_WEBHOOK_SECRET = 'test_webhook_secret';
+
+const app = require('../app');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const { createSession } = require('../services/sessions');
+
+let mongo = null;
+let server = null;
+let baseUrl = null;
+
+const start = async () => {
+  mongo = await MongoMemoryServer.create();
+  await mongoose.connect(mongo.getUri());
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+};
+
+const stop = async () => {
+  if (server) await new Promise((resolve) => server.close(resolve));
+  await mongoose.disconnect();
+  if (mongo) await mongo.stop();
+};
+
+// fetch() against the app; resolves to { status, body }. `raw` sends
+// a string body as is (e.g. a signed webhook payload).
+const request = async (method, path, { token, body, raw, headers = {} } = {}) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers,
+    },
+    body: raw !== undefined ? raw : body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+let users = 0;
+
+// A verified user with a live session; resolves to { user, token }
+const createUser = async (attrs = {}) => {
+  users += 1;
+  const user = await User.create({
+    name: `User ${users}`,
+    email: `user${users}@test.com`,
+    password: 'not-a-real-hash',
+    isVerified: true,
+    ...attrs,
+  });
+  const { token } = await createSession(user, { headers: {}, ip: '127.0.0.1' });
+  return { user, token };
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// An approved single-price event a week from now
+const createEvent = (organizer, attrs = {}) => {
+  const totalSeats = attrs.totalSeats || 10;
+  return Event.create({
+    title: 'Test Event',
+    description: 'For tests',
+    category: 'Music',
+    date: new Date(Date.now() + 7 * DAY_MS).toISOString().slice(0, 10),
+    time: '18:00',
+    timezone: 'UTC',
+    location: 'Colombo',
+    organizer: organizer._id,
+    price: 0,
+    totalSeats,
+    availableSeats: totalSeats,
+    status: 'approved',
+    ...attrs,
+  });
+};
+
+module.exports = {
+  start,
+  stop,
+  request,
+  createUser,
+  createEvent,
+};
@@ -0,0 +1,170 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, request, createUser, createEvent } = require('./helpers');
+const Event = require('../models/Event');
+const { reserveSeats, resizeTicketTypes, resizeOccurrences } = require('../services/seats');
+const { applySchedule } = require('../services/recurrence');
+
+// Organizer edits must never write back inventory they read before a
+// booking landed.
+
+let organizer;
+
+before(async () => {
+  await start();
+  organizer = await createUser({ role: 'organizer' });
+});
+
+after(stop);
+
+const tieredEvent = () => createEvent(organizer.user, {
+  price: 10,
+  totalSeats: 15,
+  ticketTypes: [
+    { name: 'General', price: 10, capacity: 10, remaining: 10 },
+    { name: 'VIP', price: 50, capacity: 5, remaining: 5 },
+  ],
+});
+
+test('a title-only edit leaves tier inventory alone', async () => {
+  const event = await tieredEvent();
+  const [general] = event.ticketTypes;
+  await reserveSeats(event._id, 3, { tickets: [{ ticketType: general._id, quantity: 3 }] });
+
+  const edited = await request('PUT', `/api/events/${event._id}`, {
+    token: organizer.token,
+    body: { title: 'Renamed' },
+  });
+  assert.equal(edited.status, 200);
+
+  const saved = await Event.findById(event._id);
+  assert.equal(saved.title, 'Renamed');
+  assert.equal(saved.ticketTypes[0].remaining, 7);
+  assert.equal(saved.availableSeats, 12);
+});
+
+test('resizing tiers from a stale read keeps bookings made in between', async () => {
+  const event = await tieredEvent();
+  const stale = await Event.findById(event._id);
+  const [general, vip] = stale.ticketTypes;
+
+  // Sold after the organizer's read
+  await reserveSeats(event._id, 4, { tickets: [{ ticketType: general._id, quantity: 4 }] });
+
+  const updated = await resizeTicketTypes(stale, [
+    { _id: general._id, name: 'General', description: '', price: 12, capacity: 20, salesStart: null, salesEnd: null, maxPerOrder: null },
+    { _id: vip._id, name: 'VIP', description: '', price: 50, capacity: 5, salesStart: null, salesEnd: null, maxPerOrder: null },
+    { name: '$Student', description: '', price: 5, capacity: 3, salesStart: null, salesEnd: null, maxPerOrder: null },
+  ]);
+
+  const tiers = Object.fromEntries(updated.ticketTypes.map((t) => [t.name, t]));
+  assert.equal(tiers.General.capacity, 20);
+  assert.equal(tiers.General.remaining, 16);
+  assert.equal(tiers.VIP.remaining, 5);
+  assert.equal(tiers.$Student.remaining, 3);
+  assert.equal(updated.price, 5);
+  assert.equal(updated.totalSeats, 28);
+  assert.equal(updated.availableSeats, 24);
+});
+
+test('a tier can no longer shrink below what was sold during the edit', async () => {
+  const event = await tieredEvent();
+  const stale = await Event.findById(event._id);
+  const [general, vip] = stale.ticketTypes;
+
+  await reserveSeats(event._id, 8, { tickets: [{ ticketType: general._id, quantity: 8 }] });
+
+  await assert.rejects(
+    resizeTicketTypes(stale, [
+      { _id: general._id, name: 'General', description: '', price: 10, capacity: 6, salesStart: null, salesEnd: null, maxPerOrder: null },
+      { _id: vip._id, name: 'VIP', description: '', price: 50, capacity: 5, salesStart: null, salesEnd: null, maxPerOrder: null },
+    ]),
+    { code: 'INVENTORY_CHANGED' }
+  );
+  const saved = await Event.findById(event._id);
+  assert.equal(saved.ticketTypes[0].capacity, 10);
+  assert.equal(saved.ticketTypes[0].remaining, 2);
+});
+
+test('changing totalSeats on a single-price event moves availableSeats with it', async () => {
+  const event = await createEvent(organizer.user, { totalSeats: 10 });
+  await reserveSeats(event._id, 4);
+
+  const edited = await request('PUT', `/api/events/${event._id}`, {
+    token: organizer.token,
+    body: { totalSeats: 12 },
+  });
+  assert.equal(edited.status, 200);
+
+  const saved = await Event.findById(event._id);
+  assert.equal(saved.totalSeats, 12);
+  assert.equal(saved.availableSeats, 8);
+});
+
+const seriesEvent = async () => {
+  const event = await createEvent(organizer.user);
+  const day = (offset) => new Date(Date.UTC(2030, 0, 1 + offset));
+  applySchedule(event, {
+    recurrence: null,
+    occurrences: [0, 1, 2].map((offset) => ({ date: day(offset), time: '18:00', totalSeats: 10 })),
+  });
+  return event.save();
+};
+
+test('a series edit keeps session bookings made in between', async () => {
+  const event = await seriesEvent();
+  const stale = await Event.findById(event._id);
+  const [first, second, third] = stale.occurrences;
+
+  await reserveSeats(event._id, 3, { occurrence: first._id });
+
+  const updated = await resizeOccurrences(stale, {
+    recurrence: null,
+    occurrences: [
+      { _id: first._id, date: first.date, time: '19:00', totalSeats: 12 },
+      { _id: second._id, date: second.date, time: '18:00', totalSeats: 10 },
+      { _id: third._id, date: third.date, time: '18:00', totalSeats: 10 },
+    ],
+  });
+
+  assert.equal(updated.occurrences[0].time, '19:00');
+  assert.equal(updated.occurrences[0].availableSeats, 9);
+  assert.equal(updated.time, '19:00');
+  assert.equal(updated.totalSeats, 32);
+  assert.equal(updated.availableSeats, 29);
+});
+
+test('a title-only edit of a series leaves session inventory alone', async () => {
+  const event = await seriesEvent();
+  await reserveSeats(event._id, 2, { occurrence: event.occurrences[1]._id });
+
+  const edited = await request('PUT', `/api/events/${event._id}`, {
+    token: organizer.token,
+    body: { title: 'Renamed series' },
+  });
+  assert.equal(edited.status, 200);
+
+  const saved = await Event.findById(event._id);
+  assert.equal(saved.occurrences[1].availableSeats, 8);
+  assert.equal(saved.availableSeats, 28);
+});
+
+test('a session booked during the edit can no longer be removed', async () => {
+  const event = await seriesEvent();
+  const stale = await Event.findById(event._id);
+  const [first, second, third] = stale.occurrences;
+
+  await reserveSeats(event._id, 1, { occurrence: third._id });
+
+  await assert.rejects(
+    resizeOccurrences(stale, {
+      recurrence: null,
+      occurrences: [
+        { _id: first._id, date: first.date, time: '18:00', totalSeats: 10 },
+        { _id: second._id, date: second.date, time: '18:00', totalSeats: 10 },
+      ],
+    }),
+    { code: 'INVENTORY_CHANGED' }
+  );
+  assert.equal((await Event.findById(event._id)).occurrences.length, 3);
+});
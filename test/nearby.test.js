@@ -0,0 +1,36 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, request, createUser, createEvent } = require('./helpers');
+const Event = require('../models/Event');
+
+// Nearby search only knows events with real coordinates and lists the
+// closest first.
+
+let organizer;
+
+before(async () => {
+  await start();
+  await Event.init(); // the 2dsphere index $geoNear needs
+  ({ user: organizer } = await createUser({ role: 'organizer' }));
+});
+
+after(stop);
+
+// Colombo Fort, and points roughly 1, 3 and 30 km north of it
+const HERE = { lat: 6.9344, lng: 79.8428 };
+const north = (km) => HERE.lat + km / 111;
+
+test('nearby events come closest first and skip events without coordinates', async () => {
+  await createEvent(organizer, { title: 'Three km', latitude: north(3), longitude: HERE.lng });
+  await createEvent(organizer, { title: 'One km', latitude: north(1), longitude: HERE.lng });
+  await createEvent(organizer, { title: 'Thirty km', latitude: north(30), longitude: HERE.lng });
+  await createEvent(organizer, { title: 'No location', latitude: 0, longitude: 0 });
+
+  const nearby = await request('GET', `/api/events/nearby?lat=${HERE.lat}&lng=${HERE.lng}&radius=10`);
+  assert.equal(nearby.status, 200);
+
+  const titles = nearby.body.data.map((e) => e.title);
+  assert.deepEqual(titles, ['One km', 'Three km']);
+  assert.ok(nearby.body.data[0].distance < nearby.body.data[1].distance);
+  assert.equal(nearby.body.meta.pagination.total, 2);
+});
@@ -0,0 +1,41 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkProviders } = require('../services/payments');
+
+// The server refuses to start while the selected payment provider is
+// missing its settings.
+
+const saved = { ...process.env };
+
+afterEach(() => {
+  for (const key of ['PAYMENT_PROVIDER', 'STRIPE_SECRET_KEY', 'STRIPE_WEBHOOK_SECRET']) {
+    if (saved[key] === undefined) delete process.env[key];
+    else process.env[key] = saved[key];
+  }
+});
+
+test('stripe without its keys stops the boot', () => {
+  process.env.PAYMENT_PROVIDER = 'stripe';
+  delete process.env.STRIPE_SECRET_KEY;
+  process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+
+  assert.throws(checkProviders, /STRIPE_SECRET_KEY must be set/);
+
+  process.env.STRIPE_SECRET_KEY = 'sk_test';
+  delete process.env.STRIPE_WEBHOOK_SECRET;
+  assert.throws(checkProviders, /STRIPE_WEBHOOK_SECRET must be set/);
+});
+
+test('stripe with both keys passes', () => {
+  process.env.PAYMENT_PROVIDER = 'stripe';
+  process.env.STRIPE_SECRET_KEY = 'sk_test';
+  process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+
+  assert.doesNotThrow(checkProviders);
+});
+
+test('an unknown provider stops the boot', () => {
+  process.env.PAYMENT_PROVIDER = 'paypal';
+
+  assert.throws(checkProviders, /"paypal" is not configured/);
+});
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, request, createUser, createEvent } = require('./helpers');
+const Event = require('../models/Event');
+const Booking = require('../models/Booking');
+const fakeProvider = require('../services/payments/fakeProvider');
+
+// Checkout with the fake provider: one open intent per booking, and
+// only that intent's payment can confirm the booking.
+
+let organizer;
+
+before(async () => {
+  await start();
+  ({ user: organizer } = await createUser({ role: 'organizer' }));
+});
+
+after(stop);
+
+const webhook = ({ payload, signature }) =>
+  request('POST', '/api/payments/webhook/fake', { raw: payload, headers: { 'x-fake-signature': signature } });
+
+const sign = (payload) => crypto.createHmac('sha256', process.env.FAKE_PAYMENT_WEBHOOK_SECRET).update(payload).digest('hex');
+
+const hold = async (token, event) => {
+  const booked = await request('POST', '/api/bookings', {
+    token,
+    body: { eventId: event._id, numberOfSeats: 1, checkout: true },
+  });
+  assert.equal(booked.status, 201);
+  return booked.body.data._id;
+};
+
+test('asking for an intent twice returns the same one', async () => {
+  const event = await createEvent(organizer, { price: 1000 });
+  const { token } = await createUser();
+  const bookingId = await hold(token, event);
+
+  const results = await Promise.all([
+    request('POST', '/api/payments/intent', { token, body: { bookingId } }),
+    request('POST', '/api/payments/intent', { token, body: { bookingId } }),
+  ]);
+  const again = await request('POST', '/api/payments/intent', { token, body: { bookingId } });
+
+  const ids = [...results, again].map((r) => r.body.data.paymentId);
+  assert.equal(new Set(ids).size, 1);
+  assert.equal(again.status, 200);
+  assert.equal((await Booking.findById(bookingId)).paymentId, ids[0]);
+});
+
+test('a signed webhook for another payment does not confirm the booking', async () => {
+  const event = await createEvent(organizer, { price: 1000 });
+  const { token } = await createUser();
+  const bookingId = await hold(token, event);
+  const intent = await request('POST', '/api/payments/intent', { token, body: { bookingId } });
+
+  // Another booking's payment, re-addressed to this booking
+  const other = await createUser();
+  const otherBookingId = await hold(other.token, event);
+  const otherIntent = await request('POST', '/api/payments/intent', { token: other.token, body: { bookingId: otherBookingId } });
+  const forged = fakeProvider.complete(otherIntent.body.data.paymentId);
+  const body = JSON.parse(forged.payload);
+  body.id += '_forged';
+  body.data.bookingId = bookingId;
+  const payload = JSON.stringify(body);
+  const ignored = await webhook({ payload, signature: sign(payload) });
+
+  assert.equal(ignored.status, 200);
+  assert.equal(ignored.body.data.outcome, 'payment_mismatch');
+  assert.equal((await Booking.findById(bookingId)).status, 'pending');
+
+  const paid = await webhook(fakeProvider.complete(intent.body.data.paymentId));
+  assert.equal(paid.body.data.outcome, 'confirmed');
+  assert.equal((await Booking.findById(bookingId)).status, 'confirmed');
+});
+
+test('an admin refund above what was paid leaves the booking alone', async () => {
+  const event = await createEvent(organizer, { price: 1000, totalSeats: 5 });
+  const { token } = await createUser();
+  const admin = await createUser({ role: 'admin' });
+  const bookingId = await hold(token, event);
+  const intent = await request('POST', '/api/payments/intent', { token, body: { bookingId } });
+  await webhook(fakeProvider.complete(intent.body.data.paymentId));
+
+  const refused = await request('PUT', `/api/admin/bookings/${bookingId}/refund`, {
+    token: admin.token,
+    body: { amount: 1500, cancel: true },
+  });
+
+  assert.equal(refused.status, 400);
+  assert.equal(refused.body.code, 'REFUND_TOO_LARGE');
+  assert.equal((await Booking.findById(bookingId)).status, 'confirmed');
+  assert.equal((await Event.findById(event._id)).availableSeats, 4);
+});
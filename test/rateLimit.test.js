@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { MemoryStore, loginLockout } = require('../middleware/rateLimit');
+
+// The login lockout only blocks the IP the failures came from, so
+// nobody can lock another user out of their account.
+
+// Run one login through the lockout; `status` is what the route
+// answers when the request gets past it
+const attempt = async (lockout, ip, status) => {
+  const req = { method: 'POST', ip, body: { email: 'victim@test.com' } };
+  const res = new EventEmitter();
+  res.set = () => res;
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+
+  let passed = false;
+  await lockout(req, res, () => { passed = true; });
+  if (passed) res.statusCode = status;
+  res.emit('finish');
+  await new Promise((resolve) => setImmediate(resolve));
+  return { passed, statusCode: res.statusCode, code: res.body?.code };
+};
+
+test('failed logins lock the email only for the IP they came from', async () => {
+  const store = new MemoryStore();
+  const lockout = loginLockout({ freeAttempts: 3, store });
+
+  for (let i = 0; i < 3; i++) await attempt(lockout, '10.0.0.1', 401);
+
+  const attacker = await attempt(lockout, '10.0.0.1', 200);
+  assert.equal(attacker.passed, false);
+  assert.equal(attacker.statusCode, 429);
+  assert.equal(attacker.code, 'ACCOUNT_LOCKED');
+
+  const owner = await attempt(lockout, '10.0.0.2', 200);
+  assert.equal(owner.passed, true);
+  clearInterval(store.timer);
+});
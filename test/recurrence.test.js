@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { expandRecurrence, parseSchedule } = require('../services/recurrence');
+
+// Recurrence rules expand to the sessions they describe — all of
+// them, or the request is rejected.
+
+const start = new Date('2026-01-31T00:00:00Z');
+const days = (dates) => dates.map((d) => d.toISOString().slice(0, 10));
+
+test('monthly rules skip months without the start day', () => {
+  const dates = expandRecurrence({ frequency: 'monthly', interval: 1, until: new Date('2026-06-30T00:00:00Z') }, start);
+  assert.deepEqual(days(dates), ['2026-01-31', '2026-03-31', '2026-05-31']);
+});
+
+test('a rule at the session limit expands in full', () => {
+  assert.equal(expandRecurrence({ frequency: 'daily', interval: 1, count: 366 }, start).length, 366);
+});
+
+test('a count above the session limit is rejected, not truncated', () => {
+  assert.throws(
+    () => expandRecurrence({ frequency: 'daily', interval: 1, count: 400 }, start),
+    { status: 400, code: 'RECURRENCE_TOO_LONG' }
+  );
+});
+
+test('an until date past the session limit is rejected, not truncated', () => {
+  assert.throws(
+    () => parseSchedule(
+      { recurrence: { frequency: 'daily', until: '2028-01-01' } },
+      { date: '2026-01-31', time: '18:00', totalSeats: 10, timezone: 'UTC' }
+    ),
+    { status: 400, code: 'RECURRENCE_TOO_LONG' }
+  );
+});
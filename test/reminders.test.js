@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, request, createUser } = require('./helpers');
+const Job = require('../models/Job');
+const { schedule, cancelJobs } = require('../services/scheduler');
+
+// Reminder jobs exist only while an event is approved, and a reminder
+// that was dropped comes back when the event is approved again.
+
+let organizer;
+let admin;
+
+before(async () => {
+  await start();
+  organizer = await createUser({ role: 'organizer' });
+  admin = await createUser({ role: 'admin' });
+});
+
+after(stop);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const reminderJobs = (eventId) =>
+  Job.find({ name: 'event-reminder', 'data.eventId': eventId.toString() }).sort({ runAt: 1 });
+
+test('reminders are scheduled on approval, not while the event is pending', async () => {
+  const created = await request('POST', '/api/events', {
+    token: organizer.token,
+    body: {
+      title: 'Reminder Test',
+      description: 'For tests',
+      category: 'Music',
+      date: new Date(Date.now() + 7 * DAY_MS).toISOString().slice(0, 10),
+      time: '18:00',
+      timezone: 'UTC',
+      location: 'Colombo',
+      price: 0,
+      totalSeats: 10,
+    },
+  });
+  assert.equal(created.status, 201);
+  const eventId = created.body.data._id;
+  assert.equal((await reminderJobs(eventId)).length, 0);
+
+  const approved = await request('PATCH', `/api/events/${eventId}/approve`, { token: admin.token });
+  assert.equal(approved.status, 200);
+  const jobs = await reminderJobs(eventId);
+  assert.equal(jobs.length, 2);
+  assert.ok(jobs.every((job) => job.status === 'pending'));
+
+  // Editing sends it back for approval — its reminders are dropped...
+  const edited = await request('PUT', `/api/events/${eventId}`, {
+    token: organizer.token,
+    body: { description: 'Updated' },
+  });
+  assert.equal(edited.status, 200);
+  assert.ok((await reminderJobs(eventId)).every((job) => job.status === 'cancelled'));
+
+  // ...and come back once it is approved again
+  await request('PATCH', `/api/events/${eventId}/approve`, { token: admin.token });
+  const rearmed = await reminderJobs(eventId);
+  assert.equal(rearmed.length, 2);
+  assert.ok(rearmed.every((job) => job.status === 'pending' && job.attempts === 0));
+});
+
+test('scheduling a cancelled job again re-arms it', async () => {
+  const key = 'test-job:rearm';
+  const first = await schedule('test-job', new Date(Date.now() + DAY_MS), { n: 1 }, { key });
+  await Job.updateOne({ _id: first._id }, { attempts: 2, lastError: 'boom' });
+  assert.equal(await cancelJobs({ key }), 1);
+
+  const runAt = new Date(Date.now() + 2 * DAY_MS);
+  const again = await schedule('test-job', runAt, { n: 2 }, { key });
+  assert.equal(again._id.toString(), first._id.toString());
+  assert.equal(again.status, 'pending');
+  assert.equal(again.attempts, 0);
+  assert.equal(again.lastError, null);
+  assert.equal(again.finishedAt, null);
+  assert.equal(again.runAt.getTime(), runAt.getTime());
+  assert.deepEqual(again.data, { n: 2 });
+});
+
+test('a job that already ran is not scheduled again', async () => {
+  const key = 'test-job:done';
+  const first = await schedule('test-job', new Date(Date.now() + DAY_MS), {}, { key });
+  await Job.updateOne({ _id: first._id }, { status: 'done', finishedAt: new Date() });
+
+  const again = await schedule('test-job', new Date(Date.now() + 2 * DAY_MS), {}, { key });
+  assert.equal(again.status, 'done');
+});
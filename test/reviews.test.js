@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, request, createUser, createEvent } = require('./helpers');
+const Booking = require('../models/Booking');
+const { applySchedule } = require('../services/recurrence');
+
+// A series booking can be reviewed once its own session has started.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let organizer;
+
+before(async () => {
+  await start();
+  ({ user: organizer } = await createUser({ role: 'organizer' }));
+});
+
+after(stop);
+
+// A series whose first session was yesterday and second is next week
+const seriesEvent = async () => {
+  const event = await createEvent(organizer);
+  const day = (offset) => new Date(new Date(Date.now() + offset * DAY_MS).toISOString().slice(0, 10));
+  applySchedule(event, {
+    recurrence: null,
+    occurrences: [-1, 7].map((offset) => ({ date: day(offset), time: '18:00', totalSeats: 10 })),
+  });
+  return event.save();
+};
+
+const bookSession = (user, event, occurrence) => Booking.create({
+  user: user._id,
+  event: event._id,
+  occurrence: occurrence._id,
+  numberOfSeats: 1,
+  totalPrice: 0,
+  status: 'confirmed',
+});
+
+test('a booking for a session still to come cannot be reviewed yet', async () => {
+  const event = await seriesEvent();
+  const attendee = await createUser();
+  await bookSession(attendee.user, event, event.occurrences[1]);
+
+  const reviewed = await request('POST', '/api/reviews', {
+    token: attendee.token,
+    body: { eventId: event._id, rating: 5 },
+  });
+  assert.equal(reviewed.status, 400);
+  assert.equal(reviewed.body.code, 'EVENT_NOT_STARTED');
+});
+
+test('a booking for a session that has started can be reviewed', async () => {
+  const event = await seriesEvent();
+  const attendee = await createUser();
+  await bookSession(attendee.user, event, event.occurrences[0]);
+
+  const reviewed = await request('POST', '/api/reviews', {
+    token: attendee.token,
+    body: { eventId: event._id, rating: 4 },
+  });
+  assert.equal(reviewed.status, 201);
+});
@@ -0,0 +1,33 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, request, createUser } = require('./helpers');
+const Session = require('../models/Session');
+const { createSession } = require('../services/sessions');
+
+// A refresh token is good for one rotation; replaying an old one means
+// it leaked and ends the whole session.
+
+before(start);
+after(stop);
+
+const refresh = (refreshToken) => request('POST', '/api/auth/refresh', { body: { refreshToken } });
+
+test('replaying a rotated refresh token revokes the session', async () => {
+  const { user } = await createUser();
+  const first = await createSession(user, { headers: {}, ip: '127.0.0.1' });
+
+  const rotated = await refresh(first.refreshToken);
+  assert.equal(rotated.status, 200);
+  const { token, refreshToken } = rotated.body.data;
+  assert.equal((await request('GET', '/api/auth/me', { token })).status, 200);
+
+  const replayed = await refresh(first.refreshToken);
+  assert.equal(replayed.status, 401);
+
+  const session = await Session.findById(refreshToken.split('.')[0]);
+  assert.equal(session.revokedReason, 'refresh_token_reuse');
+
+  // Neither the attacker's nor the owner's newest tokens work any more
+  assert.equal((await refresh(refreshToken)).status, 401);
+  assert.equal((await request('GET', '/api/auth/me', { token })).status, 401);
+});
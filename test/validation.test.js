@@ -0,0 +1,30 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, request } = require('./helpers');
+
+// Invalid input is refused before any handler runs, naming each field
+// that is wrong.
+
+before(start);
+after(stop);
+
+test('invalid fields are answered with 422 and one error per field', async () => {
+  const res = await request('POST', '/api/auth/register', {
+    body: { name: 'Ann', email: 'not-an-email', password: '123' },
+  });
+
+  assert.equal(res.status, 422);
+  assert.equal(res.body.code, 'VALIDATION_FAILED');
+  const fields = Object.fromEntries(res.body.errors.map((e) => [e.field, e]));
+  assert.deepEqual(Object.keys(fields).sort(), ['email', 'password']);
+  assert.equal(fields.email.location, 'body');
+  assert.ok(fields.password.message);
+});
+
+test('a malformed id is answered with 400 INVALID_ID', async () => {
+  const res = await request('GET', '/api/events/not-an-id');
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'INVALID_ID');
+  assert.deepEqual(res.body.errors.map((e) => e.field), ['id']);
+});
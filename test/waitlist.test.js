@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, request, createUser, createEvent } = require('./helpers');
+const Booking = require('../models/Booking');
+const Event = require('../models/Event');
+const Notification = require('../models/Notification');
+const WaitlistEntry = require('../models/WaitlistEntry');
+
+// Freed seats go to the head of the waitlist as an offer the user is
+// told about.
+
+let organizer;
+
+before(async () => {
+  await start();
+  ({ user: organizer } = await createUser({ role: 'organizer' }));
+});
+
+after(stop);
+
+// A sold-out event: `holder` has its only seat, `waiter` is in line
+const soldOut = async () => {
+  const event = await createEvent(organizer, { totalSeats: 1 });
+  const holder = await createUser();
+  const waiter = await createUser();
+
+  const booked = await request('POST', '/api/bookings', {
+    token: holder.token,
+    body: { eventId: event._id, numberOfSeats: 1 },
+  });
+  assert.equal(booked.status, 201);
+
+  const joined = await request('POST', '/api/waitlist', {
+    token: waiter.token,
+    body: { eventId: event._id, numberOfSeats: 1 },
+  });
+  assert.equal(joined.status, 201);
+
+  return { event, holder, waiter, bookingId: booked.body.data._id, entryId: joined.body.data._id };
+};
+
+test('the next person in line is told about their offer', async () => {
+  const { holder, waiter, bookingId, entryId } = await soldOut();
+
+  const cancelled = await request('PUT', `/api/bookings/${bookingId}/cancel`, { token: holder.token });
+  assert.equal(cancelled.status, 200);
+
+  const entry = await WaitlistEntry.findById(entryId);
+  assert.equal(entry.status, 'offered');
+  const offer = await Booking.findById(entry.booking);
+
+  const notification = await Notification.findOne({ user: waiter.user._id, type: 'waitlist_offer' });
+  assert.ok(notification);
+  assert.equal(notification.data.bookingId, offer._id.toString());
+  assert.equal(notification.data.expiresAt, offer.expiresAt.toISOString());
+});
+
+test('leaving with an open offer cancels the hold and frees its seat', async () => {
+  const { event, holder, waiter, bookingId, entryId } = await soldOut();
+  await request('PUT', `/api/bookings/${bookingId}/cancel`, { token: holder.token });
+  const { booking: offerId } = await WaitlistEntry.findById(entryId);
+
+  const left = await request('DELETE', `/api/waitlist/${entryId}`, { token: waiter.token });
+  assert.equal(left.status, 200);
+
+  assert.equal((await Booking.findById(offerId)).status, 'cancelled');
+  assert.equal((await WaitlistEntry.findById(entryId)).status, 'left');
+  assert.equal((await Event.findById(event._id)).availableSeats, 1);
+});
@@ -0,0 +1,44 @@
+const { idParam, objectId, requiredString, optionalString, number, boolean, oneOf, pagination } = require('./common');
+
+const refund = {
+  ...idParam(),
+  amount: number('Refund amount', { min: 0, optional: false }),
+  reason: optionalString('Reason', { max: 500 }),
+  cancel: boolean('cancel'),
+};
+
+const applications = {
+  status: oneOf('status', ['pending', 'approved', 'rejected', 'all'], { location: 'query' }),
+};
+
+const approveApplication = {
+  ...idParam(),
+  note: optionalString('Note', { max: 1000 }),
+};
+
+const rejectApplication = {
+  ...idParam(),
+  reason: {
+    ...requiredString('Reason', { max: 1000 }),
+    isLength: { options: { min: 5, max: 1000 }, errorMessage: 'Please provide a rejection reason (min 5 characters)' },
+  },
+};
+
+const broadcasts = {
+  eventId: objectId('eventId', { location: 'query', optional: true }),
+  senderId: objectId('senderId', { location: 'query', optional: true }),
+  ...pagination({ maxLimit: 100 }),
+};
+
+const userId = idParam();
+const eventId = idParam();
+
+module.exports = {
+  refund,
+  applications,
+  approveApplication,
+  rejectApplication,
+  broadcasts,
+  userId,
+  eventId,
+};
@@ -0,0 +1,23 @@
+const { idParam, objectId, optionalString, date, oneOf } = require('./common');
+
+const range = {
+  from: date('from', { location: 'query' }),
+  to: date('to', { location: 'query' }),
+  groupBy: oneOf('groupBy', ['day', 'week', 'month'], { location: 'query' }),
+  timezone: optionalString('timezone', { location: 'query', max: 64 }),
+};
+
+const organizer = {
+  ...range,
+  organizerId: objectId('organizerId', { location: 'query', optional: true }),
+};
+
+const event = {
+  ...idParam('eventId'),
+  ...range,
+};
+
+module.exports = {
+  organizer,
+  event,
+};
@@ -0,0 +1,78 @@
+const { idParam, requiredString, optionalString, email, boolean } = require('./common');
+
+// Passwords are never trimmed: spaces at either end are part of the
+// password, and login must compare exactly what register stored.
+// Checks of an existing password (`min: 1`) accept any length it may
+// have been set with.
+const password = (label, field = 'password', { min = 6 } = {}) => ({
+  [field]: {
+    in: ['body'],
+    exists: { options: { values: 'falsy' }, errorMessage: `${label} is required`, bail: true },
+    isString: { errorMessage: `${label} must be text`, bail: true },
+    isLength: {
+      options: { min, max: 128 },
+      errorMessage: min > 1 ? `${label} must be ${min} to 128 characters` : `${label} must be at most 128 characters`,
+    },
+  },
+});
+
+const register = {
+  name: requiredString('Name', { max: 100 }),
+  email: email(),
+  ...password('Password'),
+};
+
+const login = {
+  email: email(),
+  ...password('Password', 'password', { min: 1 }),
+};
+
+const refresh = {
+  refreshToken: requiredString('Refresh token', { max: 200 }),
+};
+
+const verifyEmailLink = {
+  token: requiredString('Token', { location: 'query', max: 200 }),
+};
+
+const verifyEmail = {
+  token: requiredString('Token', { max: 200 }),
+};
+
+const forgotPassword = {
+  email: email(),
+};
+
+const resetPassword = {
+  token: requiredString('Token', { max: 200 }),
+  ...password('Password'),
+};
+
+const changePassword = {
+  ...password('Current password', 'currentPassword', { min: 1 }),
+  ...password('New password', 'newPassword'),
+};
+
+const updateProfile = {
+  name: optionalString('Name', { max: 100 }),
+  phone: optionalString('Phone', { max: 30 }),
+  bio: optionalString('Bio', { max: 1000 }),
+  profileImage: optionalString('Profile image', { max: 1000 }),
+  notifications: boolean('notifications'),
+  reminders: boolean('reminders'),
+};
+
+const sessionId = idParam();
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  verifyEmailLink,
+  verifyEmail,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  updateProfile,
+  sessionId,
+};
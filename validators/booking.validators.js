@@ -0,0 +1,61 @@
+const {
+  idParam,
+  objectId,
+  requiredString,
+  optionalString,
+  integer,
+  boolean,
+  oneOf,
+  passthrough,
+} = require('./common');
+
+// Single-price events take numberOfSeats; tiered events take
+// tickets: [{ ticketTypeId, quantity }] (services/tickets.js checks
+// which one the event needs)
+const create = {
+  eventId: objectId('Event ID'),
+  numberOfSeats: integer('numberOfSeats', { min: 1 }),
+  tickets: passthrough(),
+  'tickets.*.ticketTypeId': objectId('ticketTypeId', { optional: true }),
+  'tickets.*.quantity': integer('quantity', { min: 1, optional: false }),
+  occurrenceId: objectId('occurrenceId', { optional: true }),
+  checkout: boolean('checkout'),
+};
+
+const ticket = {
+  ...idParam(),
+  format: oneOf('format', ['json', 'png'], { location: 'query' }),
+};
+
+const confirm = {
+  ...idParam(),
+  paymentId: optionalString('paymentId', { max: 200 }),
+};
+
+const checkIn = {
+  payload: requiredString('Ticket payload', { max: 2000 }),
+  eventId: objectId('Event ID', { optional: true }),
+};
+
+const reminders = {
+  ...idParam(),
+  enabled: {
+    in: ['body'],
+    exists: { errorMessage: 'enabled is required', bail: true },
+    isBoolean: { errorMessage: 'enabled must be true or false' },
+    toBoolean: { options: { strict: true } },
+  },
+};
+
+const bookingId = idParam();
+const eventId = idParam('eventId');
+
+module.exports = {
+  create,
+  ticket,
+  confirm,
+  checkIn,
+  reminders,
+  bookingId,
+  eventId,
+};
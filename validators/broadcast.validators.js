@@ -0,0 +1,19 @@
+const { idParam, objectId, requiredString, boolean, oneOf, pagination } = require('./common');
+
+const create = {
+  eventId: objectId('Event ID'),
+  title: requiredString('Title', { max: 150 }),
+  message: requiredString('Message', { max: 2000 }),
+  audience: oneOf('audience', ['confirmed', 'checked_in']),
+  includeWaitlist: boolean('includeWaitlist'),
+};
+
+const history = {
+  ...idParam('eventId'),
+  ...pagination({ maxLimit: 50 }),
+};
+
+module.exports = {
+  create,
+  history,
+};
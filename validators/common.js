@@ -0,0 +1,119 @@
+const { INVALID_ID } = require('../middleware/validate');
+
+// ── Schema building blocks ────────────────────────────────────
+// Field definitions shared by the per-router schemas. Every field
+// names its location explicitly; optional fields treat '' and null as
+// "not sent" because multipart forms from the app send empty strings.
+
+const OPTIONAL = { options: { values: 'falsy' } };
+
+const idParam = (name = 'id') => ({
+  [name]: { in: ['params'], isMongoId: { errorMessage: INVALID_ID } },
+});
+
+const objectId = (label, { location = 'body', optional = false } = {}) => ({
+  in: [location],
+  ...(optional
+    ? { optional: OPTIONAL }
+    : { exists: { options: { values: 'falsy' }, errorMessage: `${label} is required`, bail: true } }),
+  isMongoId: { errorMessage: INVALID_ID },
+});
+
+const requiredString = (label, { location = 'body', max = 5000 } = {}) => ({
+  in: [location],
+  exists: { options: { values: 'falsy' }, errorMessage: `${label} is required`, bail: true },
+  isString: { errorMessage: `${label} must be text`, bail: true },
+  trim: true,
+  isLength: { options: { max }, errorMessage: `${label} must be at most ${max} characters` },
+});
+
+const optionalString = (label, { location = 'body', max = 5000 } = {}) => ({
+  in: [location],
+  optional: { options: { values: 'null' } },
+  isString: { errorMessage: `${label} must be text`, bail: true },
+  trim: true,
+  isLength: { options: { max }, errorMessage: `${label} must be at most ${max} characters` },
+});
+
+const email = (label = 'Email', { optional = false } = {}) => ({
+  in: ['body'],
+  ...(optional
+    ? { optional: OPTIONAL }
+    : { exists: { options: { values: 'falsy' }, errorMessage: `${label} is required`, bail: true } }),
+  trim: true,
+  isEmail: { errorMessage: `${label} must be a valid email address` },
+  toLowerCase: true,
+});
+
+const integer = (label, { location = 'body', min, max, optional = true } = {}) => ({
+  in: [location],
+  ...(optional
+    ? { optional: OPTIONAL }
+    : { exists: { errorMessage: `${label} is required`, bail: true } }),
+  isInt: {
+    options: { min, max },
+    errorMessage: max !== undefined
+      ? `${label} must be a whole number from ${min} to ${max}`
+      : `${label} must be a whole number of at least ${min}`,
+  },
+  toInt: true,
+});
+
+const number = (label, { location = 'body', min, max, optional = true } = {}) => ({
+  in: [location],
+  ...(optional
+    ? { optional: OPTIONAL }
+    : { exists: { errorMessage: `${label} is required`, bail: true } }),
+  isFloat: {
+    options: { min, max },
+    errorMessage: max !== undefined
+      ? `${label} must be a number from ${min} to ${max}`
+      : `${label} must be a number of at least ${min}`,
+  },
+  toFloat: true,
+});
+
+const boolean = (label, { location = 'body' } = {}) => ({
+  in: [location],
+  optional: OPTIONAL,
+  isBoolean: { errorMessage: `${label} must be true or false` },
+  toBoolean: { options: { strict: true } },
+});
+
+const date = (label, { location = 'body' } = {}) => ({
+  in: [location],
+  optional: OPTIONAL,
+  isISO8601: { errorMessage: `${label} must be an ISO 8601 date` },
+});
+
+const oneOf = (label, values, { location = 'body', optional = true } = {}) => ({
+  in: [location],
+  ...(optional
+    ? { optional: OPTIONAL }
+    : { exists: { options: { values: 'falsy' }, errorMessage: `${label} is required`, bail: true } }),
+  isIn: { options: [values], errorMessage: `${label} must be one of: ${values.join(', ')}` },
+});
+
+// Accepted as sent — a JSON array/object, or a JSON string from a
+// multipart form. The services that use it validate the contents.
+const passthrough = () => ({ in: ['body'], optional: true });
+
+const pagination = ({ maxLimit = 100 } = {}) => ({
+  page: integer('page', { location: 'query', min: 1 }),
+  limit: integer('limit', { location: 'query', min: 1, max: maxLimit }),
+});
+
+module.exports = {
+  idParam,
+  objectId,
+  requiredString,
+  optionalString,
+  email,
+  integer,
+  number,
+  boolean,
+  date,
+  oneOf,
+  passthrough,
+  pagination,
+};
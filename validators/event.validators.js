@@ -0,0 +1,118 @@
+const Event = require('../models/Event');
+const {
+  idParam,
+  requiredString,
+  optionalString,
+  integer,
+  number,
+  boolean,
+  date,
+  oneOf,
+  passthrough,
+  pagination,
+} = require('./common');
+
+const CATEGORIES = Event.schema.path('category').enumValues;
+const SORTS = ['price_asc', 'price_desc', 'rating'];
+
+// Query flags stay strings — the routes compare against 'true'
+const flag = (label) => oneOf(label, ['true', 'false'], { location: 'query' });
+
+const list = {
+  category: oneOf('category', CATEGORIES, { location: 'query' }),
+  sortBy: oneOf('sortBy', SORTS, { location: 'query' }),
+  hideEnded: flag('hideEnded'),
+  ...pagination(),
+};
+
+const nearby = {
+  lat: number('lat', { location: 'query', min: -90, max: 90, optional: false }),
+  lng: number('lng', { location: 'query', min: -180, max: 180, optional: false }),
+  radius: number('radius', { location: 'query', min: 0.1, max: 200 }),
+  ...list,
+};
+
+const featured = {
+  hideEnded: flag('hideEnded'),
+};
+
+const search = {
+  q: optionalString('q', { location: 'query', max: 100 }),
+  category: oneOf('category', CATEGORIES, { location: 'query' }),
+  location: optionalString('location', { location: 'query', max: 100 }),
+  dateFrom: date('dateFrom', { location: 'query' }),
+  dateTo: date('dateTo', { location: 'query' }),
+  minPrice: number('minPrice', { location: 'query', min: 0 }),
+  maxPrice: number('maxPrice', { location: 'query', min: 0 }),
+  free: flag('free'),
+  hideEnded: flag('hideEnded'),
+  ...pagination({ maxLimit: 50 }),
+};
+
+const adminList = {
+  status: oneOf('status', ['pending', 'approved', 'rejected'], { location: 'query' }),
+};
+
+// Fields shared by create and update; create adds the required ones
+const eventFields = {
+  title: optionalString('Title', { max: 200 }),
+  description: optionalString('Description', { max: 10000 }),
+  category: oneOf('Category', CATEGORIES),
+  location: optionalString('Location', { max: 300 }),
+  date: date('date'),
+  time: optionalString('Time', { max: 20 }),
+  startsAt: date('startsAt'),
+  endsAt: date('endsAt'),
+  timezone: optionalString('Timezone', { max: 64 }),
+  durationMinutes: integer('durationMinutes', { min: 1 }),
+  latitude: number('Latitude', { min: -90, max: 90 }),
+  longitude: number('Longitude', { min: -180, max: 180 }),
+  price: number('Price', { min: 0 }),
+  totalSeats: integer('totalSeats', { min: 1 }),
+  ticketTypes: passthrough(),
+  cancellationPolicy: passthrough(),
+  recurrence: passthrough(),
+  sessions: passthrough(),
+};
+
+const create = {
+  ...eventFields,
+  title: requiredString('Title', { max: 200 }),
+  description: requiredString('Description', { max: 10000 }),
+  category: oneOf('Category', CATEGORIES, { optional: false }),
+  location: requiredString('Location', { max: 300 }),
+};
+
+const update = {
+  ...idParam(),
+  ...eventFields,
+  isFeatured: boolean('isFeatured'),
+};
+
+const reject = {
+  ...idParam(),
+  reason: {
+    ...requiredString('Reason', { max: 1000 }),
+    isLength: { options: { min: 5, max: 1000 }, errorMessage: 'Please provide a rejection reason (min 5 characters)' },
+  },
+};
+
+const cancel = {
+  ...idParam(),
+  reason: optionalString('Reason', { max: 1000 }),
+};
+
+const eventId = idParam();
+
+module.exports = {
+  list,
+  nearby,
+  featured,
+  search,
+  adminList,
+  create,
+  update,
+  reject,
+  cancel,
+  eventId,
+};
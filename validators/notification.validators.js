@@ -0,0 +1,19 @@
+const { idParam, requiredString, boolean, pagination } = require('./common');
+
+const list = {
+  ...pagination({ maxLimit: 50 }),
+  unread: boolean('unread', { location: 'query' }),
+};
+
+// FCM registration token of the device this session signed in on
+const pushToken = {
+  token: requiredString('Push token', { max: 4096 }),
+};
+
+const notificationId = idParam();
+
+module.exports = {
+  list,
+  pushToken,
+  notificationId,
+};
@@ -0,0 +1,17 @@
+const { requiredString, optionalString, email } = require('./common');
+
+const apply = {
+  organizationName: requiredString('Organization name', { max: 120 }),
+  contactEmail: email('Contact email'),
+  contactPhone: optionalString('Contact phone', { max: 30 }),
+  website: {
+    ...optionalString('Website', { max: 300 }),
+    optional: { options: { values: 'falsy' } },
+    isURL: { errorMessage: 'Website must be a valid URL' },
+  },
+  details: requiredString('Details', { max: 2000 }),
+};
+
+module.exports = {
+  apply,
+};
@@ -0,0 +1,11 @@
+const { objectId } = require('./common');
+
+// Webhooks are not listed — they are verified against the raw body
+// and signature by the provider instead
+const intent = {
+  bookingId: objectId('Booking ID'),
+};
+
+module.exports = {
+  intent,
+};
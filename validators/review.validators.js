@@ -0,0 +1,41 @@
+const { idParam, objectId, optionalString, integer, boolean, pagination } = require('./common');
+
+const list = {
+  ...idParam('eventId'),
+  ...pagination({ maxLimit: 50 }),
+};
+
+const create = {
+  eventId: objectId('Event ID'),
+  rating: integer('Rating', { min: 1, max: 5, optional: false }),
+  comment: optionalString('Comment', { max: 2000 }),
+};
+
+const update = {
+  ...idParam(),
+  rating: integer('Rating', { min: 1, max: 5 }),
+  comment: optionalString('Comment', { max: 2000 }),
+};
+
+const reply = {
+  ...idParam(),
+  // Empty (or left out) removes the reply
+  text: optionalString('Reply', { max: 2000 }),
+};
+
+const hide = {
+  ...idParam(),
+  hidden: boolean('hidden'),
+  reason: optionalString('Reason', { max: 500 }),
+};
+
+const reviewId = idParam();
+
+module.exports = {
+  list,
+  create,
+  update,
+  reply,
+  hide,
+  reviewId,
+};
@@ -0,0 +1,7 @@
+const { idParam } = require('./common');
+
+const userId = idParam();
+
+module.exports = {
+  userId,
+};
@@ -0,0 +1,17 @@
+const { idParam, objectId, integer } = require('./common');
+
+const join = {
+  eventId: objectId('Event ID'),
+  numberOfSeats: integer('numberOfSeats', { min: 1, optional: false }),
+  ticketTypeId: objectId('ticketTypeId', { optional: true }),
+  occurrenceId: objectId('occurrenceId', { optional: true }),
+};
+
+const entryId = idParam();
+const eventId = idParam('eventId');
+
+module.exports = {
+  join,
+  entryId,
+  eventId,
+};
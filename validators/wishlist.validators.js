@@ -0,0 +1,13 @@
+const { idParam, objectId } = require('./common');
+
+const add = {
+  eventId: objectId('Event ID'),
+};
+
+// Wishlist item id, or the event id the app may send instead
+const remove = idParam();
+
+module.exports = {
+  add,
+  remove,
+};